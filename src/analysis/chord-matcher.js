@@ -3,7 +3,7 @@
  * Finds fingerings from handprints that match target chord notes
  */
 
-import { getPadIndex } from '../core/grid.js';
+import { defaultGrid, getGridSpan } from '../core/grid.js';
 import { midiToPitchClass } from '../core/music.js';
 
 /**
@@ -34,16 +34,35 @@ function generateSubsets(arr, minSize, maxSize) {
   return subsets;
 }
 
+/**
+ * Pitch class of the lowest note in a set of pads
+ * @param {Array<Object>} positions - Positions with row/col
+ * @param {number} baseMidi - Base MIDI note for the grid
+ * @param {Grid} grid - Musical grid used for pitch math
+ * @returns {number} Pitch class (0-11)
+ */
+function lowestPitchClass(positions, baseMidi, grid) {
+  const lowest = Math.min(...positions.map(pos => baseMidi + grid.getPadIndex(pos.row, pos.col)));
+  return midiToPitchClass(lowest);
+}
+
 /**
  * Find fingerings from handprints that match target chord
  * @param {Array<number>} targetPitchClasses - Set of pitch classes to match (e.g., [0, 4, 7] for C major)
  * @param {Array<Object>} handprints - Array of saved handprints
  * @param {number} baseMidi - Base MIDI note for the grid
  * @param {string} hand - 'left' or 'right' - filter by hand
+ * @param {Grid} grid - Musical grid used for pitch math (default: Exquis thirds layout)
+ * @param {object} options - Options
+ * @param {number|null} options.bass - Pitch class the lowest note must have (slash chords)
+ * @param {Array<number>} options.omittable - Target pitch classes a fingering may leave
+ *   out (see getChordOmissions), so 13th chords and rootless voicings fit one hand
  * @returns {Array<Object>} Array of matching fingerings with scores
  */
-export function findChordFingerings(targetPitchClasses, handprints, baseMidi = 48, hand = null) {
-  const targetSet = new Set(targetPitchClasses);
+export function findChordFingerings(targetPitchClasses, handprints, baseMidi = 48, hand = null, grid = defaultGrid, { bass = null, omittable = [] } = {}) {
+  const omittableSet = new Set(omittable);
+  const chordSet = new Set(targetPitchClasses);
+  const targetSet = new Set(targetPitchClasses.filter(pc => !omittableSet.has(pc)));
   const matches = [];
 
   // Filter handprints by hand if specified
@@ -57,22 +76,24 @@ export function findChordFingerings(targetPitchClasses, handprints, baseMidi = 4
 
     for (const subset of fingerSubsets) {
       // Calculate pitch classes for this subset
-      // IMPORTANT: Recalculate padIndex from (row, col) in intervals mode
-      // Don't use stored padIndex (which was captured in chromatic mode)
-      // Use handprint's own baseMidi for correct pitch class calculation
+      // Stored padIndex is a chromatic pad ID, so recalculate from (row, col)
+      // with the musical grid, using the handprint's own baseMidi
       const handprintBaseMidi = handprint.baseMidi || baseMidi;
       const pitchClasses = subset.map(pos => {
-        const padIndex = getPadIndex(pos.row, pos.col); // Recalculate in current grid mode
+        const padIndex = grid.getPadIndex(pos.row, pos.col);
         const midiNote = handprintBaseMidi + padIndex;
         return midiToPitchClass(midiNote);
       });
 
       // Check if pitch classes match target chord (subset match)
-      // All target chord notes must be present (handprint can have extra notes)
+      // All required chord notes must be present (handprint can have extra
+      // notes, unless tones were left out: then every note must be a chord tone)
       const pitchSet = new Set(pitchClasses);
 
       if ([...targetSet].every(pc => pitchSet.has(pc)) &&
-          pitchSet.size >= targetSet.size) {
+          pitchSet.size >= targetSet.size &&
+          (omittableSet.size === 0 || pitchClasses.every(pc => chordSet.has(pc))) &&
+          (bass === null || lowestPitchClass(subset, handprintBaseMidi, grid) === bass)) {
         // Found a match! Create fingering object
         const fingering = {
           handprintId: handprint.id,
@@ -82,7 +103,7 @@ export function findChordFingerings(targetPitchClasses, handprints, baseMidi = 4
           midiDevice: handprint.midiDevice,
           capturedAt: handprint.capturedAt,
           positions: subset.map(pos => {
-            const padIndex = getPadIndex(pos.row, pos.col); // Recalculate in intervals mode
+            const padIndex = grid.getPadIndex(pos.row, pos.col);
             const midiNote = handprintBaseMidi + padIndex;
             return {
               row: pos.row,
@@ -121,23 +142,3 @@ export function usesConsecutiveFingers(positions) {
   }
   return true;
 }
-
-/**
- * Calculate the span (max distance) of a fingering
- * @param {Array<Object>} positions - Fingering positions with row/col
- * @returns {number} Maximum distance between any two pads
- */
-export function calculateSpan(positions) {
-  let maxDistance = 0;
-
-  for (let i = 0; i < positions.length; i++) {
-    for (let j = i + 1; j < positions.length; j++) {
-      const dx = positions[j].col - positions[i].col;
-      const dy = positions[j].row - positions[i].row;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      maxDistance = Math.max(maxDistance, distance);
-    }
-  }
-
-  return maxDistance;
-}
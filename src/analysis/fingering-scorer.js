@@ -3,7 +3,8 @@
  * Scores and ranks fingering suggestions based on comfort, geometry, and ergonomics
  */
 
-import { calculateSpan, usesConsecutiveFingers } from './chord-matcher.js';
+import { getGridSpan } from '../core/grid.js';
+import { usesConsecutiveFingers } from './chord-matcher.js';
 
 /**
  * Score a fingering based on multiple criteria
@@ -47,7 +48,7 @@ function scoreComfort(fingering) {
  * @returns {number} Score 0-100
  */
 function scoreGeometry(fingering) {
-  const span = calculateSpan(fingering.positions);
+  const span = getGridSpan(fingering.positions);
 
   // Ideal span for block chords: 3-5 pads
   // Score decreases for larger spans
@@ -3,8 +3,9 @@
  * Generates new fingering suggestions based on learned patterns from handprints
  */
 
-import { getPadIndex, getGridDistance } from '../core/grid.js';
+import { getGridSpan, defaultGrid } from '../core/grid.js';
 import { midiToPitchClass } from '../core/music.js';
+import { ergoAnalyzer } from '../core/fingering.js';
 import { extractPatterns, suggestFingerForPosition, calculatePatternSimilarity } from './pattern-extractor.js';
 
 /**
@@ -12,9 +13,10 @@ import { extractPatterns, suggestFingerForPosition, calculatePatternSimilarity }
  * @param {Array<number>} targetPitchClasses - Target pitch classes (e.g., [0, 4, 7])
  * @param {number} baseMidi - Base MIDI note
  * @param {number} maxRow - Maximum row to search (default 5 for comfortable reach)
+ * @param {Grid} grid - Grid used for pitch math
  * @returns {Array<Array<Object>>} Array of pad combinations
  */
-function findPadCombinations(targetPitchClasses, baseMidi = 48, maxRow = 5) {
+function findPadCombinations(targetPitchClasses, baseMidi = 48, maxRow = 5, grid = defaultGrid) {
   // Find all pads matching each pitch class
   const padsByPC = new Map();
 
@@ -25,7 +27,7 @@ function findPadCombinations(targetPitchClasses, baseMidi = 48, maxRow = 5) {
   // Search grid for matching pads (limited to comfortable reach)
   for (let row = 0; row <= maxRow; row++) {
     for (let col = 0; col < (row % 2 === 0 ? 6 : 5); col++) {
-      const padIndex = getPadIndex(row, col);
+      const padIndex = grid.getPadIndex(row, col);
       const midiNote = baseMidi + padIndex;
       const pc = midiToPitchClass(midiNote);
 
@@ -63,6 +65,35 @@ function findPadCombinations(targetPitchClasses, baseMidi = 48, maxRow = 5) {
   return combinations;
 }
 
+/**
+ * Pitch class sets that fit in one hand, leaving out as few omittable tones as possible
+ * @param {Array<number>} targetPitchClasses - Target pitch classes
+ * @param {Array<number>} omittable - Pitch classes that may be left out
+ * @param {number} maxNotes - Most notes one hand can play (default 5)
+ * @returns {Array<Array<number>>} Candidate sets; just the target when it fits
+ *   or cannot be reduced far enough
+ */
+function fitPitchClasses(targetPitchClasses, omittable, maxNotes = 5) {
+  const excess = targetPitchClasses.length - maxNotes;
+  const droppable = targetPitchClasses.filter(pc => omittable.includes(pc));
+  if (excess <= 0 || droppable.length < excess) {
+    return [targetPitchClasses];
+  }
+
+  const sets = [];
+  function chooseDrops(start, dropped) {
+    if (dropped.length === excess) {
+      sets.push(targetPitchClasses.filter(pc => !dropped.includes(pc)));
+      return;
+    }
+    for (let i = start; i < droppable.length; i++) {
+      chooseDrops(i + 1, [...dropped, droppable[i]]);
+    }
+  }
+  chooseDrops(0, []);
+  return sets;
+}
+
 /**
  * Assign fingers to a pad combination based on anatomical layout
  * @param {Array<Object>} pads - Array of pads with {row, col}
@@ -128,6 +159,22 @@ function assignFingers(pads, hand, patterns = null) {
   return assignments;
 }
 
+/**
+ * Split a pad combination between both hands
+ * @param {Array<Object>} pads - Array of pads with {row, col}
+ * @param {number} baseMidi - Base MIDI note
+ * @param {Grid} grid - Grid used for pitch math
+ * @returns {Array<Object>} Pads with finger and hand assignments, left hand first
+ */
+function assignTwoHandFingers(pads, baseMidi, grid) {
+  const { fingerings } = ergoAnalyzer.suggestTwoHandFingerings(pads, baseMidi, grid);
+  return fingerings.map(({ row, col, finger, hand }) => ({
+    ...pads.find(pad => pad.row === row && pad.col === col),
+    finger,
+    hand
+  }));
+}
+
 /**
  * Score a fingering based on ergonomics and pattern similarity
  * @param {Object} fingering - Fingering object with positions
@@ -143,18 +190,25 @@ function scoreFingering(fingering, patterns) {
     score = (score + patternScore) / 2;
   }
 
-  // Ergonomic factors
-  const span = calculateSpan(fingering.positions);
+  // Ergonomic factors, taking the wider hand of a two-hand fingering
+  const span = Math.max(...['left', 'right'].map(hand =>
+    getGridSpan(fingering.positions.filter(p => p.hand === hand))));
 
-  // Prefer compact spans (1.5 - 3.0 grid units)
-  if (span < 1.5) {
-    score += 10; // Very compact
-  } else if (span <= 3.0) {
+  // Prefer compact spans, in whole hex steps
+  if (span <= 1) {
+    score += 10; // Very compact: neighbouring pads
+  } else if (span <= 3) {
     score += 5;  // Comfortable
-  } else if (span > 4.0) {
+  } else if (span >= 5) {
     score -= 20; // Too stretched
   }
 
+  // A chord of five notes or fewer spread too wide for one hand ranks below
+  // voicings one hand can hold
+  if (fingering.hand === 'both' && fingering.positions.length <= 5) {
+    score -= 15;
+  }
+
   // Prefer lower rows (easier to reach)
   const avgRow = fingering.positions.reduce((sum, p) => sum + p.row, 0) / fingering.positions.length;
   score += Math.max(0, 10 - avgRow * 2);
@@ -162,40 +216,35 @@ function scoreFingering(fingering, patterns) {
   return Math.min(100, Math.max(0, score));
 }
 
-/**
- * Calculate span of a fingering
- * @param {Array<Object>} positions - Array of {row, col}
- * @returns {number} Max distance
- */
-function calculateSpan(positions) {
-  let maxSpan = 0;
-  for (let i = 0; i < positions.length; i++) {
-    for (let j = i + 1; j < positions.length; j++) {
-      const distance = getGridDistance(
-        positions[i].row, positions[i].col,
-        positions[j].row, positions[j].col
-      );
-      maxSpan = Math.max(maxSpan, distance);
-    }
-  }
-  return maxSpan;
-}
-
 /**
  * Synthesize fingering suggestions for target chord
  * @param {Array<number>} targetPitchClasses - Target pitch classes
  * @param {Array<Object>} handprints - Captured handprints for pattern learning
  * @param {number} baseMidi - Base MIDI note
- * @param {string} hand - 'left' or 'right'
+ * @param {string} hand - 'left' or 'right'; voicings of more than five notes, or
+ *   wider than the hand span, are split between both hands and get hand 'both'
+ *   with each position's hand set
  * @param {number} maxSuggestions - Maximum suggestions to return (default 5)
+ * @param {Grid} grid - Grid used for pitch math (default: Exquis thirds layout)
+ * @param {object} options - Options
+ * @param {number|null} options.bass - Pitch class the lowest note must have (slash chords)
+ * @param {Array<number>} options.omittable - Pitch classes that may be left out when the
+ *   chord has more than five notes (see getChordOmissions)
  * @returns {Array<Object>} Array of fingering suggestions
  */
-export function synthesizeFingerings(targetPitchClasses, handprints, baseMidi = 48, hand = 'right', maxSuggestions = 5) {
+export function synthesizeFingerings(targetPitchClasses, handprints, baseMidi = 48, hand = 'right', maxSuggestions = 5, grid = defaultGrid, { bass = null, omittable = [] } = {}) {
   // Extract patterns from handprints
   const patterns = extractPatterns(handprints, hand);
 
-  // Find all possible pad combinations
-  const combinations = findPadCombinations(targetPitchClasses, baseMidi);
+  // Find all possible pad combinations for each voicing that fits one hand,
+  // keeping only voicings over the bass
+  const combinations = fitPitchClasses(targetPitchClasses, omittable)
+    .flatMap(pitchClasses => findPadCombinations(pitchClasses, baseMidi, 5, grid))
+    .filter(combo => {
+      if (bass === null) return true;
+      const lowest = combo.reduce((low, pad) => (pad.midiNote < low.midiNote ? pad : low));
+      return lowest.pc === bass;
+    });
 
   if (combinations.length === 0) {
     return [];
@@ -203,13 +252,15 @@ export function synthesizeFingerings(targetPitchClasses, handprints, baseMidi =
 
   // Generate fingering for each combination
   const fingerings = combinations.map(combo => {
-    const positions = assignFingers(combo, hand, patterns);
+    const twoHands = ergoAnalyzer.needsTwoHands(combo);
+    const positions = twoHands ? assignTwoHandFingers(combo, baseMidi, grid) : assignFingers(combo, hand, patterns);
 
     const fingering = {
-      hand,
+      hand: twoHands ? 'both' : hand,
       baseMidi,
       positions,
       targetPitchClasses,
+      omittedPitchClasses: targetPitchClasses.filter(pc => !positions.some(pad => pad.pc === pc)),
       score: 0
     };
 
@@ -3,14 +3,16 @@
  * Analyzes handprints to extract geometric patterns for fingering synthesis
  */
 
-import { getPadIndex } from '../core/grid.js';
+import { getGridDistance } from '../core/grid.js';
+import { getPadDistanceCm, getPadSpanCm, hexStepsToCm } from '../core/device.js';
 import { midiToPitchClass } from '../core/music.js';
 
 /**
  * Extract geometric patterns from a collection of handprints
  * @param {Array<Object>} handprints - Array of captured handprints
  * @param {string} hand - 'left' or 'right' - filter by hand
- * @returns {Object} Pattern statistics
+ * @returns {Object} Pattern statistics; fingerDistances, spanDistances, avgSpan
+ *   and spanStdDev are in cm
  */
 export function extractPatterns(handprints, hand = null) {
   // Filter by hand if specified
@@ -25,8 +27,8 @@ export function extractPatterns(handprints, hand = null) {
   // Initialize pattern accumulator
   const patterns = {
     hand: hand,
-    fingerDistances: {}, // e.g., '1-2': [1.2, 1.5, 1.3, ...]
-    spanDistances: [],   // max distance in each handprint
+    fingerDistances: {}, // cm, e.g., '1-2': [4.4, 3.8, 4.1, ...]
+    spanDistances: [],   // cm, widest pad distance in each handprint
     fingerAssignments: {}, // e.g., 'r0c1': {1: 5, 2: 3, ...} - count of each finger
     chordShapes: [],     // geometric templates
     avgComfort: 0
@@ -48,18 +50,9 @@ export function extractPatterns(handprints, hand = null) {
       }
     }
 
-    // Calculate max span
+    // Widest span, in cm like the finger measurements
     const positions = handprint.positions;
-    let maxSpan = 0;
-    for (let i = 0; i < positions.length; i++) {
-      for (let j = i + 1; j < positions.length; j++) {
-        const dx = positions[j].col - positions[i].col;
-        const dy = positions[j].row - positions[i].row;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        maxSpan = Math.max(maxSpan, distance);
-      }
-    }
-    patterns.spanDistances.push(maxSpan);
+    patterns.spanDistances.push(getPadSpanCm(positions));
 
     // Record finger assignments by position
     for (const pos of positions) {
@@ -101,6 +94,42 @@ export function extractPatterns(handprints, hand = null) {
   return patterns;
 }
 
+/**
+ * Measure finger-pair distances of a handprint
+ * @param {Array<Object>} positions - Captured positions with {row, col, finger}
+ * @returns {object} Distances in cm keyed by finger pair (e.g., {'1-2': 4.4, ...})
+ */
+export function measureHandprint(positions) {
+  const sorted = [...positions].sort((a, b) => a.finger - b.finger);
+  const measurements = {};
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      const key = `${sorted[i].finger}-${sorted[j].finger}`;
+      measurements[key] = getPadDistanceCm(sorted[i].row, sorted[i].col, sorted[j].row, sorted[j].col);
+    }
+  }
+  return measurements;
+}
+
+/**
+ * Bring a stored handprint up to date
+ * Handprints saved before measurements were physical carry grid-unit
+ * distances and no `measurementUnit`; they are re-measured in cm from
+ * their positions.
+ * @param {Object} handprint - Stored handprint
+ * @returns {Object} Handprint with measurements in cm
+ */
+export function normalizeHandprint(handprint) {
+  if (handprint.measurementUnit === 'cm' || !Array.isArray(handprint.positions)) {
+    return handprint;
+  }
+  return {
+    ...handprint,
+    measurements: measureHandprint(handprint.positions),
+    measurementUnit: 'cm'
+  };
+}
+
 /**
  * Extract chord shape (relative geometry) from a handprint
  * @param {Object} handprint - Handprint object
@@ -121,10 +150,7 @@ function extractChordShape(handprint) {
     finger: pos.finger,
     rowOffset: pos.row - anchor.row,
     colOffset: pos.col - anchor.col,
-    distance: Math.sqrt(
-      Math.pow(pos.row - anchor.row, 2) +
-      Math.pow(pos.col - anchor.col, 2)
-    )
+    distance: getGridDistance(anchor.row, anchor.col, pos.row, pos.col)
   }));
 
   return {
@@ -183,10 +209,10 @@ export function calculatePatternSimilarity(candidateFingering, patterns) {
       score += 20;
     }
 
-    // Geometric similarity
-    const candidateSpan = calculateSpan(candidateFingering.positions);
+    // Geometric similarity, 10 points per pad pitch of difference in span
+    const candidateSpan = getPadSpanCm(candidateFingering.positions);
     const spanDiff = Math.abs(candidateSpan - patterns.avgSpan);
-    const spanSimilarity = Math.max(0, 30 - spanDiff * 10);
+    const spanSimilarity = Math.max(0, 30 - spanDiff * 10 / hexStepsToCm(1));
     score += spanSimilarity;
 
     // Comfort rating from pattern
@@ -197,21 +223,3 @@ export function calculatePatternSimilarity(candidateFingering, patterns) {
 
   return Math.min(100, bestScore);
 }
-
-/**
- * Calculate span of a fingering
- * @param {Array<Object>} positions - Array of {row, col}
- * @returns {number} Max distance
- */
-function calculateSpan(positions) {
-  let maxSpan = 0;
-  for (let i = 0; i < positions.length; i++) {
-    for (let j = i + 1; j < positions.length; j++) {
-      const dx = positions[j].col - positions[i].col;
-      const dy = positions[j].row - positions[i].row;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      maxSpan = Math.max(maxSpan, distance);
-    }
-  }
-  return maxSpan;
-}
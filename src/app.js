@@ -5,15 +5,32 @@
 
 import { GridRenderer } from './ui/svg-grid.js';
 import { midiManager } from './core/midi.js';
-import { FingeringPattern, ergoAnalyzer } from './core/fingering.js';
-import { getPitchClasses, parseCustomPitchClasses, PITCH_CLASS_SETS } from './core/music.js';
-import { getRowCol, getPadIndex, setGridMode } from './core/grid.js';
-import { savePattern, loadPattern, deletePattern, getPatternNames, saveSettings, loadSettings } from './utils/storage.js';
+import { FingeringPattern, FingeringSequence, ergoAnalyzer, parseMelody } from './core/fingering.js';
+import { getPitchClasses, parseCustomPitchClasses, NOTE_TO_PC, PITCH_CLASS_SETS, analyzePcs, midiToNoteName } from './core/music.js';
+import { groupCatalogue, getCatalogueEntry } from './core/catalogue.js';
+import { importMidisplainerDictionary } from './core/midisplainer.js';
+import { Grid, ROW_COUNT, getRowLength, getVoiceLeadingPadMoves } from './core/grid.js';
+import { listLayouts, registerLayout } from './core/layouts.js';
+import { savePattern, loadPattern, deletePattern, getPatternNames, saveSettings, loadSettings, saveDictionary, loadDictionaries } from './utils/storage.js';
 import { debugLog } from './utils/debug.js';
 import { findChordFingerings } from './analysis/chord-matcher.js';
+import { getDiatonicChords } from './core/harmony.js';
+import { KeyDetector } from './core/key-detection.js';
+import { getScaleIds, generateScaleFingering } from './core/scale-fingering.js';
+import { generateArpeggioFingering } from './core/arpeggio.js';
+import { parseTransformChain, getTransformCycle, voiceTriadOnGrid, buildTransformPath, getTriadPitchClasses } from './core/neo-riemannian.js';
 import { rankFingerings } from './analysis/fingering-scorer.js';
 import { synthesizeFingerings } from './analysis/fingering-synthesizer.js';
-import { getChordPitchClasses, getChordName, analyzeVoicing } from './core/chord-dictionary.js';
+import { measureHandprint, normalizeHandprint } from './analysis/pattern-extractor.js';
+import { CHORD_QUALITIES, CHORD_SYMBOLS, getChordPitchClasses, getChordName, getChordNoteNames, getChordOmissions, analyzeVoicing, VOICING_NAMES, findVoiceLeading } from './core/chord-dictionary.js';
+import { getKeySpelling } from './core/spelling.js';
+import { parseChordSymbol } from './core/chord-symbol.js';
+import { getScale, getScaleName, stepScale, getScaleNeighbours } from './core/scale-catalogue.js';
+import { recognizePcs, recognizeMidiNotes, describeRecognition } from './core/recognizer.js';
+
+// Controls that edit the static chord pattern, so are off while steps are recorded
+const CHORD_ONLY_BUTTONS = ['suggestFingerings', 'shapeDown', 'shapeUp', 'shapeMirror', 'shapeRotate'];
+const CHORD_ONLY_MESSAGE = 'Suggest Fingerings and Move Shape work on chord fingerings. Switch Fingering Type to Chord to use them.';
 
 /**
  * Main App class
@@ -22,13 +39,19 @@ class ExquisFingerings {
   constructor() {
     debugLog('app', '[APP] Constructor started');
 
-    // Ensure grid starts in intervals mode FIRST (before any grid calculations)
-    setGridMode('intervals');
-    debugLog('app', '[APP] Grid mode set to intervals');
+    // Grids: musical layout for pitch math, chromatic pad IDs for handprint capture
+    this.grid = new Grid('intervals');
+    this.padIdGrid = new Grid('chromatic');
 
     // State
     this.settings = loadSettings();
+    this.applyGridLayout(this.settings.gridLayout || 'intervals');
+    debugLog('app', '[APP] Grid layout:', this.grid.mode);
     this.currentPattern = new FingeringPattern();
+    this.currentSequence = new FingeringSequence();  // Steps recorded when the fingering type is 'scale'
+    this.generatedSequence = null;  // Last generated scale or arpeggio fingering, replaced without asking
+    this.chordPattern = null;  // Static pattern put aside while editing a sequence
+    this.sequenceShiftNext = false;  // Whether the next recorded step starts a new hand position
     this.currentFinger = 1;
     this.currentHand = 'right';
     this.fingeringMode = false;
@@ -41,7 +64,7 @@ class ExquisFingerings {
     this.handprintSessionBaseMidi = null;  // Basenote for current session
     this.handprintSessionID = null;  // Session ID to link related handprints
     this.handprintSessionCount = 0;  // Count of handprints in current session
-    this.savedHandprints = this.settings.handprints || [];  // All saved handprints
+    this.savedHandprints = (this.settings.handprints || []).map(normalizeHandprint);  // All saved handprints (measurements in cm)
 
     // Suggestion synthesis state
     this.currentSuggestions = [];  // Array of synthesized suggestions
@@ -56,13 +79,31 @@ class ExquisFingerings {
     this.chordCaptureSequence = [];  // Captured pad sequence (finger 1-5)
     this.chordCapturePitchClasses = [];  // Target chord pitch classes
     this.chordCaptureRoot = 0;  // Root pitch class
-    this.chordCaptureQuality = 'dom7';  // Chord quality
+    this.chordCaptureQuality = 'dom7';  // Chord quality (null for typed symbols outside CHORD_QUALITIES)
+    this.chordCaptureName = null;  // Display name of the chord being captured
+    this.chordCaptureNoteNames = [];  // Spelled chord notes
+    this.parsedChord = null;  // Chord typed in #chordSymbol (see parseChordSymbol)
+    this.diatonicChord = null;  // Diatonic chord picked over the scale (see getDiatonicChords)
+    this.voiceLeading = [];  // Pad moves drawn on the grid (see getVoiceLeadingPadMoves)
+    this.voiceLeadingPattern = null;  // Pattern put aside while a saved voicing's arrows are shown
+    this.transformPath = null;  // Neo-Riemannian path {start, steps, index} (see buildTransformPath)
+    this.transformTimer = null;  // Timer stepping through the path while it plays
     this.savedChordFingerings = this.settings.chordFingerings || [];  // Saved chord fingerings
 
+    // Scale catalogue state
+    this.catalogueScale = 2741;  // Ian Ring scale number being browsed (major scale)
+
+    // Live chord naming state
+    this.liveRecognition = false;  // Whether held MIDI notes are being named
+    this.liveNotes = new Set();  // MIDI notes currently held
+    this.keyDetection = false;  // Whether the key is estimated from MIDI input
+    this.keyDetector = new KeyDetector();  // Rolling window of played notes
+    this.detectedKey = null;  // Latest estimate {key, setType} (see KeyDetector.detect)
+
     // UI Elements
     this.gridElement = document.getElementById('grid');
     debugLog('app', '[APP] Grid element:', this.gridElement);
-    this.gridRenderer = new GridRenderer(this.gridElement);
+    this.gridRenderer = new GridRenderer(this.gridElement, this.grid);
     debugLog('app', '[APP] GridRenderer created');
 
     // Initialize
@@ -70,6 +111,7 @@ class ExquisFingerings {
     this.loadStoredSettings();
     this.updatePatternMetadata();
     this.updateHandprintList();
+    this.showCatalogueScale(this.catalogueScale, { apply: false });
 
     // Initial render to ensure grid displays immediately
     debugLog('app', '[APP] About to call initial render()');
@@ -99,7 +141,26 @@ class ExquisFingerings {
       });
     });
 
+    // Hex or Tonnetz view
+    document.querySelectorAll('input[name="view"]').forEach(el => {
+      el.addEventListener('change', () => {
+        this.settings.gridView = el.value;
+        this.render();
+        saveSettings(this.settings);
+      });
+    });
+
+    // Unison alternatives
+    document.getElementById('showUnisons')?.addEventListener('change', (e) => {
+      this.settings.showUnisons = e.target.checked;
+      this.gridRenderer.setShowUnisons(e.target.checked);
+      saveSettings(this.settings);
+    });
+
     // Key and Set
+    this.loadSavedDictionaries();
+    this.populateCatalogueSelects();
+    this.populateVoicingFilters();
     document.getElementById('key').addEventListener('change', () => {
       this.updatePatternMetadata();
       this.render();
@@ -116,6 +177,74 @@ class ExquisFingerings {
       this.render();
       this.updateMIDIHoldIfActive();
     });
+
+    // Diatonic chords
+    document.getElementById('diatonicSize')?.addEventListener('change', () => {
+      this.diatonicChord = null;
+      this.render();
+    });
+
+    // Neo-Riemannian transformations
+    document.querySelectorAll('.transform-op').forEach(button => {
+      button.addEventListener('click', () => this.extendTransformPath(button.dataset.op));
+    });
+    document.getElementById('applyTransformChain')?.addEventListener('click', () => {
+      this.extendTransformPath(document.getElementById('transformChain').value);
+    });
+    document.getElementById('transformCycle')?.addEventListener('click', () => {
+      this.extendTransformPath(document.getElementById('transformChain').value, { cycle: true });
+    });
+    document.getElementById('playTransformPath')?.addEventListener('click', () => this.playTransformPath());
+    document.getElementById('resetTransformPath')?.addEventListener('click', () => this.resetTransformPath());
+
+    // Scale catalogue
+    document.getElementById('scaleNumber')?.addEventListener('change', (e) => {
+      this.showCatalogueScale(parseInt(e.target.value));
+    });
+    document.getElementById('scalePrev')?.addEventListener('click', () => this.stepCatalogueScale(-1));
+    document.getElementById('scaleNext')?.addEventListener('click', () => this.stepCatalogueScale(1));
+    ['scaleCardinality', 'scaleNamedOnly'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        const { cardinality, namedOnly } = this.getCatalogueFilters();
+        const current = getScale(this.catalogueScale);
+        const matches = (cardinality === null || current.cardinality === cardinality) &&
+          (!namedOnly || current.names.length > 0);
+        if (!matches) this.stepCatalogueScale(1);
+      });
+    });
+    document.getElementById('scaleNeighbours')?.addEventListener('change', (e) => {
+      if (e.target.value) this.showCatalogueScale(parseInt(e.target.value));
+    });
+
+    // Chord dictionary import
+    document.getElementById('importDictionaryBtn')?.addEventListener('click', () => {
+      document.getElementById('dictionaryFile').click();
+    });
+    document.getElementById('dictionaryFile')?.addEventListener('change', (e) => this.importDictionary(e));
+    // Grid layout
+    this.populateLayoutSelect();
+    document.getElementById('gridLayout')?.addEventListener('change', (e) => {
+      document.getElementById('customLayoutControls').style.display = e.target.value === 'custom' ? 'flex' : 'none';
+      this.applyGridLayout(e.target.value);
+      this.render();
+      this.updateMIDIHoldIfActive();
+      saveSettings(this.settings);
+    });
+    ['customLayoutNW', 'customLayoutNE'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        this.settings.customLayout = {
+          nw: parseInt(document.getElementById('customLayoutNW').value),
+          ne: parseInt(document.getElementById('customLayoutNE').value)
+        };
+        if (this.settings.gridLayout === 'custom') {
+          this.applyGridLayout('custom');
+          this.render();
+          this.updateMIDIHoldIfActive();
+        }
+        saveSettings(this.settings);
+      });
+    });
+
     document.getElementById('baseMidi').addEventListener('input', (e) => {
       this.settings.baseMidi = parseInt(e.target.value);
       this.render();
@@ -157,6 +286,12 @@ class ExquisFingerings {
 
     // Clear fingerings
     document.getElementById('clearFingerings').addEventListener('click', () => {
+      if (this.isSequenceMode()) {
+        this.currentSequence.clearAll();
+        this.sequenceShiftNext = false;
+        this.syncSequencePattern();
+        return;
+      }
       this.currentPattern.clearAll();
       this.render();
     });
@@ -166,6 +301,20 @@ class ExquisFingerings {
       this.suggestFingerings();
     });
 
+    // Shape transforms
+    document.getElementById('shapeDown')?.addEventListener('click', () => {
+      this.transformCurrentPattern(p => p.transpose(-1, this.grid));
+    });
+    document.getElementById('shapeUp')?.addEventListener('click', () => {
+      this.transformCurrentPattern(p => p.transpose(1, this.grid));
+    });
+    document.getElementById('shapeMirror')?.addEventListener('click', () => {
+      this.transformCurrentPattern(p => p.mirror());
+    });
+    document.getElementById('shapeRotate')?.addEventListener('click', () => {
+      this.transformCurrentPattern(p => p.rotate180());
+    });
+
     // Pattern management
     document.getElementById('savePattern').addEventListener('click', () => this.saveCurrentPattern());
     document.getElementById('loadPattern').addEventListener('change', (e) => {
@@ -182,6 +331,10 @@ class ExquisFingerings {
     });
     document.getElementById('importPattern').addEventListener('change', (e) => this.importPattern(e));
 
+    // Voice leading between two patterns
+    document.getElementById('showVoiceLeading')?.addEventListener('click', () => this.showVoiceLeading());
+    document.getElementById('clearVoiceLeading')?.addEventListener('click', () => this.clearVoiceLeading());
+
     // MIDI
     document.getElementById('enableMidi').addEventListener('click', () => this.initMIDI());
     document.getElementById('midiDevice').addEventListener('change', (e) => {
@@ -229,6 +382,16 @@ class ExquisFingerings {
       this.sendHighlightedNotes();
     });
 
+    // MIDI chord naming
+    document.getElementById('midiIdentify')?.addEventListener('change', (e) => {
+      this.setLiveRecognition(e.target.checked);
+    });
+    document.getElementById('midiKeyDetect')?.addEventListener('change', (e) => {
+      this.setKeyDetection(e.target.checked);
+    });
+    document.getElementById('midiKeyAuto')?.addEventListener('change', () => this.updateKeyDetection());
+    document.getElementById('applyDetectedKey')?.addEventListener('click', () => this.applyDetectedKey());
+
     // Ergonomics analysis
     document.getElementById('analyzeErgo')?.addEventListener('click', () => {
       this.analyzeErgonomics();
@@ -236,9 +399,14 @@ class ExquisFingerings {
 
     // Hand size
     document.getElementById('handSize')?.addEventListener('change', (e) => {
-      const value = e.target.value;
-      ergoAnalyzer.setHandSize(value);
-      this.settings.handSize = value;
+      this.applyHandSize(e.target.value);
+      saveSettings(this.settings);
+    });
+    document.getElementById('handSpan')?.addEventListener('change', (e) => {
+      const spanCm = parseFloat(e.target.value);
+      if (!(spanCm > 0)) return;
+      this.settings.handSpanCm = spanCm;
+      this.applyHandSize('span');
       saveSettings(this.settings);
     });
 
@@ -300,11 +468,29 @@ class ExquisFingerings {
       this.clearAllHandprints();
     });
 
+    // Chord symbol input
+    document.getElementById('chordSymbol')?.addEventListener('input', (e) => {
+      this.applyChordSymbol(e.target.value);
+    });
+    ['chordRoot', 'chordQuality'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        // Picking from the selectors replaces a typed symbol
+        document.getElementById('chordSymbol').value = '';
+        this.applyChordSymbol('');
+      });
+    });
+
     // Chord suggestion - Clear notes
     document.getElementById('clearChordNotes')?.addEventListener('click', () => {
       document.querySelectorAll('input[name="chordNote"]').forEach(checkbox => {
         checkbox.checked = false;
       });
+      this.updateChordNotesName();
+    });
+
+    // Chord suggestion - Name the selected notes
+    document.querySelectorAll('input[name="chordNote"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.updateChordNotesName());
     });
 
     // Chord suggestion - Find fingerings
@@ -327,6 +513,21 @@ class ExquisFingerings {
       this.showNextSuggestion();
     });
 
+    // Voicing filters
+    document.getElementById('suggestionVoicing')?.addEventListener('change', () => {
+      if (this.currentSuggestions.length > 0) {
+        this.generateChordSuggestion();
+      }
+    });
+    document.getElementById('matchVoicing')?.addEventListener('change', () => {
+      if (document.getElementById('chordSuggestions').style.display !== 'none') {
+        this.findChordFingeringSuggestions();
+      }
+    });
+    document.getElementById('chordFingeringVoicing')?.addEventListener('change', () => {
+      this.updateChordFingeringList();
+    });
+
     // Suggestion synthesis - Comfort rating
     document.getElementById('comfortRating')?.addEventListener('input', (e) => {
       this.currentSuggestionRating = parseInt(e.target.value);
@@ -348,10 +549,30 @@ class ExquisFingerings {
 
     // Fingering type
     document.getElementById('fingeringType')?.addEventListener('change', (e) => {
-      this.settings.fingeringType = e.target.value;
+      this.setFingeringType(e.target.value);
       saveSettings(this.settings);
     });
 
+    // Sequence editor
+    document.getElementById('sequenceShift')?.addEventListener('click', () => {
+      this.sequenceShiftNext = true;
+      this.updateSequenceEditor();
+    });
+    document.getElementById('sequenceUndo')?.addEventListener('click', () => {
+      this.currentSequence.removeStep(this.currentSequence.length - 1);
+      this.syncSequencePattern();
+    });
+    document.getElementById('fingerMelody')?.addEventListener('click', () => {
+      this.fingerMelody(document.getElementById('melodyNotes').value);
+    });
+
+    // Scale fingerings
+    document.getElementById('generateScaleFingering')?.addEventListener('click', () => this.showScaleFingering(0));
+    document.getElementById('scaleFingeringPrev')?.addEventListener('click', () => this.showScaleFingering(-1));
+    document.getElementById('scaleFingeringNext')?.addEventListener('click', () => this.showScaleFingering(1));
+    document.getElementById('generateArpeggio')?.addEventListener('click', () => this.showArpeggioFingering());
+    document.getElementById('playSequence')?.addEventListener('click', () => this.playSequence());
+
     // Grid click handler
     this.gridRenderer.setPadClickHandler((row, col, midiNote, pc) => {
       if (this.handprintMode) {
@@ -379,10 +600,32 @@ class ExquisFingerings {
     const labRadio = document.querySelector(`input[name="lab"][value="${this.settings.labelMode}"]`);
     if (labRadio) labRadio.checked = true;
 
+    // Fingering type (chord patterns or step sequences)
+    this.setFingeringType(this.settings.fingeringType || 'chord');
+
+    // View
+    const viewRadio = document.querySelector(`input[name="view"][value="${this.settings.gridView || 'hex'}"]`);
+    if (viewRadio) viewRadio.checked = true;
+
     // Base MIDI
     const baseMidiInput = document.getElementById('baseMidi');
     if (baseMidiInput) baseMidiInput.value = this.settings.baseMidi;
 
+    // Unison alternatives
+    const showUnisons = document.getElementById('showUnisons');
+    if (showUnisons) showUnisons.checked = !!this.settings.showUnisons;
+
+    // Grid layout
+    const layoutSelect = document.getElementById('gridLayout');
+    if (layoutSelect) {
+      layoutSelect.value = this.settings.gridLayout || 'intervals';
+      document.getElementById('customLayoutControls').style.display = layoutSelect.value === 'custom' ? 'flex' : 'none';
+      if (this.settings.customLayout) {
+        document.getElementById('customLayoutNW').value = this.settings.customLayout.nw;
+        document.getElementById('customLayoutNE').value = this.settings.customLayout.ne;
+      }
+    }
+
     // MIDI settings
     const holdDurationSlider = document.getElementById('midiHoldDuration');
     if (holdDurationSlider) {
@@ -400,14 +643,418 @@ class ExquisFingerings {
     }
 
     // Hand size
-    const handSizeSelect = document.getElementById('handSize');
-    if (handSizeSelect) {
-      handSizeSelect.value = this.settings.handSize;
-      ergoAnalyzer.setHandSize(this.settings.handSize);
+    const handSpanInput = document.getElementById('handSpan');
+    if (handSpanInput && this.settings.handSpanCm) {
+      handSpanInput.value = this.settings.handSpanCm;
+    }
+    if (document.getElementById('handSize')) {
+      this.applyHandSize(this.settings.handSize || 'medium');
     }
 
     // Update pattern list
     this.updatePatternList();
+    this.updateChordFingeringList();
+  }
+
+  /**
+   * Fill the set and chord quality dropdowns from the chord and scale catalogue
+   */
+  populateCatalogueSelects() {
+    const fillGroups = (select, groups) => {
+      groups.forEach(({ label, entries }) => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = label;
+        entries.forEach(entry => {
+          const option = document.createElement('option');
+          option.value = entry.id;
+          option.textContent = entry.name;
+          optgroup.appendChild(option);
+        });
+        select.appendChild(optgroup);
+      });
+    };
+
+    const setSelect = document.getElementById('set');
+    if (setSelect) {
+      const current = setSelect.value || 'maj';
+      setSelect.innerHTML = '';
+      fillGroups(setSelect, groupCatalogue('scale'));
+      fillGroups(setSelect, groupCatalogue('chord').map(group => ({ ...group, label: `Chords: ${group.label}` })));
+      const customOption = document.createElement('option');
+      customOption.value = 'custom';
+      customOption.textContent = 'Custom (PCs)';
+      setSelect.appendChild(customOption);
+      setSelect.value = current;
+    }
+
+    const qualitySelect = document.getElementById('chordQuality');
+    if (qualitySelect) {
+      const current = qualitySelect.value || 'dom7';
+      qualitySelect.innerHTML = '';
+      fillGroups(qualitySelect, groupCatalogue('chord'));
+      qualitySelect.value = current;
+    }
+
+    const arpeggioSelect = document.getElementById('arpeggioQuality');
+    if (arpeggioSelect) {
+      const current = arpeggioSelect.value || 'major';
+      arpeggioSelect.innerHTML = '';
+      fillGroups(arpeggioSelect, groupCatalogue('chord'));
+      arpeggioSelect.value = current;
+    }
+  }
+
+  /**
+   * Fill the voicing filter dropdowns from VOICING_NAMES
+   */
+  populateVoicingFilters() {
+    document.querySelectorAll('select.voicing-filter').forEach(select => {
+      const current = select.value;
+      select.innerHTML = '<option value="">Any voicing</option>';
+      Object.entries(VOICING_NAMES).forEach(([value, name]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+      select.value = current;
+    });
+  }
+
+  /**
+   * Add the chord dictionaries imported in earlier sessions to the catalogue
+   */
+  loadSavedDictionaries() {
+    loadDictionaries().forEach(text => {
+      try {
+        importMidisplainerDictionary(text);
+      } catch (err) {
+        console.error('Error loading saved dictionary:', err);
+      }
+    });
+  }
+
+  /**
+   * Import a MIDIsplainer dictionary file into the chord catalogue and
+   * report what was added and what conflicted with built-in entries
+   */
+  importDictionary(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const statusEl = document.getElementById('dictionaryStatus');
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const text = e.target.result;
+      try {
+        const { imported, conflicts, errors } = importMidisplainerDictionary(text);
+        saveDictionary(text);
+        this.populateCatalogueSelects();
+        this.render();
+
+        // Names come from the file, so build the report with textContent
+        statusEl.textContent = `Imported ${imported.length} entr${imported.length === 1 ? 'y' : 'ies'} from ${file.name}.`;
+        const addList = (heading, items) => {
+          if (items.length === 0) return;
+          const headingEl = document.createElement('div');
+          headingEl.textContent = heading;
+          const listEl = document.createElement('ul');
+          listEl.style.cssText = 'margin:4px 0; padding-left:18px;';
+          items.forEach(item => {
+            const itemEl = document.createElement('li');
+            itemEl.textContent = item;
+            listEl.appendChild(itemEl);
+          });
+          statusEl.append(headingEl, listEl);
+        };
+        addList(`${conflicts.length} conflict(s) with built-in entries:`, conflicts.map(c => c.message));
+        addList(`${errors.length} unreadable entr${errors.length === 1 ? 'y' : 'ies'}:`, errors);
+      } catch (err) {
+        statusEl.textContent = `Error importing dictionary: ${err.message}`;
+        console.error('Dictionary import error:', err);
+      }
+      event.target.value = '';
+    };
+
+    reader.readAsText(file);
+  }
+
+  /**
+   * Fill the layout dropdown from the layout registry
+   */
+  populateLayoutSelect() {
+    const select = document.getElementById('gridLayout');
+    if (!select) return;
+
+    select.innerHTML = '';
+    listLayouts()
+      .filter(layout => layout.id !== 'custom')
+      .forEach(layout => {
+        const option = document.createElement('option');
+        option.value = layout.id;
+        option.textContent = layout.name;
+        option.title = layout.description;
+        select.appendChild(option);
+      });
+
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom (NW/NE)';
+    select.appendChild(customOption);
+  }
+
+  /**
+   * Switch the grid to a registered layout (or the user's custom layout)
+   * @param {string} layoutId - Layout id from the registry, or 'custom'
+   */
+  applyGridLayout(layoutId) {
+    if (layoutId === 'custom') {
+      const { nw, ne } = this.settings.customLayout || { nw: 3, ne: 4 };
+      try {
+        registerLayout('custom', { name: 'Custom', description: `NW = ${nw}, NE = ${ne}`, nw, ne });
+      } catch (err) {
+        alert(`Invalid custom layout: ${err.message}`);
+        return;
+      }
+    }
+
+    try {
+      this.grid = new Grid(layoutId);
+    } catch (err) {
+      console.error('Unknown layout, falling back to intervals:', err);
+      layoutId = 'intervals';
+      this.grid = new Grid(layoutId);
+    }
+
+    this.settings.gridLayout = layoutId;
+    this.gridRenderer?.setGrid(this.grid);
+    this.updateLayoutLegend();
+  }
+
+  /**
+   * Describe the active layout in the sidebar legend
+   */
+  updateLayoutLegend() {
+    const legendEl = document.getElementById('layoutLegend');
+    if (!legendEl) return;
+
+    const { layout } = this.grid;
+    const signed = (n) => (n >= 0 ? `+${n}` : `${n}`);
+    legendEl.innerHTML = `
+      ${layout.name}: 11 rows, alternating 6/5 pads.<br>
+      NW diagonal = ${signed(layout.nw)} semitones<br>
+      NE diagonal = ${signed(layout.ne)} semitones<br>
+      Row start indexes: ${this.grid.rowStarts.join(',')}
+    `;
+  }
+
+  /**
+   * Show set-class information for the highlighted pitch classes
+   */
+  updatePcsInfo() {
+    const infoEl = document.getElementById('pcsInfo');
+    if (!infoEl) return;
+
+    const pcs = this.getHighlightedPCs();
+    if (pcs.size === 0) {
+      infoEl.innerHTML = '';
+      return;
+    }
+
+    const info = analyzePcs(pcs);
+    const names = describeRecognition(recognizePcs(pcs, { spelling: this.getNoteSpelling() }));
+    const digits = (list) => list.map(pc => (pc === 10 ? 'T' : pc === 11 ? 'E' : pc)).join('');
+    infoEl.innerHTML = `
+      ${names ? `<strong>${names}</strong><br>` : ''}
+      Normal form: [${info.normalForm.join(',')}]<br>
+      Prime form: (${digits(info.primeForm)}) &middot; Forte ${info.forte || '?'}<br>
+      Interval vector: &lt;${info.intervalVector.join('')}&gt;<br>
+      Inversion (I): {${info.inversion.join(',')}}<br>
+      Complement: {${info.complement.join(',')}}${info.complementForte ? ` (${info.complementForte})` : ''}
+    `;
+  }
+
+  /**
+   * List the diatonic chords of the selected key and scale, and drop a picked
+   * chord that no longer belongs to them
+   */
+  updateDiatonicChords() {
+    const listEl = document.getElementById('diatonicChords');
+    if (!listEl) return;
+    const infoEl = document.getElementById('diatonicInfo');
+
+    const key = document.getElementById('key').value;
+    const setType = document.getElementById('set').value;
+    const size = parseInt(document.getElementById('diatonicSize').value);
+    const chords = setType === 'custom' ? [] : getDiatonicChords(key, setType, { size });
+
+    const picked = this.diatonicChord;
+    if (picked && (picked.key !== key || picked.setType !== setType || picked.size !== size)) {
+      this.diatonicChord = null;
+    }
+
+    const spelling = this.getNoteSpelling();
+    const describe = chord => {
+      const notes = chord.pitchClasses.map(pc => spelling[pc]).join(' ');
+      return chord.quality ? `${getChordName(chord.root, chord.quality, spelling)}: ${notes}` : notes;
+    };
+
+    listEl.innerHTML = '';
+    chords.forEach(chord => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary diatonic-chord';
+      button.classList.toggle('active', this.diatonicChord?.degree === chord.degree);
+      button.textContent = chord.numeral;
+      button.title = describe(chord);
+      button.addEventListener('click', () => this.selectDiatonicChord({ ...chord, key, setType, size }));
+      listEl.appendChild(button);
+    });
+
+    if (chords.length === 0) {
+      infoEl.textContent = 'Diatonic chords need a 7-note scale.';
+    } else if (this.diatonicChord) {
+      const handprintNote = this.savedHandprints.length === 0 ? ' Capture handprints to get fingering suggestions.' : '';
+      infoEl.textContent = `${this.diatonicChord.numeral} = ${describe(this.diatonicChord)}.${handprintNote}`;
+    } else {
+      infoEl.textContent = 'Click a chord to show it over the scale and suggest fingerings.';
+    }
+  }
+
+  /**
+   * Show a diatonic chord over the scale and send it to the suggestion
+   * engine; clicking the picked chord again clears it
+   * @param {Object} chord - Chord from getDiatonicChords, with key, setType and size
+   */
+  selectDiatonicChord(chord) {
+    this.diatonicChord = this.diatonicChord?.degree === chord.degree ? null : chord;
+    this.render();
+    if (this.diatonicChord && this.savedHandprints.length > 0) {
+      this.generateChordSuggestion();
+    }
+  }
+
+  /**
+   * Parse the typed chord symbol and feed it to highlighting, the chord-note
+   * checkboxes and chord capture
+   * @param {string} text - Chord symbol (empty clears it)
+   */
+  applyChordSymbol(text) {
+    const infoEl = document.getElementById('chordSymbolInfo');
+    this.parsedChord = null;
+    if (!text.trim()) {
+      infoEl.textContent = '';
+      return;
+    }
+
+    try {
+      this.parsedChord = parseChordSymbol(text);
+    } catch (err) {
+      infoEl.textContent = err.message;
+      return;
+    }
+
+    const { root, quality, bass, bassName, pitchClasses, noteNames } = this.parsedChord;
+    infoEl.textContent = `${noteNames.join(' ')}${bass !== null ? ` · bass ${bassName}` : ''}`;
+
+    document.getElementById('chordRoot').value = root;
+    if (quality) document.getElementById('chordQuality').value = quality;
+
+    document.querySelectorAll('input[name="chordNote"]').forEach(checkbox => {
+      checkbox.checked = pitchClasses.includes(parseInt(checkbox.value));
+    });
+    this.updateChordNotesName();
+
+    document.getElementById('set').value = 'custom';
+    const customPC = document.getElementById('customPC');
+    customPC.disabled = false;
+    customPC.value = pitchClasses.join(',');
+    this.updatePatternMetadata();
+    this.render();
+    this.updateMIDIHoldIfActive();
+  }
+
+  /**
+   * Bass note required by the typed slash chord, if it is the chord being searched
+   * @param {Array<number>} pitchClasses - Target pitch classes
+   * @returns {number|null} Bass pitch class, or null for no constraint
+   */
+  getChordSymbolBass(pitchClasses) {
+    if (!this.parsedChord || this.parsedChord.bass === null) return null;
+    const target = new Set(pitchClasses);
+    const chord = new Set(this.parsedChord.pitchClasses);
+    const same = target.size === chord.size && [...target].every(pc => chord.has(pc));
+    return same ? this.parsedChord.bass : null;
+  }
+
+  /**
+   * The chord the target notes spell, from the typed chord symbol or the best
+   * chord reading
+   * @param {Array<number>} pitchClasses - Target pitch classes
+   * @returns {{root: number, quality: string}|null} Null if the notes are not a known chord
+   */
+  getVoicingChord(pitchClasses) {
+    const target = new Set(pitchClasses);
+    const isTarget = (root, quality) => {
+      const chord = new Set(getChordPitchClasses(root, quality));
+      return chord.size === target.size && [...chord].every(pc => target.has(pc));
+    };
+
+    if (this.parsedChord?.quality && isTarget(this.parsedChord.root, this.parsedChord.quality)) {
+      return { root: this.parsedChord.root, quality: this.parsedChord.quality };
+    }
+    if (this.diatonicChord?.quality && isTarget(this.diatonicChord.root, this.diatonicChord.quality)) {
+      return { root: this.diatonicChord.root, quality: this.diatonicChord.quality };
+    }
+    const reading = recognizePcs(pitchClasses).find(r => r.type === 'chord' && isTarget(r.root, r.id));
+    return reading ? { root: reading.root, quality: reading.id } : null;
+  }
+
+  /**
+   * Tones a voicing of the target chord may leave out (fifth, root, optional
+   * extensions)
+   * @param {Array<number>} pitchClasses - Target pitch classes
+   * @returns {Array<number>} Omittable pitch classes; empty if the notes are not a known chord
+   */
+  getVoicingOmissions(pitchClasses) {
+    const chord = this.getVoicingChord(pitchClasses);
+    return chord ? getChordOmissions(chord.root, chord.quality) : [];
+  }
+
+  /**
+   * Classify the voicing of fingering positions (see analyzeVoicing)
+   * @param {Array<Object>} positions - Positions with midiNote
+   * @param {{root: number, quality: string}|null} chord - Chord being voiced
+   * @returns {Object|null} Voicing analysis; null without a chord
+   */
+  analyzePositionsVoicing(positions, chord) {
+    if (!chord) return null;
+    return analyzeVoicing(positions.map(pos => pos.midiNote), chord.root, chord.quality);
+  }
+
+  /**
+   * Whether a voicing analysis passes a voicing filter dropdown
+   * @param {Object|null} analysis - Voicing analysis
+   * @param {string} filterId - ID of the voicing filter select
+   * @returns {boolean}
+   */
+  matchesVoicingFilter(analysis, filterId) {
+    const voicing = document.getElementById(filterId)?.value;
+    return !voicing || !!analysis?.voicings.includes(voicing);
+  }
+
+  /**
+   * Name the notes ticked in the chord-note checkboxes
+   */
+  updateChordNotesName() {
+    const nameEl = document.getElementById('chordNotesName');
+    if (!nameEl) return;
+
+    const selectedNotes = [];
+    document.querySelectorAll('input[name="chordNote"]:checked').forEach(checkbox => {
+      selectedNotes.push(parseInt(checkbox.value));
+    });
+    nameEl.textContent = describeRecognition(recognizePcs(selectedNotes));
   }
 
   /**
@@ -415,15 +1062,24 @@ class ExquisFingerings {
    */
   render() {
     debugLog('app', '[APP] render() called');
+    // Handprint capture shows chromatic pad IDs; everything else uses the musical layout
+    this.gridRenderer.setGrid(this.handprintMode ? this.padIdGrid : this.grid);
     this.gridRenderer.setOrientation(this.settings.orientation);
     this.gridRenderer.setLabelMode(this.settings.labelMode);
+    // Handprint capture needs the physical pads
+    this.gridRenderer.setViewMode(this.handprintMode ? 'hex' : this.settings.gridView || 'hex');
     this.gridRenderer.setBaseMidi(this.settings.baseMidi);
+    this.gridRenderer.setNoteSpelling(this.getNoteSpelling());
+    this.gridRenderer.setShowUnisons(!!this.settings.showUnisons && !this.handprintMode);
 
     // During handprint capture, show no pitch class highlights (plain chromatic grid)
+    this.updateDiatonicChords();
     if (this.handprintMode) {
       this.gridRenderer.setHighlightedPCs(new Set());
+      this.gridRenderer.setChordPCs(new Set());
     } else {
       this.gridRenderer.setHighlightedPCs(this.getHighlightedPCs());
+      this.gridRenderer.setChordPCs(new Set(this.diatonicChord?.pitchClasses || []));
     }
 
     // During handprint capture, show captured fingers or empty pattern
@@ -443,10 +1099,91 @@ class ExquisFingerings {
     }
 
     this.gridRenderer.setFingeringMode(this.fingeringMode || this.handprintMode);
+    this.gridRenderer.setVoiceLeading(this.handprintMode ? [] : this.voiceLeading);
+    this.gridRenderer.setSequence(this.isSequenceMode() && !this.handprintMode ? this.currentSequence.steps : []);
     this.gridRenderer.render();
+    this.updatePcsInfo();
     debugLog('app', '[APP] render() completed');
   }
 
+  /**
+   * Cardinality and name filters from the scale catalogue controls
+   * @returns {{cardinality: number|null, namedOnly: boolean}}
+   */
+  getCatalogueFilters() {
+    const cardinality = document.getElementById('scaleCardinality').value;
+    return {
+      cardinality: cardinality ? parseInt(cardinality) : null,
+      namedOnly: document.getElementById('scaleNamedOnly').checked
+    };
+  }
+
+  /**
+   * Move to the previous or next catalogue scale that passes the filters
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  stepCatalogueScale(direction) {
+    const entry = stepScale(this.catalogueScale, direction, this.getCatalogueFilters());
+    if (entry) this.showCatalogueScale(entry.number);
+  }
+
+  /**
+   * Show a catalogue scale and highlight it from the selected key
+   * @param {number} number - Ian Ring scale number (odd, 1-4095)
+   * @param {object} options - Options
+   * @param {boolean} options.apply - Also highlight the scale (default: true)
+   */
+  showCatalogueScale(number, { apply = true } = {}) {
+    let entry;
+    try {
+      entry = getScale(number);
+    } catch (err) {
+      alert(err.message);
+      document.getElementById('scaleNumber').value = this.catalogueScale;
+      return;
+    }
+    this.catalogueScale = number;
+
+    const spelling = this.getNoteSpelling();
+    const tonic = NOTE_TO_PC[document.getElementById('key').value];
+    const [name, ...aliases] = entry.names;
+    document.getElementById('scaleNumber').value = number;
+    document.getElementById('scaleCatalogueInfo').innerHTML = `
+      <strong>${name || `Scale ${number}`}</strong>${aliases.length ? ` (${aliases.join(', ')})` : ''}<br>
+      ${entry.cardinality} notes${entry.forte ? ` &middot; Forte ${entry.forte}` : ''}
+    `;
+
+    const neighbours = document.getElementById('scaleNeighbours');
+    neighbours.innerHTML = '<option value="">-- Add or remove a note --</option>';
+    getScaleNeighbours(number).forEach(({ pc, change, scale }) => {
+      const option = document.createElement('option');
+      option.value = scale.number;
+      const sign = change === 'add' ? '+' : '−';
+      option.textContent = `${sign}${spelling[(tonic + pc) % 12]} → ${getScaleName(scale.number)} (${scale.number})`;
+      neighbours.appendChild(option);
+    });
+    if (!apply) return;
+
+    // Highlight through the custom PC input so the rest of the app sees it
+    document.getElementById('set').value = 'custom';
+    const customPC = document.getElementById('customPC');
+    customPC.disabled = false;
+    customPC.value = entry.pcs.map(pc => (tonic + pc) % 12).join(',');
+    this.updatePatternMetadata();
+    this.render();
+    this.updateMIDIHoldIfActive();
+  }
+
+  /**
+   * Note names for the selected key and set (custom sets follow the key's major scale)
+   * @returns {Array<string>} Note names indexed by pitch class
+   */
+  getNoteSpelling() {
+    const key = document.getElementById('key').value;
+    const setType = document.getElementById('set').value;
+    return getKeySpelling(key, setType === 'custom' ? 'maj' : setType);
+  }
+
   /**
    * Get currently highlighted pitch classes
    */
@@ -462,20 +1199,279 @@ class ExquisFingerings {
   }
 
   /**
-   * Handle fingering click
+   * Handle fingering click
+   */
+  handleFingeringClick(row, col) {
+    if (this.isSequenceMode()) {
+      this.recordSequenceStep(row, col);
+      return;
+    }
+    const existing = this.currentPattern.getFingering(row, col);
+    if (existing && existing.hand === this.currentHand && existing.finger === this.currentFinger) {
+      // Remove if clicking same fingering
+      this.currentPattern.removeFingering(row, col);
+    } else {
+      // Set new fingering
+      this.currentPattern.setFingering(row, col, this.currentHand, this.currentFinger);
+    }
+    this.render();
+  }
+
+  /**
+   * Whether fingering edits go to the step sequence ('scale' fingering type)
+   * @returns {boolean}
+   */
+  isSequenceMode() {
+    return this.settings.fingeringType === 'scale';
+  }
+
+  /**
+   * Switch between static chord fingerings and step sequences
+   * The static pattern is put aside while a sequence is edited and comes
+   * back when switching to chord again.
+   * @param {string} type - 'chord' or 'scale'
+   */
+  setFingeringType(type) {
+    if (this.voiceLeadingPattern) this.clearVoiceLeading();
+    const wasSequence = this.isSequenceMode();
+    this.settings.fingeringType = type;
+    const select = document.getElementById('fingeringType');
+    if (select) select.value = type;
+
+    if (this.isSequenceMode() && !wasSequence) {
+      this.chordPattern = this.currentPattern;
+      this.syncSequencePattern();
+    } else if (!this.isSequenceMode() && wasSequence) {
+      this.currentPattern = this.chordPattern || new FingeringPattern();
+      this.chordPattern = null;
+      this.updateSequenceEditor();
+      this.render();
+    } else {
+      this.updateSequenceEditor();
+    }
+  }
+
+  /**
+   * Append a step for a clicked pad with the selected hand, finger and duration
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  recordSequenceStep(row, col) {
+    const duration = parseFloat(document.getElementById('sequenceDuration')?.value);
+    const sequence = this.currentSequence;
+    sequence.addStep({
+      row,
+      col,
+      hand: this.currentHand,
+      finger: this.currentFinger,
+      duration: duration > 0 ? duration : null,
+      position: this.sequenceShiftNext && sequence.length > 0 ? sequence.lastPosition + 1 : sequence.lastPosition
+    });
+    this.sequenceShiftNext = false;
+    this.syncSequencePattern();
+  }
+
+  /**
+   * Replace the sequence with the least-effort fingering of a melody
+   * Uses the selected hand; switches the fingering type to 'scale'.
+   * @param {string} text - Notes as names with octaves or MIDI numbers
+   */
+  fingerMelody(text) {
+    let result;
+    try {
+      const notes = parseMelody(text);
+      if (notes.length === 0) {
+        alert('Enter a melody first, e.g. "E4 D4 C4 D4 E4".');
+        return;
+      }
+      result = ergoAnalyzer.optimizeMelody(notes, {
+        hand: this.currentHand,
+        baseMidi: this.settings.baseMidi,
+        grid: this.grid
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    if (this.currentSequence.length > 0 && !confirm(`Replace the ${this.currentSequence.length} recorded step(s)?`)) {
+      return;
+    }
+
+    this.setFingeringType('scale');
+    saveSettings(this.settings);
+    this.currentSequence.clearAll();
+    result.steps.forEach(step => this.currentSequence.addStep(step));
+    this.syncSequencePattern();
+  }
+
+  /**
+   * Generate a scale fingering and show it as the sequence
+   * Starts from the selected scale (or the first catalogue scale) and steps
+   * through the catalogue's scales; the chosen scale becomes the selected one.
+   * @param {number} offset - Scales to move from the selected one (-1, 0 or 1)
+   */
+  showScaleFingering(offset) {
+    const ids = getScaleIds();
+    const index = (Math.max(0, ids.indexOf(document.getElementById('set').value)) + offset + ids.length) % ids.length;
+    const infoEl = document.getElementById('scaleFingeringInfo');
+
+    try {
+      const result = generateScaleFingering(document.getElementById('key').value, ids[index], {
+        hand: this.currentHand,
+        octaves: parseInt(document.getElementById('scaleFingeringOctaves').value, 10),
+        direction: document.getElementById('scaleFingeringDirection').value,
+        baseMidi: this.settings.baseMidi,
+        grid: this.grid
+      });
+      if (this.showGeneratedFingering(result, ids[index])) {
+        infoEl.textContent = `${this.describeGeneratedFingering(result)} (${index + 1}/${ids.length})`;
+      }
+    } catch (error) {
+      infoEl.textContent = error.message;
+    }
+  }
+
+  /**
+   * Generate an arpeggio fingering for the selected key and show it as the sequence
+   */
+  showArpeggioFingering() {
+    const quality = document.getElementById('arpeggioQuality').value;
+    const infoEl = document.getElementById('arpeggioInfo');
+
+    try {
+      const result = generateArpeggioFingering(document.getElementById('key').value, quality, {
+        pattern: document.getElementById('arpeggioPattern').value,
+        hand: this.currentHand,
+        octaves: parseInt(document.getElementById('arpeggioOctaves').value, 10),
+        baseMidi: this.settings.baseMidi,
+        grid: this.grid
+      });
+      if (this.showGeneratedFingering(result, quality)) {
+        infoEl.textContent = this.describeGeneratedFingering(result);
+      }
+    } catch (error) {
+      infoEl.textContent = error.message;
+    }
+  }
+
+  /**
+   * Make a generated scale or arpeggio fingering the current sequence
+   * Generated fingerings replace each other freely; recorded steps only
+   * when confirmed. The set it was made for becomes the selected one, and
+   * its name is filled in for Save Pattern.
+   * @param {{sequence: FingeringSequence}} result - From generateScaleFingering / generateArpeggioFingering
+   * @param {string} setType - Scale or chord quality id
+   * @returns {boolean} Whether it was shown
+   */
+  showGeneratedFingering(result, setType) {
+    if (this.currentSequence !== this.generatedSequence && this.currentSequence.length > 0 &&
+        !confirm(`Replace the ${this.currentSequence.length} recorded step(s)?`)) {
+      return false;
+    }
+
+    document.getElementById('set').value = setType;
+    document.getElementById('customPC').disabled = true;
+    this.setFingeringType('scale');
+    saveSettings(this.settings);
+    this.currentSequence = result.sequence;
+    this.generatedSequence = result.sequence;
+    this.updatePatternMetadata();
+    this.syncSequencePattern();
+    document.getElementById('patternName').value = result.sequence.name;
+    return true;
+  }
+
+  /**
+   * One-line summary of a generated fingering: shifts, crossings and effort
+   * @param {{sequence: FingeringSequence, cost: number, shifts: number, crossings: Array<object>}} result
+   * @returns {string}
+   */
+  describeGeneratedFingering(result) {
+    const stepsOf = type => result.crossings.filter(c => c.type === type).map(c => c.index + 1);
+    const thumbUnder = stepsOf('thumb-under');
+    const fingerOver = stepsOf('finger-over');
+    return [
+      result.sequence.name,
+      `${result.shifts} hand shift${result.shifts === 1 ? '' : 's'}`,
+      thumbUnder.length ? `thumb under at step ${thumbUnder.join(', ')}` : null,
+      fingerOver.length ? `finger over at step ${fingerOver.join(', ')}` : null,
+      `effort ${result.cost.toFixed(1)}`
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Play the sequence's notes one after another
+   * The stagger from the sequence editor is the length of one beat: each step
+   * lasts its duration in beats, and a step without one lasts a single stagger.
+   */
+  playSequence() {
+    if (this.currentSequence.length === 0) return;
+    const beat = Math.max(50, parseInt(document.getElementById('sequenceStagger')?.value, 10) || 250);
+    let start = 0;
+    this.currentSequence.steps.forEach(step => {
+      const note = this.grid.getMidiNote(step.row, step.col, this.settings.baseMidi);
+      const length = step.duration ? step.duration * beat : beat;
+      // Slightly shorter than the step so a repeated note is released before it sounds again
+      setTimeout(() => midiManager.playNote(note, 100, length * 0.9), start);
+      start += length;
+    });
+  }
+
+  /**
+   * Show the sequence's fingers on the grid after it changes
    */
-  handleFingeringClick(row, col) {
-    const existing = this.currentPattern.getFingering(row, col);
-    if (existing && existing.hand === this.currentHand && existing.finger === this.currentFinger) {
-      // Remove if clicking same fingering
-      this.currentPattern.removeFingering(row, col);
-    } else {
-      // Set new fingering
-      this.currentPattern.setFingering(row, col, this.currentHand, this.currentFinger);
-    }
+  syncSequencePattern() {
+    this.currentPattern = this.currentSequence.toPattern();
+    this.updateSequenceEditor();
     this.render();
   }
 
+  /**
+   * Show the sequence editor in 'scale' mode and list the recorded steps
+   */
+  updateSequenceEditor() {
+    const editor = document.getElementById('sequenceEditor');
+    if (!editor) return;
+    editor.style.display = this.isSequenceMode() ? 'block' : 'none';
+
+    // Suggestions and shape moves edit the chord pattern, which in 'scale'
+    // mode is only the display copy of the steps
+    for (const id of CHORD_ONLY_BUTTONS) {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = this.isSequenceMode();
+    }
+
+    const listEl = document.getElementById('sequenceSteps');
+    listEl.innerHTML = '';
+    const spelling = this.getNoteSpelling();
+    this.currentSequence.steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      const note = midiToNoteName(this.grid.getMidiNote(step.row, step.col, this.settings.baseMidi), spelling);
+      const details = [
+        `${note} · ${step.hand === 'left' ? 'L' : 'R'}${step.finger}`,
+        step.duration ? `${step.duration} beat${step.duration === 1 ? '' : 's'}` : null,
+        `position ${step.position + 1}`,
+        step.crossing ? step.crossing.replace('-', ' ') : null
+      ].filter(Boolean).join(' · ');
+      item.textContent = `${details} `;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'secondary';
+      remove.textContent = '×';
+      remove.title = 'Remove step';
+      remove.addEventListener('click', () => {
+        this.currentSequence.removeStep(index);
+        this.syncSequencePattern();
+      });
+      item.appendChild(remove);
+      listEl.appendChild(item);
+    });
+
+    const shiftBtn = document.getElementById('sequenceShift');
+    if (shiftBtn) shiftBtn.classList.toggle('active', this.sequenceShiftNext);
+  }
+
   /**
    * Update finger button visual state
    */
@@ -490,26 +1486,39 @@ class ExquisFingerings {
    * Suggest fingerings for highlighted notes
    */
   suggestFingerings() {
+    if (this.isSequenceMode()) {
+      alert(CHORD_ONLY_MESSAGE);
+      return;
+    }
+
     const pcs = this.getHighlightedPCs();
     if (pcs.size === 0) {
       alert('No notes highlighted. Please select a key and scale/chord first.');
       return;
     }
 
-    // Get all (row, col) positions for highlighted pads
-    const highlightedPads = [];
-    for (let row = 0; row < 11; row++) {
-      for (let col = 0; col < (row % 2 === 0 ? 6 : 5); col++) {
-        const padIndex = getPadIndex(row, col); // Use correct grid calculation
-        const midiNote = this.settings.baseMidi + padIndex;
-        const pc = midiNote % 12;
-        if (pcs.has(pc)) {
-          highlightedPads.push({ row, col });
+    // Refinger the current pattern's voicing, octave doublings and all, when
+    // it plays just the highlighted notes; otherwise take the lowest,
+    // leftmost pad of each highlighted pitch class
+    const { pads: patternPads } = this.getPatternVoicing('');
+    const patternPcs = new Set(patternPads.map(pad => pad.midiNote % 12));
+    let pads;
+    if (patternPads.length > 0 && patternPcs.size === pcs.size && [...patternPcs].every(pc => pcs.has(pc))) {
+      pads = patternPads.map(({ row, col }) => ({ row, col }));
+    } else {
+      const lowestByPc = new Map();
+      for (let row = 0; row < 11; row++) {
+        for (let col = 0; col < (row % 2 === 0 ? 6 : 5); col++) {
+          const pc = this.grid.getMidiNote(row, col, this.settings.baseMidi) % 12;
+          if (pcs.has(pc) && !lowestByPc.has(pc)) {
+            lowestByPc.set(pc, { row, col });
+          }
         }
       }
+      pads = [...lowestByPc.values()];
     }
 
-    if (highlightedPads.length === 0) {
+    if (pads.length === 0) {
       alert('No pads match the selected notes in the current range.');
       return;
     }
@@ -518,12 +1527,15 @@ class ExquisFingerings {
     const hand = document.getElementById('fingeringHand').value;
 
     // Get suggestions from ErgoAnalyzer
-    const suggestions = ergoAnalyzer.suggestFingerings(highlightedPads, hand, this.settings.baseMidi);
-
-    // Clear existing fingerings for this hand
-    const existingPads = this.currentPattern.getPadsForHand(hand);
-    existingPads.forEach(pad => {
-      this.currentPattern.removeFingering(pad.row, pad.col);
+    const { fingerings: suggestions, dropped } = ergoAnalyzer.suggestFingerings(pads, hand, this.settings.baseMidi, this.grid);
+
+    // Clear existing fingerings for the hands used; chords beyond one hand
+    // come back split between both
+    const hands = new Set(suggestions.map(suggestion => suggestion.hand));
+    hands.forEach(usedHand => {
+      this.currentPattern.getPadsForHand(usedHand).forEach(pad => {
+        this.currentPattern.removeFingering(pad.row, pad.col);
+      });
     });
 
     // Apply suggestions
@@ -537,7 +1549,45 @@ class ExquisFingerings {
     });
 
     this.render();
-    alert(`Suggested fingerings for ${suggestions.length} pads (${hand} hand)`);
+    let message = `Suggested fingerings for ${suggestions.length} pads`;
+    if (hands.size > 1) {
+      const left = suggestions.filter(suggestion => suggestion.hand === 'left').length;
+      message += ` (both hands: ${left} left, ${suggestions.length - left} right)`;
+    } else {
+      message += ` (${[...hands][0]} hand)`;
+    }
+    if (dropped.length > 0) {
+      const spelling = this.getNoteSpelling();
+      message += `\nLeft out beyond ten notes: ${dropped.map(pad => midiToNoteName(pad.midiNote, spelling)).join(', ')}`;
+    }
+    alert(message);
+  }
+
+  /**
+   * Replace the current pattern with a transformed copy
+   * Asks before dropping pads that would land off the 61-pad surface.
+   * @param {Function} transform - (pattern) => {pattern, offGrid}
+   */
+  transformCurrentPattern(transform) {
+    if (this.isSequenceMode()) {
+      alert(CHORD_ONLY_MESSAGE);
+      return;
+    }
+    if (this.currentPattern.fingerings.size === 0) {
+      alert('No fingerings to move. Create a fingering pattern first.');
+      return;
+    }
+
+    const { pattern, offGrid } = transform(this.currentPattern);
+    if (offGrid.length > 0) {
+      const list = offGrid.map(p => `${p.hand} ${p.finger}`).join(', ');
+      if (!confirm(`${offGrid.length} pad(s) would fall off the grid (${list}). Apply anyway?`)) {
+        return;
+      }
+    }
+
+    this.currentPattern = pattern;
+    this.render();
   }
 
   /**
@@ -550,8 +1600,11 @@ class ExquisFingerings {
       return;
     }
 
+    // Sequences are saved with their steps, in the same store
+    this.updatePatternMetadata();
+    const source = this.isSequenceMode() ? this.currentSequence : this.currentPattern;
     const patternData = {
-      ...this.currentPattern.toJSON(),
+      ...source.toJSON(),
       key: document.getElementById('key').value,
       set: document.getElementById('set').value,
       baseMidi: this.settings.baseMidi
@@ -573,15 +1626,49 @@ class ExquisFingerings {
       return;
     }
 
-    this.currentPattern = FingeringPattern.fromJSON(patternData);
+    this.voiceLeading = [];
+    this.voiceLeadingPattern = null;
+    this.stopTransformPlayback();
+    this.transformPath = null;
+    this.showLoadedPattern(patternData);
+
+    // Patterns are tied to the layout they were made on
+    const layout = patternData.metadata?.layout;
+    if (layout && layout !== this.grid.mode) {
+      this.applyGridLayout(layout);
+      document.getElementById('gridLayout').value = this.settings.gridLayout;
+      saveSettings(this.settings);
+    }
+
     document.getElementById('key').value = patternData.key;
-    document.getElementById('set').value = patternData.set;
+    // Sets the catalogue no longer offers fall back to the major scale
+    const setSelect = document.getElementById('set');
+    const setId = patternData.set === 'custom' ? 'custom' : getCatalogueEntry(patternData.set)?.id;
+    setSelect.value = [...setSelect.options].some(option => option.value === setId) ? setId : 'maj';
+    document.getElementById('customPC').disabled = setSelect.value !== 'custom';
     this.settings.baseMidi = patternData.baseMidi;
     document.getElementById('baseMidi').value = patternData.baseMidi;
 
     this.render();
   }
 
+  /**
+   * Make a loaded or imported pattern current, switching the fingering type
+   * to match (sequences are edited in 'scale' mode)
+   * @param {object} patternData - Pattern or sequence JSON
+   */
+  showLoadedPattern(patternData) {
+    if (patternData.type === 'sequence') {
+      this.setFingeringType('scale');
+      this.currentSequence = FingeringSequence.fromJSON(patternData);
+      this.sequenceShiftNext = false;
+      this.syncSequencePattern();
+    } else {
+      this.setFingeringType('chord');
+      this.currentPattern = FingeringPattern.fromJSON(patternData);
+    }
+  }
+
   /**
    * Delete current pattern
    */
@@ -603,7 +1690,10 @@ class ExquisFingerings {
    * Export current pattern to JSON file
    */
   exportPattern() {
-    if (this.currentPattern.fingerings.size === 0) {
+    // In 'scale' mode the step sequence is exported
+    const source = this.isSequenceMode() ? this.currentSequence : this.currentPattern;
+    const size = this.isSequenceMode() ? this.currentSequence.length : this.currentPattern.fingerings.size;
+    if (size === 0) {
       alert('No fingerings to export. Create a fingering pattern first.');
       return;
     }
@@ -614,24 +1704,24 @@ class ExquisFingerings {
     // Update pattern name from input
     const nameInput = document.getElementById('patternName');
     if (nameInput.value.trim()) {
-      this.currentPattern.name = nameInput.value.trim();
+      source.name = nameInput.value.trim();
     }
 
     // Generate default filename based on metadata if name is "Untitled"
     let filename;
-    if (this.currentPattern.name === 'Untitled' || !this.currentPattern.name.trim()) {
-      const key = this.currentPattern.metadata.key || 'C';
-      const setType = this.currentPattern.metadata.setType || 'major';
+    if (source.name === 'Untitled' || !source.name.trim()) {
+      const key = source.metadata.key || 'C';
+      const setType = source.metadata.setType || 'major';
       const hand = this.currentHand || 'right';
       // Add timestamp to distinguish multiple attempts at same scale
       const timestamp = new Date().toISOString().slice(11, 19).replace(/:/g, '');
       filename = `${key}_${setType}_${hand}_${timestamp}`;
     } else {
-      filename = this.currentPattern.name;
+      filename = source.name;
     }
 
     // Create JSON blob
-    const json = JSON.stringify(this.currentPattern.toJSON(), null, 2);
+    const json = JSON.stringify(source.toJSON(), null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
@@ -644,7 +1734,7 @@ class ExquisFingerings {
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 
-    alert(`Exported "${this.currentPattern.name}" to JSON file`);
+    alert(`Exported "${source.name}" to JSON file`);
   }
 
   /**
@@ -658,15 +1748,17 @@ class ExquisFingerings {
     reader.onload = (e) => {
       try {
         const json = JSON.parse(e.target.result);
-        const pattern = FingeringPattern.fromJSON(json);
 
-        // Load the imported pattern
-        this.currentPattern = pattern;
-        document.getElementById('patternName').value = pattern.name;
+        // Load the imported pattern or sequence
+        this.showLoadedPattern(json);
+        document.getElementById('patternName').value = json.name;
 
         // Render and update UI
         this.render();
-        alert(`Imported "${pattern.name}" with ${pattern.fingerings.size} fingerings`);
+        const count = json.type === 'sequence'
+          ? `${this.currentSequence.length} steps`
+          : `${this.currentPattern.fingerings.size} fingerings`;
+        alert(`Imported "${json.name}" with ${count}`);
 
         // Reset file input
         event.target.value = '';
@@ -693,6 +1785,295 @@ class ExquisFingerings {
       option.textContent = name;
       select.appendChild(option);
     });
+
+    // Voice leading compares the current pattern and saved patterns
+    ['voiceLeadingFrom', 'voiceLeadingTo'].forEach(id => {
+      const vlSelect = document.getElementById(id);
+      if (!vlSelect) return;
+      const current = vlSelect.value;
+      vlSelect.innerHTML = '<option value="">Current pattern</option>';
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        vlSelect.appendChild(option);
+      });
+      vlSelect.value = names.includes(current) ? current : '';
+    });
+  }
+
+  /**
+   * Fingered pads of the current pattern or a saved pattern, with their MIDI notes
+   * @param {string} name - Saved pattern name ('' for the current pattern)
+   * @returns {{pattern: FingeringPattern, pads: Array<{row: number, col: number,
+   *   hand: string, finger: number, midiNote: number}>}|null} Null if the pattern is missing
+   */
+  getPatternVoicing(name) {
+    let pattern = this.currentPattern;
+    let baseMidi = this.settings.baseMidi;
+    let grid = this.grid;
+    if (name) {
+      const patternData = loadPattern(name);
+      if (!patternData) return null;
+      pattern = patternData.type === 'sequence'
+        ? FingeringSequence.fromJSON(patternData).toPattern()
+        : FingeringPattern.fromJSON(patternData);
+      baseMidi = patternData.baseMidi ?? baseMidi;
+      const layout = patternData.metadata?.layout;
+      if (layout && layout !== grid.mode) grid = new Grid(layout);
+    }
+
+    const pads = pattern.toPositions().map(pos => ({
+      ...pos,
+      midiNote: grid.getMidiNote(pos.row, pos.col, baseMidi)
+    }));
+    return { pattern, pads };
+  }
+
+  /**
+   * Draw the minimal voice leading from one pattern's voicing to another's
+   */
+  showVoiceLeading() {
+    // "Current pattern" is the one being edited, not a voicing shown before
+    if (this.voiceLeadingPattern) this.clearVoiceLeading();
+    const infoEl = document.getElementById('voiceLeadingInfo');
+    const fromName = document.getElementById('voiceLeadingFrom').value;
+    const toName = document.getElementById('voiceLeadingTo').value;
+    const from = this.getPatternVoicing(fromName);
+    const to = this.getPatternVoicing(toName);
+
+    if (!from || !to || from.pads.length === 0 || to.pads.length === 0) {
+      infoEl.textContent = 'Both patterns need fingered pads.';
+      return;
+    }
+
+    const { moves, distance } = findVoiceLeading(
+      from.pads.map(pad => pad.midiNote),
+      to.pads.map(pad => pad.midiNote)
+    );
+    const padMoves = getVoiceLeadingPadMoves(from.pads, to.pads, moves);
+
+    // Show the first voicing's fingers with arrows to the second; a saved
+    // pattern stands in for the current one until the arrows are cleared
+    if (fromName) {
+      this.voiceLeadingPattern = this.currentPattern;
+      this.currentPattern = from.pattern;
+    }
+    this.voiceLeading = padMoves;
+    this.render();
+
+    const spelling = this.getNoteSpelling();
+    const noteName = note => midiToNoteName(note, spelling);
+    const steps = padMoves.reduce((sum, move) => sum + move.steps, 0);
+    const held = [];
+    const moving = [];
+    moves.forEach((move, i) => {
+      if (padMoves[i].held) {
+        held.push(`${noteName(move.from)} (finger ${from.pads[move.fromIndex].finger})`);
+      } else {
+        const signed = move.semitones > 0 ? `+${move.semitones}` : `${move.semitones}`;
+        const padSteps = padMoves[i].steps;
+        moving.push(`${noteName(move.from)}→${noteName(move.to)} (${signed}, ${padSteps} pad${padSteps === 1 ? '' : 's'})`);
+      }
+    });
+
+    infoEl.textContent = [
+      `${distance} semitone${distance === 1 ? '' : 's'} of motion, ${steps} pad step${steps === 1 ? '' : 's'}.`,
+      held.length > 0 ? `Hold ${held.join(', ')}.` : 'No common tones.',
+      moving.length > 0 ? `Move ${moving.join(', ')}.` : ''
+    ].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Remove the voice-leading arrows from the grid and bring back the pattern
+   * a saved voicing stood in for
+   */
+  clearVoiceLeading() {
+    if (this.voiceLeadingPattern) {
+      this.currentPattern = this.voiceLeadingPattern;
+      this.voiceLeadingPattern = null;
+    }
+    this.voiceLeading = [];
+    document.getElementById('voiceLeadingInfo').textContent = '';
+    this.render();
+  }
+
+  /**
+   * The major or minor triad to transform: the picked diatonic chord, the
+   * typed chord symbol or the highlighted notes
+   * @returns {{root: number, quality: string}|null} Null if none is a major or minor triad
+   */
+  getTransformTriad() {
+    const isTriad = chord => chord?.quality === 'major' || chord?.quality === 'minor';
+    if (isTriad(this.diatonicChord)) {
+      return { root: this.diatonicChord.root, quality: this.diatonicChord.quality };
+    }
+    const chord = this.getVoicingChord([...this.getHighlightedPCs()]);
+    return isTriad(chord) ? chord : null;
+  }
+
+  /**
+   * Pads of the triad a transformation path starts from: the current pattern
+   * if it fingers exactly the triad, otherwise a close voicing on the grid
+   * @param {{root: number, quality: string}} triad - Starting triad
+   * @returns {Array<{row: number, col: number, midiNote: number}>}
+   */
+  getTransformStartPads(triad) {
+    const { pads } = this.getPatternVoicing('');
+    const pcs = getTriadPitchClasses(triad);
+    const padPcs = new Set(pads.map(pad => pad.midiNote % 12));
+    if (pads.length === 3 && padPcs.size === 3 && pcs.every(pc => padPcs.has(pc))) {
+      return pads.map(({ row, col, midiNote }) => ({ row, col, midiNote }));
+    }
+    return voiceTriadOnGrid(triad, { grid: this.grid, baseMidi: this.settings.baseMidi });
+  }
+
+  /**
+   * Apply transformations to the end of the current path, starting a path
+   * from the current triad if there is none
+   * @param {string} text - Chain of P, L, R, N, S, H (see parseTransformChain)
+   * @param {Object} options
+   * @param {boolean} options.cycle - Repeat the chain until it returns to where it started
+   */
+  extendTransformPath(text, { cycle = false } = {}) {
+    const infoEl = document.getElementById('transformInfo');
+    this.stopTransformPlayback();
+
+    let chain;
+    try {
+      chain = parseTransformChain(text);
+    } catch (err) {
+      infoEl.textContent = err.message;
+      return;
+    }
+
+    if (!this.transformPath) {
+      if (this.voiceLeadingPattern) this.clearVoiceLeading();
+      const triad = this.getTransformTriad();
+      if (!triad) {
+        infoEl.textContent = 'Pick a major or minor triad first: a diatonic chord, a chord symbol or highlighted notes.';
+        return;
+      }
+      let pads;
+      try {
+        pads = this.getTransformStartPads(triad);
+      } catch (err) {
+        infoEl.textContent = err.message;
+        return;
+      }
+      this.transformPath = {
+        start: { op: null, triad, pads, moves: [] },
+        steps: [],
+        pattern: this.currentPattern
+      };
+    }
+
+    const path = this.transformPath;
+    const last = path.steps[path.steps.length - 1] || path.start;
+    const ops = cycle ? getTransformCycle(last.triad, chain) : chain;
+    try {
+      path.steps.push(...buildTransformPath(last.triad, last.pads, ops, {
+        grid: this.grid,
+        baseMidi: this.settings.baseMidi
+      }));
+    } catch (err) {
+      infoEl.textContent = err.message;
+      return;
+    }
+    this.showTransformStep(path.steps.length);
+  }
+
+  /**
+   * Show one triad of the transformation path on the grid, with an arrow for
+   * the voice that moved to reach it
+   * @param {number} index - Step index (0 = starting triad)
+   */
+  showTransformStep(index) {
+    const { start, steps } = this.transformPath;
+    const chords = [start, ...steps];
+    const chord = chords[index];
+
+    // Right-hand fingers 1, 3, 5 from the lowest note up
+    const pattern = new FingeringPattern('transform');
+    [...chord.pads]
+      .sort((a, b) => a.midiNote - b.midiNote)
+      .forEach((pad, i) => pattern.setFingering(pad.row, pad.col, 'right', [1, 3, 5][i] ?? 5));
+    this.currentPattern = pattern;
+    this.voiceLeading = index > 0 ? getVoiceLeadingPadMoves(chords[index - 1].pads, chord.pads, chord.moves) : [];
+    this.render();
+
+    const spelling = this.getNoteSpelling();
+    const triadName = ({ root, quality }) => `${spelling[root]}${CHORD_SYMBOLS[quality]}`;
+    // Spell each note as a member of its triad (Eb in C minor, not D#)
+    const noteName = (note, { root, quality }) => {
+      const triadSpelling = [...spelling];
+      const names = getChordNoteNames(root, quality, spelling);
+      getTriadPitchClasses({ root, quality }).forEach((pc, i) => { triadSpelling[pc] = names[i]; });
+      return midiToNoteName(note, triadSpelling);
+    };
+    const route = chords
+      .map((c, i) => {
+        const name = c.op ? `${c.op} ${triadName(c.triad)}` : triadName(c.triad);
+        return i === index ? `[${name}]` : name;
+      })
+      .join(' → ');
+
+    let moved = '';
+    if (index > 0) {
+      const i = chord.moves.findIndex(move => move.semitones !== 0);
+      const from = chords[index - 1].pads[i].midiNote;
+      const to = chord.pads[i].midiNote;
+      const signed = to > from ? `+${to - from}` : `${to - from}`;
+      moved = ` ${chord.op}: ${noteName(from, chords[index - 1].triad)}→${noteName(to, chord.triad)} (${signed}).`;
+    }
+    document.getElementById('transformInfo').textContent = `${route}.${moved}`;
+  }
+
+  /**
+   * Play the transformation path through the MIDI output, one triad at a time
+   */
+  playTransformPath() {
+    if (!this.transformPath) {
+      document.getElementById('transformInfo').textContent = 'Apply a transformation first.';
+      return;
+    }
+    this.stopTransformPlayback();
+
+    const chords = [this.transformPath.start, ...this.transformPath.steps];
+    const duration = 800;
+    const playStep = (index) => {
+      this.showTransformStep(index);
+      midiManager.playChord(chords[index].pads.map(pad => pad.midiNote), 100, duration);
+      this.transformTimer = index + 1 < chords.length
+        ? setTimeout(() => playStep(index + 1), duration + 100)
+        : null;
+    };
+    playStep(0);
+  }
+
+  /**
+   * Stop stepping through a playing transformation path
+   */
+  stopTransformPlayback() {
+    if (this.transformTimer) {
+      clearTimeout(this.transformTimer);
+      this.transformTimer = null;
+    }
+  }
+
+  /**
+   * Drop the transformation path and restore the pattern it replaced
+   */
+  resetTransformPath() {
+    this.stopTransformPlayback();
+    if (this.transformPath) {
+      this.currentPattern = this.transformPath.pattern;
+      this.transformPath = null;
+    }
+    this.voiceLeading = [];
+    document.getElementById('transformInfo').textContent =
+      'Transform the picked diatonic chord, typed chord or highlighted major/minor triad.';
+    this.render();
   }
 
   /**
@@ -708,6 +2089,126 @@ class ExquisFingerings {
     }
   }
 
+  /**
+   * Start or stop naming the notes held on the MIDI input
+   * @param {boolean} enabled - Listen for notes
+   */
+  async setLiveRecognition(enabled) {
+    this.liveRecognition = enabled;
+    this.liveNotes.clear();
+    this.updateLiveRecognition();
+
+    if (enabled && !midiManager.getStatus().isInitialized) {
+      await this.initMIDI();
+    }
+    this.resumeLiveRecognition();
+  }
+
+  /**
+   * Start or stop estimating the key from the MIDI input
+   * @param {boolean} enabled - Listen for notes
+   */
+  async setKeyDetection(enabled) {
+    this.keyDetection = enabled;
+    this.keyDetector.clear();
+    this.updateKeyDetection();
+
+    if (enabled && !midiManager.getStatus().isInitialized) {
+      await this.initMIDI();
+    }
+    this.resumeLiveRecognition();
+  }
+
+  /**
+   * Hand MIDI input back to chord naming and key detection (or release it)
+   * after a capture session has borrowed it
+   */
+  resumeLiveRecognition() {
+    if (!this.liveRecognition && !this.keyDetection) {
+      midiManager.setNoteHandler(null);
+      return;
+    }
+
+    midiManager.setNoteHandler((note, velocity) => {
+      if (velocity > 0) {
+        this.liveNotes.add(note);
+        if (this.keyDetection) this.keyDetector.noteOn(note);
+      } else {
+        this.liveNotes.delete(note);
+        if (this.keyDetection) this.keyDetector.noteOff(note);
+      }
+      this.updateLiveRecognition();
+      this.updateKeyDetection();
+    });
+  }
+
+  /**
+   * Show the estimated key of the recent MIDI input and offer to select it;
+   * with automatic setting on, select it once the estimate is settled
+   */
+  updateKeyDetection() {
+    const infoEl = document.getElementById('midiKeyInfo');
+    const button = document.getElementById('applyDetectedKey');
+    if (!infoEl) return;
+
+    const result = this.keyDetection ? this.keyDetector.detect() : null;
+    this.detectedKey = null;
+    button.style.display = 'none';
+    if (!result) {
+      infoEl.textContent = this.keyDetection ? 'Play some notes…' : '';
+      return;
+    }
+
+    // Name keys the way the key dropdown does (C#, Eb, ...)
+    const keyNames = [...document.getElementById('key').options].map(option => option.value);
+    const keyName = tonic => keyNames.find(name => NOTE_TO_PC[name] === tonic);
+    const label = ({ tonic, setType }) => `${keyName(tonic)} ${PITCH_CLASS_SETS[setType]?.name || setType}`;
+    const alternatives = result.alternatives.map(label).join(', ');
+    infoEl.textContent = `Likely key: ${label(result)} (${Math.round(result.correlation * 100)}% fit, ` +
+      `${result.noteCount} note${result.noteCount === 1 ? '' : 's'})${alternatives ? ` · also ${alternatives}` : ''}`;
+
+    this.detectedKey = { key: keyName(result.tonic), setType: result.setType };
+    const selected = document.getElementById('key').value === this.detectedKey.key &&
+      document.getElementById('set').value === this.detectedKey.setType;
+    if (selected) return;
+
+    // Wait for enough notes before switching by itself
+    const settled = result.noteCount >= 8 && result.correlation >= 0.7;
+    if (document.getElementById('midiKeyAuto')?.checked && settled) {
+      this.applyDetectedKey();
+      return;
+    }
+    button.textContent = `Use ${label(result)}`;
+    button.style.display = '';
+  }
+
+  /**
+   * Select the detected key and scale in #key and #set
+   */
+  applyDetectedKey() {
+    if (!this.detectedKey) return;
+    document.getElementById('key').value = this.detectedKey.key;
+    document.getElementById('set').value = this.detectedKey.setType;
+    document.getElementById('customPC').disabled = true;
+    document.getElementById('applyDetectedKey').style.display = 'none';
+    this.updatePatternMetadata();
+    this.render();
+    this.updateMIDIHoldIfActive();
+  }
+
+  /**
+   * Show the name of the held MIDI notes, with the lowest note as the bass
+   */
+  updateLiveRecognition() {
+    const nameEl = document.getElementById('midiChordName');
+    if (!nameEl) return;
+
+    const notes = [...this.liveNotes];
+    nameEl.textContent = this.liveRecognition
+      ? describeRecognition(recognizeMidiNotes(notes)) || (notes.length ? '' : 'Play some notes…')
+      : '';
+  }
+
   /**
    * Update MIDI device list
    */
@@ -758,14 +2259,16 @@ class ExquisFingerings {
     const pcs = this.getHighlightedPCs();
     const notes = [];
 
-    // Collect all MIDI notes that match the highlighted PCs
-    for (let padIndex = 0; padIndex < 39; padIndex++) {
-      const midiNote = this.settings.baseMidi + padIndex;
-      const pc = midiNote % 12;
-      if (pcs.has(pc)) {
-        notes.push(midiNote);
+    // Collect all MIDI notes on the grid that match the highlighted PCs
+    for (let row = 0; row < ROW_COUNT; row++) {
+      for (let col = 0; col < getRowLength(row); col++) {
+        const midiNote = this.grid.getMidiNote(row, col, this.settings.baseMidi);
+        if (pcs.has(midiNote % 12) && !notes.includes(midiNote)) {
+          notes.push(midiNote);
+        }
       }
     }
+    notes.sort((a, b) => a - b);
 
     // Send as chord with stagger
     midiManager.playChord(notes, 100, null, 20);
@@ -778,9 +2281,25 @@ class ExquisFingerings {
     const key = document.getElementById('key').value;
     const setType = document.getElementById('set').value;
 
-    this.currentPattern.metadata.key = key;
-    this.currentPattern.metadata.setType = setType;
-    this.currentPattern.metadata.modifiedAt = Date.now();
+    for (const { metadata } of [this.currentPattern, this.currentSequence]) {
+      metadata.key = key;
+      metadata.setType = setType;
+      metadata.noteNames = this.getSpelledHighlight();
+      metadata.layout = this.grid.mode;
+      metadata.modifiedAt = Date.now();
+    }
+  }
+
+  /**
+   * Highlighted notes spelled for the key, in order from the tonic
+   * @returns {Array<string>} Note names (e.g., ['Bb', 'C', 'D', 'Eb', 'F', 'G', 'A'])
+   */
+  getSpelledHighlight() {
+    const spelling = this.getNoteSpelling();
+    const tonic = NOTE_TO_PC[document.getElementById('key').value];
+    return [...this.getHighlightedPCs()]
+      .sort((a, b) => ((a - tonic + 12) % 12) - ((b - tonic + 12) % 12))
+      .map(pc => spelling[pc]);
   }
 
   /**
@@ -822,15 +2341,54 @@ class ExquisFingerings {
     }
   }
 
+  /**
+   * Apply a hand size profile to the ergonomic analyzer
+   * 'custom' averages the saved handprints, 'span' scales from the hand span input.
+   * @param {string} size - 'small', 'medium', 'large', 'custom' or 'span'
+   */
+  applyHandSize(size) {
+    if (size === 'custom') {
+      const measured = this.savedHandprints.filter(hp => hp.measurementUnit === 'cm');
+      if (measured.length === 0) {
+        alert('No handprints captured yet. Using the medium hand size.');
+        size = 'medium';
+      } else {
+        const sums = {};
+        measured.forEach(hp => {
+          for (const [pair, cm] of Object.entries(hp.measurements)) {
+            sums[pair] = (sums[pair] || 0) + cm;
+          }
+        });
+        const averages = {};
+        for (const [pair, total] of Object.entries(sums)) {
+          averages[pair] = total / measured.length;
+        }
+        ergoAnalyzer.setCustomHandprint(averages);
+      }
+    } else if (size === 'span') {
+      ergoAnalyzer.setHandSpan(this.settings.handSpanCm || 20);
+    }
+
+    ergoAnalyzer.setHandSize(size);
+    this.settings.handSize = size;
+
+    const select = document.getElementById('handSize');
+    if (select) select.value = size;
+    const spanControls = document.getElementById('handSpanControls');
+    if (spanControls) spanControls.style.display = size === 'span' ? 'block' : 'none';
+  }
+
   /**
    * Format ergonomic issue for display
    */
   formatIssue(issue) {
     switch (issue.type) {
+      case 'excessive_span':
+        return `Hand spread too wide: ${issue.distance.toFixed(1)} cm (${issue.hand} hand)`;
       case 'excessive_stretch':
-        return `Excessive stretch between fingers ${issue.fingers.join(' and ')} (${issue.hand} hand)`;
+        return `Excessive stretch between fingers ${issue.fingers.join(' and ')}: ${issue.distance.toFixed(1)} cm (${issue.hand} hand)`;
       case 'uncomfortable_stretch':
-        return `Uncomfortable stretch between fingers ${issue.fingers.join(' and ')} (${issue.hand} hand)`;
+        return `Uncomfortable stretch between fingers ${issue.fingers.join(' and ')}: ${issue.distance.toFixed(1)} cm (${issue.hand} hand)`;
       case 'finger_crossing':
         return `Possible finger crossing: fingers ${issue.fingers.join(' and ')} (${issue.hand} hand)`;
       default:
@@ -910,9 +2468,6 @@ class ExquisFingerings {
     this.preCaptureLabelMode = this.settings.labelMode;
     this.settings.labelMode = 'index';
 
-    // Switch grid to chromatic mode (sequential pad numbering)
-    setGridMode('chromatic');
-
     // Enter Exquis Developer Mode (pads send pad IDs on channel 16)
     midiManager.enterExquisDeveloperMode();
 
@@ -961,7 +2516,7 @@ class ExquisFingerings {
     this.handprintSessionBaseMidi = null;
     this.handprintSessionID = null;
     this.handprintSessionCount = 0;
-    midiManager.setNoteHandler(null);
+    this.resumeLiveRecognition();
 
     // Restore original label mode
     if (this.preCaptureLabelMode) {
@@ -969,9 +2524,6 @@ class ExquisFingerings {
       this.preCaptureLabelMode = null;
     }
 
-    // Restore grid to intervals mode (musical thirds layout)
-    setGridMode('intervals');
-
     const statusEl = document.getElementById('handprintCaptureStatus');
     if (statusEl) {
       statusEl.innerHTML = `
@@ -1037,7 +2589,7 @@ class ExquisFingerings {
 
     // Convert to (row, col) using chromatic grid logic
     try {
-      const { row, col } = getRowCol(actualPadIndex);
+      const { row, col } = this.padIdGrid.getRowCol(actualPadIndex);
       const midiNote = this.handprintSessionBaseMidi + actualPadIndex;
 
       this.handprintCaptures.push({
@@ -1073,7 +2625,7 @@ class ExquisFingerings {
     if (this.handprintCaptureState !== 'capturing_fingers') return;
     if (this.handprintCaptures.length >= 5) return;
 
-    const padIndex = getPadIndex(row, col);
+    const padIndex = this.padIdGrid.getPadIndex(row, col);
 
     // Check if this pad has already been captured
     if (this.handprintCaptures.some(cap => cap.padIndex === padIndex)) {
@@ -1166,19 +2718,8 @@ class ExquisFingerings {
    * Save handprint with comfort rating
    */
   saveHandprint(comfortRating) {
-    // Calculate all finger-pair distances
-    const measurements = {};
-    for (let i = 0; i < 5; i++) {
-      for (let j = i + 1; j < 5; j++) {
-        const pad1 = this.handprintCaptures[i];
-        const pad2 = this.handprintCaptures[j];
-        const distance = Math.sqrt(
-          Math.pow(pad2.row - pad1.row, 2) + Math.pow(pad2.col - pad1.col, 2)
-        );
-        const key = `${i + 1}-${j + 1}`;
-        measurements[key] = distance;
-      }
-    }
+    // Calculate all finger-pair distances (cm)
+    const measurements = measureHandprint(this.handprintCaptures);
 
     // Get MIDI device name
     const midiStatus = midiManager.getStatus();
@@ -1196,6 +2737,7 @@ class ExquisFingerings {
       comfortRating,
       positions: this.handprintCaptures,
       measurements,
+      measurementUnit: 'cm',
       capturedAt: Date.now()
     };
 
@@ -1362,7 +2904,9 @@ class ExquisFingerings {
       return;
     }
 
-    if (selectedNotes.length > 5) {
+    // Larger chords fit one hand once their omittable tones are left out
+    const omittable = this.getVoicingOmissions(selectedNotes);
+    if (selectedNotes.length - omittable.length > 5) {
       const statusEl = document.getElementById('chordSuggestionsStatus');
       statusEl.innerHTML = `
         <div class="warning-box" style="margin-top:8px;">
@@ -1387,7 +2931,10 @@ class ExquisFingerings {
     const matches = findChordFingerings(
       selectedNotes,
       this.savedHandprints,
-      this.settings.baseMidi
+      this.settings.baseMidi,
+      null,
+      this.grid,
+      { bass: this.getChordSymbolBass(selectedNotes), omittable: selectedNotes.length > 5 ? omittable : [] }
     );
 
     if (matches.length === 0) {
@@ -1417,15 +2964,34 @@ class ExquisFingerings {
     const suggestionsEl = document.getElementById('chordSuggestions');
     const listEl = document.getElementById('suggestionsList');
 
+    // Label each fingering with its voicing and apply the voicing filter
+    const chord = this.getVoicingChord(targetNotes);
+    fingerings.forEach(fingering => {
+      fingering.voicing = this.analyzePositionsVoicing(fingering.positions, chord);
+    });
+    const filtered = fingerings.filter(fingering => this.matchesVoicingFilter(fingering.voicing, 'matchVoicing'));
+
+    if (filtered.length === 0) {
+      const voicingName = VOICING_NAMES[document.getElementById('matchVoicing').value];
+      statusEl.innerHTML = `
+        <div class="info-box" style="margin-top:8px;">
+          Found ${fingerings.length} matching fingering${fingerings.length > 1 ? 's' : ''}, but none is a ${voicingName} voicing.
+        </div>
+      `;
+      listEl.innerHTML = '';
+      suggestionsEl.style.display = 'block';
+      return;
+    }
+
     // Show success message
     statusEl.innerHTML = `
       <div class="success-box" style="margin-top:8px;">
-        Found ${fingerings.length} matching fingering${fingerings.length > 1 ? 's' : ''}!
+        Found ${filtered.length} matching fingering${filtered.length > 1 ? 's' : ''}!
       </div>
     `;
 
     // Show top 5 suggestions
-    const topSuggestions = fingerings.slice(0, 5);
+    const topSuggestions = filtered.slice(0, 5);
 
     listEl.innerHTML = topSuggestions.map((fingering, index) => {
       const fingerList = fingering.positions
@@ -1456,6 +3022,7 @@ class ExquisFingerings {
           <div style="font-size:0.85em; opacity:0.8; margin-bottom:4px;">
             Fingers: ${fingerList} (${fingering.hand} hand)
           </div>
+          ${fingering.voicing ? `<div style="font-size:0.85em; margin-bottom:4px;">${fingering.voicing.description}</div>` : ''}
           <div style="display:flex; gap:8px; font-size:0.75em; opacity:0.7;">
             <span title="Comfort">💆 ${fingering.comfortScore}</span>
             <span title="Geometry">📐 ${fingering.geometricScore}</span>
@@ -1509,8 +3076,8 @@ class ExquisFingerings {
    * Generate chord fingering suggestion using synthesis
    */
   generateChordSuggestion() {
-    // Get target pitch classes from selected key/set
-    const pcs = this.getHighlightedPCs();
+    // Get target pitch classes from the picked diatonic chord or selected key/set
+    const pcs = this.diatonicChord ? new Set(this.diatonicChord.pitchClasses) : this.getHighlightedPCs();
     if (pcs.size === 0) {
       alert('No chord selected. Please select a key and chord type first.');
       return;
@@ -1527,20 +3094,40 @@ class ExquisFingerings {
     // Get selected hand
     const hand = document.getElementById('suggestionHand').value;
 
-    // Generate suggestions
-    const suggestions = synthesizeFingerings(
+    // Generate suggestions, with a wider search when only one voicing type is wanted
+    const voicingFilter = document.getElementById('suggestionVoicing')?.value;
+    const candidates = synthesizeFingerings(
       targetPitchClasses,
       this.savedHandprints,
       this.settings.baseMidi,
       hand,
-      10 // Generate up to 10 suggestions
+      voicingFilter ? 100 : 10, // Up to 10 suggestions are shown
+      this.grid,
+      {
+        bass: this.getChordSymbolBass(targetPitchClasses),
+        omittable: this.getVoicingOmissions(targetPitchClasses)
+      }
     );
 
-    if (suggestions.length === 0) {
+    if (candidates.length === 0) {
       alert('Could not generate suggestions for this chord. Try a different range or capture more handprints.');
       return;
     }
 
+    // Label each suggestion with its voicing and apply the voicing filter
+    const chord = this.getVoicingChord(targetPitchClasses);
+    candidates.forEach(suggestion => {
+      suggestion.voicing = this.analyzePositionsVoicing(suggestion.positions, chord);
+    });
+    const suggestions = candidates
+      .filter(suggestion => this.matchesVoicingFilter(suggestion.voicing, 'suggestionVoicing'))
+      .slice(0, 10);
+
+    if (suggestions.length === 0) {
+      alert(`Could not generate a ${VOICING_NAMES[voicingFilter]} voicing for this chord. Try another voicing type.`);
+      return;
+    }
+
     // Store suggestions
     this.currentSuggestions = suggestions;
     this.currentSuggestionIndex = 0;
@@ -1560,32 +3147,41 @@ class ExquisFingerings {
     // Create pattern from suggestion
     const pattern = new FingeringPattern('synthesized_suggestion');
     suggestion.positions.forEach(pos => {
-      pattern.setFingering(pos.row, pos.col, suggestion.hand, pos.finger);
+      pattern.setFingering(pos.row, pos.col, pos.hand, pos.finger);
     });
 
     // Update current pattern and render
     this.currentPattern = pattern;
     this.render();
 
-    // Highlight the chord notes
-    const pitchClasses = new Set(suggestion.targetPitchClasses);
-    this.gridRenderer.setHighlightedPCs(pitchClasses);
-    this.gridRenderer.render();
+    // Highlight the chord notes (a diatonic chord stays shown over its scale)
+    if (!this.diatonicChord) {
+      const pitchClasses = new Set(suggestion.targetPitchClasses);
+      this.gridRenderer.setHighlightedPCs(pitchClasses);
+      this.gridRenderer.render();
+    }
 
     // Update suggestion display
     const displayEl = document.getElementById('suggestionDisplay');
+    const spelling = this.getNoteSpelling();
     const noteNames = suggestion.targetPitchClasses
       .sort((a, b) => a - b)
-      .map(pc => ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'][pc])
+      .map(pc => spelling[pc])
       .join('-');
 
+    const omitted = (suggestion.omittedPitchClasses || [])
+      .map(pc => spelling[pc])
+      .join(', ');
+
+    // Two-hand suggestions list the left hand first and label each finger's hand
+    const bothHands = suggestion.hand === 'both';
     const fingerList = suggestion.positions
-      .sort((a, b) => a.finger - b.finger)
+      .sort((a, b) => (a.hand === b.hand ? 0 : a.hand === 'left' ? -1 : 1) || a.finger - b.finger)
       .map(p => {
         const padKey = `${p.row},${p.col}`;
         return `
           <div style="display:flex; align-items:center; gap:8px; margin:4px 0;">
-            <span style="font-weight:bold;">Finger ${p.finger}:</span>
+            <span style="font-weight:bold;">Finger ${bothHands ? (p.hand === 'left' ? 'L' : 'R') : ''}${p.finger}:</span>
             <span>r${p.row}c${p.col}</span>
             <button class="change-finger-btn" data-row="${p.row}" data-col="${p.col}" data-current-finger="${p.finger}"
               style="padding:2px 8px; background:#446; color:#fff; border:none; border-radius:3px; cursor:pointer; font-size:0.8em;">
@@ -1598,7 +3194,9 @@ class ExquisFingerings {
 
     displayEl.innerHTML = `
       <div style="margin-bottom:8px;">
-        <strong style="color:#446;">${noteNames}</strong> (${suggestion.hand} hand)
+        <strong style="color:#446;">${noteNames}</strong> (${bothHands ? 'both hands' : `${suggestion.hand} hand`})
+        ${suggestion.voicing ? `<br><span style="font-size:0.85em;">${suggestion.voicing.description}</span>` : ''}
+        ${omitted ? `<br><span style="font-size:0.85em;">Leaves out ${omitted}</span>` : ''}
       </div>
       <div style="font-size:0.85em;">
         ${fingerList}
@@ -1646,12 +3244,12 @@ class ExquisFingerings {
     const key = document.getElementById('key').value;
     const setType = document.getElementById('set').value;
     const setName = document.querySelector(`#set option[value="${setType}"]`).textContent;
-    const patternName = `${key} ${setName}`;
+    const patternName = this.diatonicChord ? `${key} ${setName} ${this.diatonicChord.numeral}` : `${key} ${setName}`;
 
     // Create pattern
     const pattern = new FingeringPattern(patternName);
     suggestion.positions.forEach(pos => {
-      pattern.setFingering(pos.row, pos.col, suggestion.hand, pos.finger);
+      pattern.setFingering(pos.row, pos.col, pos.hand, pos.finger);
     });
 
     // Add metadata
@@ -1663,7 +3261,9 @@ class ExquisFingerings {
       modifiedAt: Date.now(),
       comfortRating: this.currentSuggestionRating,
       synthesized: true,
-      hand: suggestion.hand
+      hand: suggestion.hand,
+      voicing: suggestion.voicing?.voicing || null,
+      numeral: this.diatonicChord?.numeral || null
     };
 
     // Save pattern
@@ -1687,9 +3287,10 @@ class ExquisFingerings {
    * Show finger selector dialog for a pad
    */
   showFingerSelector(row, col, currentFinger) {
-    // Get all fingers used in current suggestion
+    // Get all fingers used by the pad's hand in current suggestion
     const suggestion = this.currentSuggestions[this.currentSuggestionIndex];
-    const usedFingers = new Set(suggestion.positions.map(p => p.finger));
+    const hand = suggestion.positions.find(p => p.row === row && p.col === col)?.hand;
+    const usedFingers = new Set(suggestion.positions.filter(p => p.hand === hand).map(p => p.finger));
 
     // Remove current finger from used set (since we're changing it)
     usedFingers.delete(currentFinger);
@@ -1763,8 +3364,9 @@ class ExquisFingerings {
     const posIndex = suggestion.positions.findIndex(p => p.row === row && p.col === col);
     if (posIndex === -1) return;
 
-    // Check if new finger is already used
-    const fingerUsed = suggestion.positions.some((p, i) => i !== posIndex && p.finger === newFinger);
+    // Check if new finger is already used by the same hand
+    const { hand } = suggestion.positions[posIndex];
+    const fingerUsed = suggestion.positions.some((p, i) => i !== posIndex && p.hand === hand && p.finger === newFinger);
     if (fingerUsed) {
       alert(`Finger ${newFinger} is already assigned to another pad. Please choose a different finger.`);
       return;
@@ -1811,16 +3413,22 @@ class ExquisFingerings {
    * Start chord fingering capture
    */
   async startChordCapture() {
-    // Get chord from selectors
-    const rootPC = parseInt(document.getElementById('chordRoot').value);
-    const quality = document.getElementById('chordQuality').value;
-
-    // Get pitch classes for this chord
-    const pitchClasses = getChordPitchClasses(rootPC, quality);
-    const chordName = getChordName(rootPC, quality);
+    // Get chord from the typed symbol, or else from the selectors
+    let rootPC, quality, pitchClasses, chordName, noteNames;
+    if (this.parsedChord) {
+      ({ root: rootPC, quality, pitchClasses, symbol: chordName, noteNames } = this.parsedChord);
+    } else {
+      rootPC = parseInt(document.getElementById('chordRoot').value);
+      quality = document.getElementById('chordQuality').value;
+      pitchClasses = getChordPitchClasses(rootPC, quality);
+      chordName = getChordName(rootPC, quality);
+      noteNames = getChordNoteNames(rootPC, quality);
+    }
 
     this.chordCaptureRoot = rootPC;
     this.chordCaptureQuality = quality;
+    this.chordCaptureName = chordName;
+    this.chordCaptureNoteNames = noteNames;
     this.chordCapturePitchClasses = pitchClasses;
     this.chordCaptureSequence = [];
 
@@ -1869,7 +3477,7 @@ class ExquisFingerings {
       console.log('[ChordCapture] Entered dev mode');
 
       // Highlight chord across entire grid
-      devMode.highlightChord(pitchClasses, rootPC, 0, 0);
+      devMode.highlightChord(pitchClasses, rootPC, 0, 0, this.grid);
       console.log('[ChordCapture] Highlighted chord:', chordName, 'PCs:', pitchClasses);
 
       // Set up pad event handler
@@ -1886,7 +3494,7 @@ class ExquisFingerings {
       // Update UI
       document.getElementById('chordCaptureStatus').innerHTML = `
         <div class="success-box">
-          ✓ Capturing ${chordName} - Press pads in finger sequence (1→5)
+          ✓ Capturing ${chordName} (${noteNames.join(' ')}) - Press pads in finger sequence (1→5)
         </div>
       `;
       document.getElementById('chordCaptureActive').style.display = 'block';
@@ -1965,8 +3573,8 @@ class ExquisFingerings {
     const devMode = midiManager.getDevMode();
     await devMode.exit();
 
-    // Disable MIDI handler
-    midiManager.setNoteHandler(null, false);
+    // Disable MIDI handler (or hand it back to chord naming)
+    this.resumeLiveRecognition();
 
     this.chordCaptureActive = false;
 
@@ -1999,10 +3607,18 @@ class ExquisFingerings {
 
     // Display fingering
     const display = document.getElementById('capturedFingeringDisplay');
-    const chordName = getChordName(this.chordCaptureRoot, this.chordCaptureQuality);
+    const chordName = this.chordCaptureName;
+
+    const voicing = this.analyzeChordFingering({
+      chordRoot: this.chordCaptureRoot,
+      chordQuality: this.chordCaptureQuality,
+      pitchClasses: this.chordCapturePitchClasses,
+      positions: chordTones
+    });
 
     display.innerHTML = `
       <strong>${chordName}</strong> (${this.chordCaptureHand} hand)<br>
+      ${voicing.voicing ? `<em>${voicing.description}</em><br>` : ''}
       ${this.chordCaptureSequence.map(p => {
         const isChordTone = this.chordCapturePitchClasses.includes(p.padId % 12);
         const label = isChordTone ? `Finger ${p.finger}: Pad ${p.padId}` : `Finger ${p.finger}: SKIP (Pad ${p.padId})`;
@@ -2031,6 +3647,8 @@ class ExquisFingerings {
       id: `chord_${Date.now()}`,
       chordRoot: this.chordCaptureRoot,
       chordQuality: this.chordCaptureQuality,
+      chordName: this.chordCaptureName,
+      noteNames: this.chordCaptureNoteNames,
       pitchClasses: this.chordCapturePitchClasses,
       hand: this.chordCaptureHand,
       positions: positions,
@@ -2044,7 +3662,7 @@ class ExquisFingerings {
     saveSettings(this.settings);
 
     // Show success
-    const chordName = getChordName(this.chordCaptureRoot, this.chordCaptureQuality);
+    const chordName = this.chordCaptureName;
     document.getElementById('chordCaptureStatus').innerHTML = `
       <div class="success-box">
         ✓ Saved ${chordName} fingering (comfort: ${comfort}/5)
@@ -2068,11 +3686,26 @@ class ExquisFingerings {
     this.chordCaptureSequence = [];
   }
 
+  /**
+   * Classify the voicing of a captured chord fingering
+   * Pad IDs stand in for MIDI notes, as in the capture's chord-tone filter.
+   * @param {Object} fingering - Captured fingering {chordRoot, chordQuality, pitchClasses, positions}
+   * @returns {Object} Voicing analysis (see analyzeVoicing)
+   */
+  analyzeChordFingering(fingering) {
+    const notes = fingering.positions
+      .map(pos => pos.padId)
+      .filter(padId => fingering.pitchClasses.includes(padId % 12));
+    const quality = CHORD_QUALITIES[fingering.chordQuality] ? fingering.chordQuality : null;
+    return analyzeVoicing(notes, fingering.chordRoot, quality);
+  }
+
   /**
    * Update chord fingering list display
    */
   updateChordFingeringList() {
     const listEl = document.getElementById('chordFingeringList');
+    if (!listEl) return;
 
     if (this.savedChordFingerings.length === 0) {
       listEl.innerHTML = '<div style="opacity:0.7;">No chord fingerings captured yet.</div>';
@@ -2081,17 +3714,24 @@ class ExquisFingerings {
       return;
     }
 
-    listEl.innerHTML = this.savedChordFingerings.map((f, index) => {
-      const chordName = getChordName(f.chordRoot, f.chordQuality);
-      return `
-        <div style="padding:6px; background:#f5f5f5; border-radius:3px; margin-bottom:4px;">
-          <strong>${chordName}</strong> (${f.hand})<br>
-          <span style="font-size:0.85em;">
-            ${f.positions.length} fingers • Comfort: ${f.comfortRating}/5
-          </span>
-        </div>
-      `;
-    }).join('');
+    const shown = this.savedChordFingerings
+      .map(f => ({ f, voicing: this.analyzeChordFingering(f) }))
+      .filter(({ voicing }) => this.matchesVoicingFilter(voicing, 'chordFingeringVoicing'));
+
+    listEl.innerHTML = shown.length === 0
+      ? '<div style="opacity:0.7;">No saved chord fingerings with this voicing.</div>'
+      : shown.map(({ f, voicing }) => {
+        const chordName = f.chordName || getChordName(f.chordRoot, f.chordQuality);
+        return `
+          <div style="padding:6px; background:#f5f5f5; border-radius:3px; margin-bottom:4px;">
+            <strong>${chordName}</strong> (${f.hand})<br>
+            <span style="font-size:0.85em;">
+              ${f.positions.length} fingers • Comfort: ${f.comfortRating}/5
+            </span>
+            ${voicing.voicing ? `<br><span style="font-size:0.85em;">${voicing.description}</span>` : ''}
+          </div>
+        `;
+      }).join('');
 
     document.getElementById('exportChordFingerings').style.display = 'block';
     document.getElementById('clearChordFingerings').style.display = 'block';
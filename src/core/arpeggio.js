@@ -0,0 +1,150 @@
+/**
+ * Arpeggio Module
+ * Fingered arpeggios and broken-chord figures for the chord qualities in
+ * CHORD_QUALITIES, over one to three octaves
+ *
+ * Chords are arpeggiated in close position: the chord tones' pitch classes
+ * from the root up (a 9th chord gives 1-2-3-5-b7). The up and down runs
+ * climb that ladder of tones; the broken-chord figures pick the root, 3rd
+ * and 5th out of it by interval. Fingering uses the melody optimizer, which keeps the hand in one
+ * position while the figure allows and marks the shifts.
+ */
+
+import { NOTE_TO_PC } from './music.js';
+import { CHORD_QUALITIES, CHORD_SYMBOLS } from './chord-dictionary.js';
+import { ergoAnalyzer } from './fingering.js';
+import { defaultGrid } from './grid.js';
+import { fingerRun } from './scale-fingering.js';
+
+export const ARPEGGIO_PATTERNS = {
+  up: 'up',
+  down: 'down',
+  updown: 'up and down',
+  alberti: 'Alberti (1-5-3-5)',
+  open: 'open (1-5-8-10)'
+};
+
+/**
+ * Chord tones from the root, in close position
+ * @param {Array<number>} intervals - Chord intervals from the root
+ * @returns {Array<number>} Distinct intervals within the octave, ascending
+ */
+function getCloseTones(intervals) {
+  return [...new Set(intervals.map(i => ((i % 12) + 12) % 12))].sort((a, b) => a - b);
+}
+
+/**
+ * Root, 3rd and 5th of a chord, found by interval rather than by position
+ * among the chord tones, so a 9th or 11th never stands in for them
+ * @param {Array<number>} tones - Close-position chord tones
+ * @returns {{third: number, fifth: number}|null} Intervals above the root
+ *   (major 3rd before minor, perfect 5th before diminished or augmented),
+ *   or null if the chord lacks either
+ */
+function getTriadTones(tones) {
+  const third = [4, 3].find(interval => tones.includes(interval));
+  const fifth = [7, 6, 8].find(interval => tones.includes(interval) && interval !== third);
+  return third === undefined || fifth === undefined ? null : { third, fifth };
+}
+
+/**
+ * MIDI notes of an arpeggio or broken-chord figure
+ * up, down and updown run from root to root over the octaves; alberti
+ * (1-5-3-5) and open (1-5-8-10) are built on the chord's root, 3rd and 5th
+ * whatever else it holds, and repeat their figure once per octave going up.
+ * @param {number} rootMidi - Lowest root
+ * @param {Array<number>} intervals - Chord intervals from the root
+ * @param {Object} options
+ * @param {string} options.pattern - Key of ARPEGGIO_PATTERNS (default 'up')
+ * @param {number} options.octaves - Octaves to cover (default 1)
+ * @returns {Array<number>} Notes in playing order
+ * @throws {Error} If the pattern is unknown, or needs a 3rd or 5th the chord lacks
+ */
+export function getArpeggioNotes(rootMidi, intervals, { pattern = 'up', octaves = 1 } = {}) {
+  const tones = getCloseTones(intervals);
+  const n = tones.length;
+  // k-th tone of the ladder through the octaves
+  const tone = k => rootMidi + tones[k % n] + 12 * Math.floor(k / n);
+  // Figure given as intervals from the root, repeated an octave higher
+  const figure = (steps) => {
+    const notes = [];
+    for (let octave = 0; octave < octaves; octave++) {
+      steps.forEach(step => notes.push(rootMidi + 12 * octave + step));
+    }
+    return notes;
+  };
+
+  const triad = getTriadTones(tones);
+  if ((pattern === 'alberti' || pattern === 'open') && !triad) {
+    throw new Error(`The ${ARPEGGIO_PATTERNS[pattern]} pattern needs a chord with a 3rd and a 5th`);
+  }
+  const up = Array.from({ length: n * octaves + 1 }, (_, k) => tone(k));
+  switch (pattern) {
+    case 'up':
+      return up;
+    case 'down':
+      return [...up].reverse();
+    case 'updown':
+      return [...up, ...[...up].reverse().slice(1)];
+    case 'alberti':
+      return figure([0, triad.fifth, triad.third, triad.fifth]);
+    case 'open':
+      return figure([0, triad.fifth, 12, 12 + triad.third]);
+    default:
+      throw new Error(`Unknown arpeggio pattern: ${pattern}`);
+  }
+}
+
+/**
+ * Generate an arpeggio fingering
+ * The figure starts on the lowest root from which every note is on the grid.
+ * @param {string} key - Root note name (e.g., 'C', 'Bb')
+ * @param {string} quality - Chord quality id in CHORD_QUALITIES
+ * @param {Object} options
+ * @param {string} options.pattern - Key of ARPEGGIO_PATTERNS (default 'up')
+ * @param {string} options.hand - 'left' or 'right' (default 'right')
+ * @param {number} options.octaves - 1-3 (default 1)
+ * @param {number} options.baseMidi - Base MIDI note (default 48)
+ * @param {Grid} options.grid - Grid for pitch math (default: Exquis intervals layout)
+ * @param {ErgoAnalyzer} options.analyzer - Analyzer whose hand size is used (default: ergoAnalyzer)
+ * @returns {{sequence: FingeringSequence, cost: number, shifts: number,
+ *   crossings: Array<{index: number, type: string}>}} As for generateScaleFingering,
+ *   with the sequence named after the chord and pattern
+ * @throws {Error} If the quality, key or pattern is unknown, or the figure does not fit on the grid
+ */
+export function generateArpeggioFingering(key, quality, {
+  pattern = 'up',
+  hand = 'right',
+  octaves = 1,
+  baseMidi = 48,
+  grid = defaultGrid,
+  analyzer = ergoAnalyzer
+} = {}) {
+  const intervals = CHORD_QUALITIES[quality];
+  if (!intervals) {
+    throw new Error(`Unknown chord quality: ${quality}`);
+  }
+  if (!Number.isInteger(octaves) || octaves < 1 || octaves > 3) {
+    throw new Error(`Octaves must be 1-3: ${octaves}`);
+  }
+  const rootPc = NOTE_TO_PC[key];
+  if (rootPc === undefined) {
+    throw new Error(`Unknown key: ${key}`);
+  }
+  // Check the pattern before searching octaves
+  getArpeggioNotes(0, intervals, { pattern, octaves });
+
+  const chord = `${key}${CHORD_SYMBOLS[quality]}`;
+  const result = fingerRun(rootPc, rootMidi => getArpeggioNotes(rootMidi, intervals, { pattern, octaves }), {
+    name: `${chord} arpeggio ${hand === 'left' ? 'LH' : 'RH'} ${octaves} oct ${ARPEGGIO_PATTERNS[pattern]}`,
+    metadata: { key, setType: quality },
+    hand,
+    baseMidi,
+    grid,
+    analyzer
+  });
+  if (!result) {
+    throw new Error(`${chord} ${ARPEGGIO_PATTERNS[pattern]} over ${octaves} octave(s) does not fit on the grid`);
+  }
+  return result;
+}
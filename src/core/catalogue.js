@@ -0,0 +1,307 @@
+/**
+ * Chord and Scale Catalogue Module
+ * The single list of chords and scales every picker and analysis module reads
+ *
+ * Each entry is written as a list of degree labels ("1 b3 5 b7"), so its
+ * intervals, letter spelling and tone roles all come from one place. A
+ * trailing "~" marks a tone that may be omitted from a voicing (the root or
+ * fifth of a seventh chord), a trailing "?" an optional colour tone; other
+ * tones are essential. Leaving out omittable and optional tones is what
+ * turns a 13th chord or a rootless voicing into a 5-note, one-hand stack.
+ * CHORD_QUALITIES, PITCH_CLASS_SETS and the recognizer are all derived from
+ * this list.
+ */
+
+// Semitones above the root for each natural degree (8 and up are compound;
+// 10 and 12 appear in stacked voicings such as So What)
+const NATURAL_DEGREES = {
+  1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11,
+  8: 12, 9: 14, 10: 16, 11: 17, 12: 19, 13: 21
+};
+
+// Tone role for each degree suffix
+const ROLE_MARKS = { '': 'essential', '?': 'optional', '~': 'omittable' };
+
+// Degree label for each interval class, for entries registered by intervals
+const INTERVAL_DEGREES = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', '#5', '6', 'b7', '7'];
+
+/**
+ * Display names for the tags used to group entries in pickers
+ * (only tags that lead an entry's tag list appear as groups)
+ */
+export const TAG_NAMES = {
+  diatonic: 'Diatonic modes',
+  minor: 'Minor scales',
+  heptatonic: 'Other heptatonic',
+  pentatonic: 'Pentatonic',
+  hexatonic: 'Hexatonic',
+  bebop: 'Bebop',
+  symmetric: 'Symmetric',
+  dyad: 'Dyads',
+  triad: 'Triads',
+  seventh: '7th Chords',
+  sixth: '6th Chords',
+  extended: 'Extended',
+  added: 'Added tones',
+  quartal: 'Quartal',
+  imported: 'Imported'
+};
+
+/**
+ * Catalogue source: tags lead with the picker group; shortName, where given,
+ * is what chord names use after the root ("Db Major", not "Db Major triad")
+ */
+const ENTRIES = [
+  // Scales
+  { id: 'maj', name: 'Major scale', type: 'scale', tags: ['diatonic', 'heptatonic', 'major'], tones: '1 2 3 4 5 6 7', aliases: ['Ionian'] },
+  { id: 'dorian', name: 'Dorian', type: 'scale', tags: ['diatonic', 'heptatonic', 'minor'], tones: '1 2 b3 4 5 6 b7' },
+  { id: 'phrygian', name: 'Phrygian', type: 'scale', tags: ['diatonic', 'heptatonic', 'minor'], tones: '1 b2 b3 4 5 b6 b7' },
+  { id: 'lydian', name: 'Lydian', type: 'scale', tags: ['diatonic', 'heptatonic', 'major'], tones: '1 2 3 #4 5 6 7' },
+  { id: 'mixolydian', name: 'Mixolydian', type: 'scale', tags: ['diatonic', 'heptatonic', 'dominant'], tones: '1 2 3 4 5 6 b7' },
+  { id: 'natmin', name: 'Natural minor', type: 'scale', tags: ['diatonic', 'heptatonic', 'minor'], tones: '1 2 b3 4 5 b6 b7', aliases: ['Aeolian'] },
+  { id: 'locrian', name: 'Locrian', type: 'scale', tags: ['diatonic', 'heptatonic', 'diminished'], tones: '1 b2 b3 4 b5 b6 b7' },
+  { id: 'harmin', name: 'Harmonic minor', type: 'scale', tags: ['minor', 'heptatonic'], tones: '1 2 b3 4 5 b6 7' },
+  { id: 'melmin', name: 'Melodic minor', type: 'scale', tags: ['minor', 'heptatonic'], tones: '1 2 b3 4 5 6 7', aliases: ['Jazz minor'] },
+  { id: 'hungmin', name: 'Hungarian minor', type: 'scale', tags: ['minor', 'heptatonic'], tones: '1 2 b3 #4 5 b6 7' },
+  { id: 'harmaj', name: 'Harmonic major', type: 'scale', tags: ['heptatonic', 'major'], tones: '1 2 3 4 5 b6 7' },
+  { id: 'dblharm', name: 'Double harmonic', type: 'scale', tags: ['heptatonic', 'major'], tones: '1 b2 3 4 5 b6 7', aliases: ['Byzantine'] },
+  { id: 'lyddom', name: 'Lydian dominant', type: 'scale', tags: ['heptatonic', 'dominant'], tones: '1 2 3 #4 5 6 b7', aliases: ['Acoustic'] },
+  { id: 'phrygdom', name: 'Phrygian dominant', type: 'scale', tags: ['heptatonic', 'dominant'], tones: '1 b2 3 4 5 b6 b7', aliases: ['Spanish Phrygian'] },
+  { id: 'altered', name: 'Altered', type: 'scale', tags: ['heptatonic', 'dominant', 'altered'], tones: '1 b2 b3 b4 b5 b6 b7', aliases: ['Super Locrian'] },
+  { id: 'majpent', name: 'Major pentatonic', type: 'scale', tags: ['pentatonic', 'major'], tones: '1 2 3 5 6' },
+  { id: 'minpent', name: 'Minor pentatonic', type: 'scale', tags: ['pentatonic', 'minor'], tones: '1 b3 4 5 b7' },
+  { id: 'hirajoshi', name: 'Hirajoshi', type: 'scale', tags: ['pentatonic', 'minor'], tones: '1 2 b3 5 b6' },
+  { id: 'insen', name: 'In-sen', type: 'scale', tags: ['pentatonic'], tones: '1 b2 4 5 b7' },
+  { id: 'blues', name: 'Blues', type: 'scale', tags: ['hexatonic', 'minor'], tones: '1 b3 4 b5 5 b7' },
+  { id: 'bebopDom', name: 'Bebop dominant', type: 'scale', tags: ['bebop', 'dominant'], tones: '1 2 3 4 5 6 b7 7' },
+  { id: 'bebopMaj', name: 'Bebop major', type: 'scale', tags: ['bebop', 'major'], tones: '1 2 3 4 5 #5 6 7' },
+  { id: 'wholeTone', name: 'Whole tone', type: 'scale', tags: ['symmetric', 'hexatonic'], tones: '1 2 3 #4 #5 b7' },
+  { id: 'augmented', name: 'Augmented', type: 'scale', tags: ['symmetric', 'hexatonic'], tones: '1 b3 3 5 #5 7' },
+  { id: 'octHW', name: 'Octatonic (half-whole)', type: 'scale', tags: ['symmetric', 'dominant'], tones: '1 b2 #2 3 #4 5 6 b7', aliases: ['Diminished (half-whole)'] },
+  { id: 'octWH', name: 'Octatonic (whole-half)', type: 'scale', tags: ['symmetric', 'diminished'], tones: '1 2 b3 4 #4 #5 6 7', aliases: ['Diminished (whole-half)'] },
+  { id: 'chromatic', name: 'Chromatic', type: 'scale', tags: ['symmetric'], tones: '1 b2 2 b3 3 4 #4 5 b6 6 b7 7' },
+
+  // Dyads and triads
+  { id: 'power', name: 'Power chord', symbol: '5', type: 'chord', tags: ['dyad'], tones: '1 5' },
+  { id: 'major', name: 'Major triad', shortName: 'Major', symbol: '', type: 'chord', tags: ['triad', 'major'], tones: '1 3 5', aliases: ['majtriad'] },
+  { id: 'minor', name: 'Minor triad', shortName: 'Minor', symbol: 'm', type: 'chord', tags: ['triad', 'minor'], tones: '1 b3 5', aliases: ['mintriad'] },
+  { id: 'dim', name: 'Diminished triad', shortName: 'Diminished', symbol: 'dim', type: 'chord', tags: ['triad', 'diminished'], tones: '1 b3 b5', aliases: ['dimtriad', '°'] },
+  { id: 'aug', name: 'Augmented triad', shortName: 'Augmented', symbol: 'aug', type: 'chord', tags: ['triad', 'augmented'], tones: '1 3 #5', aliases: ['augtriad', '+'] },
+  { id: 'sus2', name: 'Sus2', symbol: 'sus2', type: 'chord', tags: ['triad', 'suspended'], tones: '1 2 5' },
+  { id: 'sus4', name: 'Sus4', symbol: 'sus4', type: 'chord', tags: ['triad', 'suspended'], tones: '1 4 5', aliases: ['sus'] },
+  { id: 'quartal', name: 'Quartal triad', symbol: 'quartal', type: 'chord', tags: ['quartal'], tones: '1 4 b7' },
+
+  // 7th chords
+  { id: 'maj7', name: 'Major 7th', symbol: 'maj7', type: 'chord', tags: ['seventh', 'major'], tones: '1~ 3 5~ 7', aliases: ['M7', 'Δ7'] },
+  { id: 'min7', name: 'Minor 7th', symbol: 'm7', type: 'chord', tags: ['seventh', 'minor'], tones: '1~ b3 5~ b7', aliases: ['-7'] },
+  { id: 'dom7', name: 'Dominant 7th', symbol: '7', type: 'chord', tags: ['seventh', 'dominant'], tones: '1~ 3 5~ b7' },
+  { id: 'dim7', name: 'Diminished 7th', symbol: 'dim7', type: 'chord', tags: ['seventh', 'diminished'], tones: '1~ b3 b5 bb7', aliases: ['°7'] },
+  { id: 'hdim7', name: 'Half-diminished 7th', shortName: 'Half-dim 7th', symbol: 'm7b5', type: 'chord', tags: ['seventh', 'diminished'], tones: '1~ b3 b5 b7', aliases: ['ø7'] },
+  { id: 'minmaj7', name: 'Minor-Major 7th', symbol: 'm(maj7)', type: 'chord', tags: ['seventh', 'minor'], tones: '1~ b3 5~ 7', aliases: ['mM7'] },
+  { id: 'maj7#5', name: 'Major 7th sharp 5', symbol: 'maj7#5', type: 'chord', tags: ['seventh', 'augmented', 'major'], tones: '1~ 3 #5 7' },
+  { id: 'aug7', name: 'Augmented 7th', symbol: 'aug7', type: 'chord', tags: ['seventh', 'augmented'], tones: '1~ 3 #5 b7', aliases: ['+7', '7#5'] },
+  { id: '7sus4', name: 'Dominant 7th sus4', symbol: '7sus4', type: 'chord', tags: ['seventh', 'suspended', 'dominant'], tones: '1~ 4 5~ b7' },
+  { id: '7b5', name: 'Dominant 7th flat 5', symbol: '7b5', type: 'chord', tags: ['seventh', 'altered', 'dominant'], tones: '1~ 3 b5 b7' },
+
+  // 6th chords
+  { id: '6', name: '6th', symbol: '6', type: 'chord', tags: ['sixth', 'major'], tones: '1~ 3 5~ 6', aliases: ['M6'] },
+  { id: 'min6', name: 'Minor 6th', symbol: 'm6', type: 'chord', tags: ['sixth', 'minor'], tones: '1~ b3 5~ 6', aliases: ['-6'] },
+  { id: '6/9', name: '6/9', symbol: '6/9', type: 'chord', tags: ['sixth', 'added', 'major'], tones: '1~ 3 5~ 6 9', aliases: ['69'] },
+
+  // Added tones
+  { id: 'add9', name: 'Added 9th', symbol: 'add9', type: 'chord', tags: ['added', 'major'], tones: '1 3 5~ 9' },
+  { id: 'madd9', name: 'Minor added 9th', symbol: 'madd9', type: 'chord', tags: ['added', 'minor'], tones: '1 b3 5~ 9' },
+  { id: 'add11', name: 'Added 11th', symbol: 'add11', type: 'chord', tags: ['added', 'major'], tones: '1 3 5~ 11' },
+  { id: 'min6/9', name: 'Minor 6/9', symbol: 'm6/9', type: 'chord', tags: ['added', 'sixth', 'minor'], tones: '1~ b3 5~ 6 9', aliases: ['m69'] },
+
+  // Extended and altered chords
+  { id: 'maj9', name: 'Major 9th', symbol: 'maj9', type: 'chord', tags: ['extended', 'major'], tones: '1~ 3 5~ 7 9' },
+  { id: 'min9', name: 'Minor 9th', symbol: 'm9', type: 'chord', tags: ['extended', 'minor'], tones: '1~ b3 5~ b7 9' },
+  { id: 'dom9', name: 'Dominant 9th', symbol: '9', type: 'chord', tags: ['extended', 'dominant'], tones: '1~ 3 5~ b7 9' },
+  { id: '7b9', name: 'Dominant 7th flat 9', symbol: '7b9', type: 'chord', tags: ['extended', 'altered', 'dominant'], tones: '1~ 3 5~ b7 b9' },
+  { id: '7#9', name: 'Dominant 7th sharp 9', symbol: '7#9', type: 'chord', tags: ['extended', 'altered', 'dominant'], tones: '1~ 3 5~ b7 #9' },
+  { id: 'maj7#11', name: 'Major 7th sharp 11', symbol: 'maj7#11', type: 'chord', tags: ['extended', 'altered', 'major'], tones: '1~ 3 5~ 7 #11' },
+  { id: '7#11', name: 'Dominant 7th sharp 11', symbol: '7#11', type: 'chord', tags: ['extended', 'altered', 'dominant'], tones: '1~ 3 5~ b7 #11' },
+  { id: '7b13', name: 'Dominant 7th flat 13', symbol: '7b13', type: 'chord', tags: ['extended', 'altered', 'dominant'], tones: '1~ 3 5~ b7 b13' },
+  { id: '7alt', name: 'Altered dominant', symbol: '7alt', type: 'chord', tags: ['extended', 'altered', 'dominant'], tones: '1~ 3 b7 b9? #9? #11? b13?' },
+  { id: '9sus4', name: 'Dominant 9th sus4', symbol: '9sus4', type: 'chord', tags: ['extended', 'suspended', 'dominant'], tones: '1~ 4 5~ b7 9' },
+  { id: 'min11', name: 'Minor 11th', symbol: 'm11', type: 'chord', tags: ['extended', 'minor'], tones: '1~ b3 5~ b7 9? 11' },
+  { id: 'dom11', name: 'Dominant 11th', symbol: '11', type: 'chord', tags: ['extended', 'dominant'], tones: '1~ 3? 5~ b7 9? 11' },
+  { id: 'maj13', name: 'Major 13th', symbol: 'maj13', type: 'chord', tags: ['extended', 'major'], tones: '1~ 3 5~ 7 9? 13' },
+  { id: 'min13', name: 'Minor 13th', symbol: 'm13', type: 'chord', tags: ['extended', 'minor'], tones: '1~ b3 5~ b7 9? 11? 13' },
+  { id: 'dom13', name: 'Dominant 13th', symbol: '13', type: 'chord', tags: ['extended', 'dominant'], tones: '1~ 3 5~ b7 9? 13' },
+  { id: '13sus4', name: 'Dominant 13th sus4', symbol: '13sus4', type: 'chord', tags: ['extended', 'suspended', 'dominant'], tones: '1~ 4 5~ b7 9? 13' },
+  { id: '13b9', name: 'Dominant 13th flat 9', symbol: '13b9', type: 'chord', tags: ['extended', 'altered', 'dominant'], tones: '1~ 3 5~ b7 b9 13' },
+  { id: '13#11', name: 'Dominant 13th sharp 11', symbol: '13#11', type: 'chord', tags: ['extended', 'altered', 'dominant'], tones: '1~ 3 5~ b7 9? #11 13' },
+
+  // Quartal stacks, written as voiced from the root
+  { id: 'quartal4', name: 'Quartal tetrad', symbol: 'quartal4', type: 'chord', tags: ['quartal'], tones: '1 4 b7 b10' },
+  { id: 'sowhat', name: 'So What', symbol: 'm7add11', type: 'chord', tags: ['quartal', 'minor'], tones: '1 4 b7 b10 12', aliases: ['So What chord'] }
+];
+
+/**
+ * Read a degree label such as "b3", "#11" or "bb7"
+ * @param {string} label - Degree label
+ * @returns {{semitones: number, step: number}} Semitones above the root
+ *   (compound from 8 up) and letter steps above the root (0-6)
+ * @throws {Error} If the label is not a degree
+ */
+export function parseDegree(label) {
+  const match = /^(bb|b|#)?(\d+)$/.exec(label);
+  const natural = match ? NATURAL_DEGREES[match[2]] : undefined;
+  if (natural === undefined) {
+    throw new Error(`Invalid degree: ${label}`);
+  }
+
+  const accidental = { bb: -2, b: -1, '#': 1 }[match[1]] || 0;
+  return {
+    semitones: natural + accidental,
+    step: (Number(match[2]) - 1) % 7
+  };
+}
+
+/**
+ * Expand a source entry: parse its tones and derive its intervals
+ */
+function buildEntry({ tones, aliases = [], symbol = null, source = 'built-in', ...rest }) {
+  const parsedTones = tones.split(' ').map(token => {
+    const [, degree, mark] = /^(.*?)([~?]?)$/.exec(token);
+    return Object.freeze({
+      degree,
+      interval: parseDegree(degree).semitones,
+      role: ROLE_MARKS[mark]
+    });
+  });
+
+  return Object.freeze({
+    ...rest,
+    symbol,
+    source,
+    aliases: Object.freeze(aliases),
+    tags: Object.freeze(rest.tags),
+    tones: Object.freeze(parsedTones),
+    intervals: Object.freeze(parsedTones.map(tone => tone.interval))
+  });
+}
+
+/**
+ * Every chord and scale: the built-in entries (scales first, in picker
+ * order), then any registered with registerCatalogueEntry
+ */
+export const CATALOGUE = ENTRIES.map(buildEntry);
+
+// Lookup by id, then by alias
+const BY_ID = new Map(CATALOGUE.map(entry => [entry.id, entry]));
+const BY_ALIAS = new Map(CATALOGUE.flatMap(entry => entry.aliases.map(alias => [alias, entry])));
+
+// Called with each entry registered after start-up
+const watchers = [];
+
+/**
+ * Look up an entry by id or alias (e.g. 'majtriad' finds the major chord)
+ * @param {string} key - Entry id or alias
+ * @returns {object|null} Catalogue entry, or null if unknown
+ */
+export function getCatalogueEntry(key) {
+  return BY_ID.get(key) || BY_ALIAS.get(key) || null;
+}
+
+/**
+ * Add an entry to the catalogue (e.g. from an imported dictionary)
+ * @param {object} definition - Entry: {id, name, shortName, type, tags, symbol,
+ *   aliases, source} plus either tones ("1 3 5~ b7") or intervals (semitones from the
+ *   root, 0 included, labelled with plain degrees)
+ * @returns {object} The new catalogue entry
+ * @throws {Error} If the id is taken or the tones are invalid
+ */
+export function registerCatalogueEntry({ intervals, tones, tags = [], ...definition }) {
+  const { id, name, type } = definition;
+  if (!id || BY_ID.has(id)) {
+    throw new Error(`Invalid catalogue entry "${id}": id is missing or already registered`);
+  }
+  if (!name || (type !== 'chord' && type !== 'scale')) {
+    throw new Error(`Invalid catalogue entry "${id}": needs a name and type 'chord' or 'scale'`);
+  }
+
+  if (!tones) {
+    const valid = Array.isArray(intervals) && intervals.includes(0) &&
+      intervals.every(i => Number.isInteger(i) && i >= 0 && i < 12);
+    if (!valid) {
+      throw new Error(`Invalid catalogue entry "${id}": intervals must be 0-11 and include the root`);
+    }
+    tones = [...new Set(intervals)].sort((a, b) => a - b)
+      .map(i => INTERVAL_DEGREES[i])
+      .join(' ');
+  }
+
+  const entry = buildEntry({ ...definition, tags, tones });
+  CATALOGUE.push(entry);
+  BY_ID.set(entry.id, entry);
+  entry.aliases.forEach(alias => {
+    if (!BY_ALIAS.has(alias)) BY_ALIAS.set(alias, entry);
+  });
+  watchers.forEach(watcher => watcher(entry));
+  return entry;
+}
+
+/**
+ * Call a function for every catalogue entry, now and as entries are
+ * registered, so derived tables stay in step with the catalogue
+ * @param {Function} watcher - Called with each entry
+ */
+export function watchCatalogue(watcher) {
+  CATALOGUE.forEach(entry => watcher(entry));
+  watchers.push(watcher);
+}
+
+/**
+ * List catalogue entries, optionally filtered
+ * @param {object} options - Filters
+ * @param {string|null} options.type - 'chord' or 'scale'
+ * @param {string|null} options.tag - Only entries with this tag
+ * @returns {Array<object>} Matching entries in catalogue order
+ */
+export function listCatalogue({ type = null, tag = null } = {}) {
+  return CATALOGUE.filter(entry =>
+    (type === null || entry.type === type) &&
+    (tag === null || entry.tags.includes(tag))
+  );
+}
+
+/**
+ * Group entries for a picker by their leading tag
+ * @param {string} type - 'chord' or 'scale'
+ * @returns {Array<{tag: string, label: string, entries: Array<object>}>} Groups in catalogue order
+ */
+export function groupCatalogue(type) {
+  const groups = new Map();
+  for (const entry of listCatalogue({ type })) {
+    const [tag] = entry.tags;
+    if (!groups.has(tag)) {
+      groups.set(tag, { tag, label: TAG_NAMES[tag] || tag, entries: [] });
+    }
+    groups.get(tag).entries.push(entry);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Letter steps for each interval class of an entry, for spellSet
+ * @param {object} entry - Catalogue entry
+ * @returns {object} Interval class (0-11) → letter steps above the root
+ */
+export function getDegreeSteps(entry) {
+  return Object.fromEntries(entry.tones.map(tone =>
+    [tone.interval % 12, parseDegree(tone.degree).step]
+  ));
+}
+
+/**
+ * Intervals of the tones with a given role
+ * @param {object} entry - Catalogue entry
+ * @param {string} role - 'essential', 'optional' or 'omittable'
+ * @returns {Array<number>} Intervals in tone order
+ */
+export function getTonesByRole(entry, role) {
+  return entry.tones.filter(tone => tone.role === role).map(tone => tone.interval);
+}
@@ -3,59 +3,31 @@
  * Defines chord qualities and their pitch class intervals
  */
 
+import { spellRoot, spellSet } from './spelling.js';
+import { watchCatalogue, getCatalogueEntry, getDegreeSteps, getTonesByRole } from './catalogue.js';
+
 /**
- * Chord quality definitions
+ * Chord quality definitions, by catalogue id
  * Each quality maps to semitone intervals from the root
  */
-export const CHORD_QUALITIES = {
-  // Triads
-  'major': [0, 4, 7],
-  'minor': [0, 3, 7],
-  'dim': [0, 3, 6],
-  'aug': [0, 4, 8],
-  'sus2': [0, 2, 7],
-  'sus4': [0, 5, 7],
-
-  // 7th Chords
-  'maj7': [0, 4, 7, 11],
-  'min7': [0, 3, 7, 10],
-  'dom7': [0, 4, 7, 10],
-  'dim7': [0, 3, 6, 9],
-  'hdim7': [0, 3, 6, 10],  // Half-diminished 7th
-  'minmaj7': [0, 3, 7, 11], // Minor-major 7th
-  'aug7': [0, 4, 8, 10],    // Augmented 7th
-
-  // Extended Chords
-  'maj9': [0, 4, 7, 11, 14],     // 14 = 2 + 12
-  'min9': [0, 3, 7, 10, 14],
-  'dom9': [0, 4, 7, 10, 14],
-  '6': [0, 4, 7, 9],             // Major 6th
-  'min6': [0, 3, 7, 9]           // Minor 6th
-};
+export const CHORD_QUALITIES = {};
 
 /**
- * Chord quality display names
- */
-export const CHORD_NAMES = {
-  'major': 'Major',
-  'minor': 'Minor',
-  'dim': 'Diminished',
-  'aug': 'Augmented',
-  'sus2': 'Sus2',
-  'sus4': 'Sus4',
-  'maj7': 'Major 7th',
-  'min7': 'Minor 7th',
-  'dom7': 'Dominant 7th',
-  'dim7': 'Diminished 7th',
-  'hdim7': 'Half-dim 7th',
-  'minmaj7': 'Minor-Major 7th',
-  'aug7': 'Augmented 7th',
-  'maj9': 'Major 9th',
-  'min9': 'Minor 9th',
-  'dom9': 'Dominant 9th',
-  '6': '6th',
-  'min6': 'Minor 6th'
-};
+ * Chord quality display names, as used after a root (an entry's short name if it has one)
+ */
+export const CHORD_NAMES = {};
+
+/**
+ * Chord quality lead-sheet symbols (appended to the root, e.g. "C" + "m7")
+ */
+export const CHORD_SYMBOLS = {};
+
+watchCatalogue(entry => {
+  if (entry.type !== 'chord') return;
+  CHORD_QUALITIES[entry.id] = entry.intervals;
+  CHORD_NAMES[entry.id] = entry.shortName || entry.name;
+  CHORD_SYMBOLS[entry.id] = entry.symbol;
+});
 
 /**
  * Note names
@@ -80,87 +52,352 @@ export function getChordPitchClasses(rootPC, quality) {
   return intervals.map(interval => (rootPC + interval) % 12);
 }
 
+/**
+ * Pitch classes a voicing of a chord may leave out: its omittable tones
+ * (root, fifth) and optional colour tones
+ * @param {number} rootPC - Root pitch class (0-11)
+ * @param {string} quality - Chord quality (e.g., 'dom13')
+ * @returns {Array<number>} Pitch classes (mod 12) in tone order
+ */
+export function getChordOmissions(rootPC, quality) {
+  const entry = getCatalogueEntry(quality);
+  if (!entry || entry.type !== 'chord') {
+    throw new Error(`Unknown chord quality: ${quality}`);
+  }
+
+  const essential = new Set(getTonesByRole(entry, 'essential').map(i => i % 12));
+  return entry.tones
+    .filter(tone => tone.role !== 'essential' && !essential.has(tone.interval % 12))
+    .map(tone => (rootPC + tone.interval) % 12);
+}
+
 /**
  * Get chord display name
  * @param {number} rootPC - Root pitch class (0-11)
  * @param {string} quality - Chord quality
- * @returns {string} Display name (e.g., "C Dominant 7th")
+ * @param {Array<string>|null} spelling - Note names by pitch class for the
+ *   current key (see getKeySpelling); lead-sheet spelling when omitted
+ * @returns {string} Display name (e.g., "Eb Dominant 7th")
  */
-export function getChordName(rootPC, quality) {
-  const rootName = NOTE_NAMES[rootPC];
+export function getChordName(rootPC, quality, spelling = null) {
+  const rootName = spelling ? spelling[rootPC] : spellRoot(rootPC).name;
   const qualityName = CHORD_NAMES[quality] || quality;
   return `${rootName} ${qualityName}`;
 }
 
+/**
+ * Spell the notes of a chord from its root
+ * @param {number} rootPC - Root pitch class (0-11)
+ * @param {string} quality - Chord quality
+ * @param {Array<string>|null} spelling - Note names by pitch class; only the root is taken from it
+ * @returns {Array<string>} Note names in interval order (e.g., Eb7 → ['Eb', 'G', 'Bb', 'Db'])
+ */
+export function getChordNoteNames(rootPC, quality, spelling = null) {
+  const intervals = CHORD_QUALITIES[quality];
+  if (!intervals) {
+    throw new Error(`Unknown chord quality: ${quality}`);
+  }
+
+  const rootName = spelling ? spelling[rootPC] : spellRoot(rootPC).name;
+  return spellSet(rootName, intervals, { degrees: getDegreeSteps(getCatalogueEntry(quality)) });
+}
+
+/**
+ * Voicing type display names, in the order analyzeVoicing prefers them
+ */
+export const VOICING_NAMES = {
+  cluster: 'Cluster',
+  quartal: 'Quartal',
+  shell: 'Shell',
+  rootlessA: 'Rootless A',
+  rootlessB: 'Rootless B',
+  drop2: 'Drop-2',
+  drop3: 'Drop-3',
+  drop24: 'Drop-2&4',
+  spread: 'Spread',
+  close: 'Close',
+  open: 'Open'
+};
+
+// Inversion names, by chord member in the bass (root, 3rd, 5th, 7th, 9th, 11th, 13th)
+const INVERSIONS = ['root', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth'];
+
+// Chord member (as an INVERSIONS index) for each letter step above the root;
+// 2nds, 4ths and 6ths count as 9ths, 11ths and 13ths
+const STEP_MEMBERS = { 0: 0, 2: 1, 4: 2, 6: 3, 1: 4, 3: 5, 5: 6 };
+
+// Letter steps assumed for intervals above the root when the quality is unknown
+const DEFAULT_STEPS = { 0: 0, 3: 2, 4: 2, 7: 4, 10: 6, 11: 6 };
+
+/**
+ * Letter steps of the chord tones, by pitch class
+ */
+function getToneSteps(rootPC, quality) {
+  const entry = quality ? getCatalogueEntry(quality) : null;
+  if (entry) {
+    const steps = getDegreeSteps(entry);
+    return new Map(Object.entries(steps).map(([ic, step]) => [(rootPC + Number(ic)) % 12, step]));
+  }
+  return new Map(Object.entries(DEFAULT_STEPS).map(([ic, step]) => [(rootPC + Number(ic)) % 12, step]));
+}
+
+/**
+ * Close position: no chord tone fits between adjacent voices
+ * Tones are taken in their stacking order (root, 3rd, 5th, 7th, 9th, ...),
+ * so C E G B D is close although the root lies between B and D; each voice
+ * must be the next chord member present above the one below it. Notes that
+ * are not chord members fall back to pitch order.
+ * @param {Array<number>} sorted - Distinct MIDI notes, ascending
+ * @param {Map<number, number>} steps - Letter steps by pitch class (see getToneSteps)
+ * @returns {boolean}
+ */
+function isClosePosition(sorted, steps) {
+  const gaps = sorted.slice(1).map((note, i) => note - sorted[i]);
+  if (gaps.some(gap => gap >= 12)) return false;
+
+  const members = sorted.map(note => STEP_MEMBERS[steps.get(note % 12)]);
+  const order = members.every(member => member !== undefined)
+    ? members
+    : sorted.map(note => note % 12);
+  const present = [...new Set(order)].sort((a, b) => a - b);
+  const next = value => present[(present.indexOf(value) + 1) % present.length];
+  return order.slice(1).every((value, i) => value === next(order[i]));
+}
+
+/**
+ * Drop voicing of four distinct notes: raising the lowest one or two notes an
+ * octave gives a close voicing, with the raised notes 2nd (drop-2), 3rd
+ * (drop-3) or 2nd and 4th (drop-2&4) from the top
+ * @returns {string|null} 'drop2', 'drop3', 'drop24' or null
+ */
+function findDropVoicing(sorted) {
+  if (sorted.length !== 4 || new Set(sorted.map(n => n % 12)).size !== 4) return null;
+  const isClosed = notes => notes[notes.length - 1] - notes[0] < 12;
+  if (isClosed(sorted)) return null;
+
+  const [a, b, c, d] = sorted;
+  const single = [b, c, d, a + 12].sort((x, y) => x - y);
+  if (isClosed(single)) {
+    const fromTop = 4 - single.indexOf(a + 12);
+    if (fromTop === 2) return 'drop2';
+    if (fromTop === 3) return 'drop3';
+  }
+
+  const double = [c, d, a + 12, b + 12].sort((x, y) => x - y);
+  if (isClosed(double) && 4 - double.indexOf(a + 12) === 4 && 4 - double.indexOf(b + 12) === 2) {
+    return 'drop24';
+  }
+  return null;
+}
+
 /**
  * Analyze voicing type
- * @param {Array<number>} midiNotes - MIDI notes in the fingering (sorted)
+ * Classifies the spacing (close, open, spread, drop-2, drop-3, drop-2&4),
+ * jazz voicings (shell 1-3-7, rootless A with the 3rd or B with the 7th in
+ * the bass), quartal stacks and clusters, and finds the inversion from the
+ * chord member in the bass, so a 9th in the bass is the fourth inversion.
+ * @param {Array<number>} midiNotes - MIDI notes in the fingering
  * @param {number} rootPC - Root pitch class
- * @returns {{type: string, description: string}}
+ * @param {string|null} quality - Chord quality; when omitted, the 3rd and 7th
+ *   are guessed from the intervals and no omitted tones are reported
+ * @returns {{type: string, description: string, voicing: string|null,
+ *   voicings: Array<string>, inversion: string, isRootPosition: boolean,
+ *   isClose: boolean, doubled: Array<number>, omitted: Array<number>,
+ *   lowestNote: number, span: number}} voicing is the preferred VOICING_NAMES
+ *   key and voicings every one that applies; doubled and omitted are pitch
+ *   classes. Fewer than three notes give type 'incomplete', no voicing and
+ *   inversion null
  */
-export function analyzeVoicing(midiNotes, rootPC) {
-  if (midiNotes.length < 3) {
-    return { type: 'incomplete', description: 'Incomplete voicing' };
+export function analyzeVoicing(midiNotes, rootPC, quality = null) {
+  const sorted = [...new Set(midiNotes)].sort((a, b) => a - b);
+  if (sorted.length < 3) {
+    return {
+      type: 'incomplete',
+      description: 'Incomplete voicing',
+      voicing: null,
+      voicings: [],
+      inversion: null,
+      isRootPosition: false,
+      isClose: false,
+      doubled: [],
+      omitted: [],
+      lowestNote: sorted.length > 0 ? sorted[0] % 12 : null,
+      span: sorted.length > 0 ? sorted[sorted.length - 1] - sorted[0] : 0
+    };
   }
 
-  // Sort notes
-  const sorted = [...midiNotes].sort((a, b) => a - b);
-  const lowestNote = sorted[0];
-  const lowestPC = lowestNote % 12;
+  const lowestPC = sorted[0] % 12;
+  const span = sorted[sorted.length - 1] - sorted[0];
+  const gaps = sorted.slice(1).map((note, i) => note - sorted[i]);
+  const pcs = sorted.map(note => note % 12);
+  const present = new Set(pcs);
+
+  // Chord members present: the 3rd and 7th decide shell and rootless voicings
+  const steps = getToneSteps(rootPC, quality);
+  const memberPC = step => [...steps].find(([pc, s]) => s === step && present.has(pc))?.[0];
+  const third = memberPC(2);
+  const seventh = memberPC(6);
+
+  const doubled = [...present].filter(pc => pcs.filter(p => p === pc).length > 1);
+  const omitted = quality
+    ? [...new Set(getChordPitchClasses(rootPC, quality))].filter(pc => !present.has(pc))
+    : [];
 
-  // Check if root position (lowest note is root)
+  // Inversion from the chord member in the bass
+  const bassStep = steps.get(lowestPC);
+  const inversion = bassStep === undefined ? 'other' : INVERSIONS[STEP_MEMBERS[bassStep]];
   const isRootPosition = lowestPC === rootPC;
 
-  // Calculate spacing
-  const intervals = [];
-  for (let i = 1; i < sorted.length; i++) {
-    intervals.push(sorted[i] - sorted[i - 1]);
-  }
+  // Every voicing type that applies
+  const isClose = isClosePosition(sorted, steps);
+  const fourths = gaps.filter(gap => gap === 5 || gap === 6).length;
+  const checks = {
+    cluster: gaps.some((gap, i) => i > 0 && gap <= 2 && gaps[i - 1] <= 2),
+    quartal: fourths >= 2 && (fourths === gaps.length ||
+      (fourths === gaps.length - 1 && [3, 4].includes(gaps[gaps.length - 1]))),
+    shell: present.size === 3 && isRootPosition && third !== undefined && seventh !== undefined,
+    rootlessA: !present.has(rootPC) && present.size >= 3 && seventh !== undefined && lowestPC === third,
+    rootlessB: !present.has(rootPC) && present.size >= 3 && third !== undefined && lowestPC === seventh,
+    spread: span >= 24 || gaps.some(gap => gap > 12),
+    close: isClose
+  };
+  const drop = findDropVoicing(sorted);
+  if (drop) checks[drop] = true;
+  checks.open = !isClose && !checks.spread;
 
-  // Check if close voicing (all intervals <= octave)
-  const maxInterval = Math.max(...intervals);
-  const isClose = maxInterval <= 12;
-
-  // Determine voicing type
-  let type, description;
-
-  if (isRootPosition) {
-    if (isClose) {
-      type = 'root_close';
-      description = 'Root Position (Close)';
-    } else {
-      type = 'root_open';
-      description = 'Root Position (Open)';
-    }
-  } else {
-    // Determine which inversion
-    const bassInterval = (lowestPC - rootPC + 12) % 12;
-    let inversion;
-
-    if (bassInterval === 3 || bassInterval === 4) {
-      inversion = 'first';
-    } else if (bassInterval === 7) {
-      inversion = 'second';
-    } else if (bassInterval === 10 || bassInterval === 11) {
-      inversion = 'third';
-    } else {
-      inversion = 'other';
-    }
-
-    type = `${inversion}_inversion`;
-    description = `${inversion.charAt(0).toUpperCase() + inversion.slice(1)} Inversion`;
-
-    if (!isClose) {
-      description += ' (Open)';
-    }
-  }
+  const voicings = Object.keys(VOICING_NAMES).filter(key => checks[key]);
+  const voicing = voicings[0];
+
+  // Description, e.g. "Drop-2, first inversion, no 5"
+  const degreeOf = pc => {
+    const entry = quality ? getCatalogueEntry(quality) : null;
+    const tone = entry?.tones.find(t => (rootPC + t.interval) % 12 === pc);
+    return tone ? tone.degree : spellRoot(pc).name;
+  };
+  const parts = [
+    VOICING_NAMES[voicing],
+    isRootPosition ? 'root position' : inversion === 'other' ? `${spellRoot(lowestPC).name} in the bass` : `${inversion} inversion`
+  ];
+  if (omitted.length > 0) parts.push(`no ${omitted.map(degreeOf).join(', ')}`);
+  if (doubled.length > 0) parts.push(`doubled ${doubled.map(degreeOf).join(', ')}`);
 
   return {
-    type,
-    description,
+    type: isRootPosition ? `root_${isClose ? 'close' : 'open'}` : `${inversion}_inversion`,
+    description: parts.join(', '),
+    voicing,
+    voicings,
+    inversion: isRootPosition ? 'root' : inversion,
     isRootPosition,
     isClose,
+    doubled,
+    omitted,
     lowestNote: lowestPC,
-    span: sorted[sorted.length - 1] - sorted[0]
+    span
+  };
+}
+
+/**
+ * Solve a square assignment problem (Hungarian algorithm)
+ * @param {Array<Array<number>>} cost - n×n cost matrix
+ * @returns {Array<number>} Column assigned to each row
+ */
+function assignMinCost(cost) {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const match = new Array(n + 1).fill(0); // column -> row (1-based)
+  const way = new Array(n + 1).fill(0);
+
+  for (let row = 1; row <= n; row++) {
+    match[0] = row;
+    let col0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[col0] = true;
+      const row0 = match[col0];
+      let delta = Infinity;
+      let col1 = 0;
+      for (let col = 1; col <= n; col++) {
+        if (used[col]) continue;
+        const reduced = cost[row0 - 1][col - 1] - u[row0] - v[col];
+        if (reduced < minv[col]) {
+          minv[col] = reduced;
+          way[col] = col0;
+        }
+        if (minv[col] < delta) {
+          delta = minv[col];
+          col1 = col;
+        }
+      }
+      for (let col = 0; col <= n; col++) {
+        if (used[col]) {
+          u[match[col]] += delta;
+          v[col] -= delta;
+        } else {
+          minv[col] -= delta;
+        }
+      }
+      col0 = col1;
+    } while (match[col0] !== 0);
+    do {
+      const col1 = way[col0];
+      match[col0] = match[col1];
+      col0 = col1;
+    } while (col0);
+  }
+
+  const assignment = new Array(n);
+  for (let col = 1; col <= n; col++) {
+    assignment[match[col] - 1] = col - 1;
+  }
+  return assignment;
+}
+
+/**
+ * Find the minimal voice leading between two voicings
+ * Every note of both chords takes part. When the chords differ in size, notes
+ * of the smaller chord take more than one voice (a voice splits or two
+ * merge). The total motion in semitones is minimised; among equal totals,
+ * the mapping that keeps the most common tones wins, so those fingers can
+ * stay down.
+ * @param {Array<number>} fromNotes - MIDI notes of the first voicing
+ * @param {Array<number>} toNotes - MIDI notes of the second voicing
+ * @returns {{moves: Array<{from: number, to: number, semitones: number,
+ *   fromIndex: number, toIndex: number}>, distance: number,
+ *   commonTones: Array<number>}} Moves from low to high with indexes into the
+ *   input arrays, total semitones moved, and the notes held over
+ * @throws {Error} If either voicing is empty
+ */
+export function findVoiceLeading(fromNotes, toNotes) {
+  if (fromNotes.length === 0 || toNotes.length === 0) {
+    throw new Error('Voice leading needs two non-empty voicings');
+  }
+
+  // Rows are the larger chord; the first columns must each take one row and
+  // the extra columns let the remaining rows go to their nearest note
+  const swapped = fromNotes.length < toNotes.length;
+  const rows = swapped ? toNotes : fromNotes;
+  const cols = swapped ? fromNotes : toNotes;
+  const pairCost = (a, b) => Math.abs(a - b) * rows.length * 2 + (a === b ? 0 : 1);
+  const nearest = rows.map(note =>
+    cols.reduce((best, other, j) => (pairCost(note, other) < pairCost(note, cols[best]) ? j : best), 0)
+  );
+  const cost = rows.map((note, i) =>
+    Array.from({ length: rows.length }, (_, j) => pairCost(note, cols[j < cols.length ? j : nearest[i]]))
+  );
+
+  const moves = assignMinCost(cost).map((j, i) => {
+    const colIndex = j < cols.length ? j : nearest[i];
+    const [fromIndex, toIndex] = swapped ? [colIndex, i] : [i, colIndex];
+    const from = fromNotes[fromIndex];
+    const to = toNotes[toIndex];
+    return { from, to, semitones: to - from, fromIndex, toIndex };
+  }).sort((a, b) => a.from - b.from || a.to - b.to);
+
+  return {
+    moves,
+    distance: moves.reduce((sum, move) => sum + Math.abs(move.semitones), 0),
+    commonTones: [...new Set(moves.filter(move => move.semitones === 0).map(move => move.from))]
   };
 }
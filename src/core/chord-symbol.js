@@ -0,0 +1,158 @@
+/**
+ * Chord Symbol Parser Module
+ * Reads lead-sheet chord symbols such as "Cmaj7#11", "F#m7b5", "Bb13(no3)",
+ * "D/F#" and "G7alt"
+ *
+ * A symbol is a root, a quality (m, dim, aug, ø, sus), an optional seventh or
+ * extension (6, 7, maj7, 9, 11, 13, 6/9), any number of modifiers (b5, #9,
+ * add9, no3, alt, ...) and an optional slash bass. Tones are kept by chord
+ * degree so the notes can be spelled correctly.
+ */
+
+import { CHORD_QUALITIES } from './chord-dictionary.js';
+import { parseDegree } from './catalogue.js';
+import { parseNoteName, spellSet } from './spelling.js';
+import { pcsToBinary } from './music.js';
+
+// Alterations a chord symbol may carry
+const ALTERATIONS = new Set(['b5', '#5', 'b9', '#9', '#11', 'b13']);
+
+// Note names, with an optional accidental
+const NOTE_PATTERN = '[A-G](?:##|bb|#|b|♯|♭|x)?';
+
+/**
+ * Parse a lead-sheet chord symbol
+ * @param {string} symbol - Chord symbol (e.g., 'Cmaj7#11', 'D/F#')
+ * @returns {object} Parsed chord: {symbol, root, rootName, bass, bassName,
+ *   degrees, intervals, pitchClasses, noteNames, quality}. bass is null
+ *   unless the symbol has a slash; pitchClasses include a slash bass that is
+ *   not a chord tone. quality is the matching CHORD_QUALITIES key, or null.
+ * @throws {Error} If the symbol cannot be read
+ */
+export function parseChordSymbol(symbol) {
+  const text = String(symbol || '').trim();
+  const match = new RegExp(`^(${NOTE_PATTERN})(.*?)(?:/(${NOTE_PATTERN}))?$`).exec(text);
+  if (!match) {
+    throw new Error(`Invalid chord symbol: "${symbol}"`);
+  }
+
+  const [, rootName, body, bassName] = match;
+  const root = parseNoteName(rootName).pc;
+  const rest = body.replace(/[()\s,]/g, '');
+  const tones = new Map([['1', 0], ['3', 4], ['5', 7]]);
+  let pos = 0;
+
+  const take = (pattern) => {
+    const found = pattern.exec(rest.slice(pos));
+    if (found) pos += found[0].length;
+    return found;
+  };
+  const set = (...labels) => labels.forEach(label => tones.set(label, parseDegree(label).semitones % 12));
+  const remove = (...labels) => labels.forEach(label => tones.delete(label));
+  const addExtensions = (top, { skip11 = false } = {}) => {
+    if (top >= 9) set('9');
+    if (top >= 11 && !skip11) set('11');
+    if (top >= 13) set('13');
+  };
+
+  // Triad quality
+  let minor = false;
+  let diminished = false;
+  if (take(/^(min|mi|m(?!aj|a\d)|-)/)) {
+    minor = true;
+    remove('3'); set('b3');
+  } else if (take(/^(dim|°|o)/)) {
+    diminished = true;
+    remove('3', '5'); set('b3', 'b5');
+  } else if (take(/^ø7?/)) {
+    remove('3', '5'); set('b3', 'b5', 'b7');
+  } else if (take(/^(aug|\+)/)) {
+    remove('5'); set('#5');
+  } else if (take(/^5$/)) {
+    remove('3');
+  }
+
+  // Seventh or extension ("Cmaj" alone is just the major triad)
+  take(/^(maj|Maj|M)$/);
+  const major7 = take(/^(maj|Maj|ma|M|Δ)(7|9|11|13)/) || take(/^Δ()/);
+  if (major7) {
+    set('7');
+    addExtensions(Number(major7[2] || 7), { skip11: !minor });
+  } else {
+    const number = take(/^(6\/9|69|6|7|9|11|13)/);
+    if (number) {
+      const value = number[1];
+      if (value === '6') {
+        set('6');
+      } else if (value === '6/9' || value === '69') {
+        set('6', '9');
+      } else {
+        set(diminished && value === '7' ? 'bb7' : 'b7');
+        addExtensions(Number(value), { skip11: !minor && value === '13' });
+      }
+    }
+  }
+
+  // Modifiers
+  while (pos < rest.length) {
+    let found;
+    if ((found = take(/^sus(2|4)?/))) {
+      remove('3', 'b3');
+      set(found[1] === '2' ? '2' : '4');
+    } else if ((found = take(/^add(b9|#9|#11|b13|2|4|6|9|11|13)/))) {
+      set(found[1]);
+    } else if ((found = take(/^(b|#|\+|-)(5|9|11|13)/))) {
+      const label = `${found[1] === '+' ? '#' : found[1] === '-' ? 'b' : found[1]}${found[2]}`;
+      if (!ALTERATIONS.has(label)) {
+        throw new Error(`Invalid alteration "${found[0]}" in chord symbol "${symbol}"`);
+      }
+      if (found[2] === '5') remove('5', 'b5', '#5');
+      if (found[2] === '9') remove('9');
+      if (found[2] === '11') remove('11');
+      if (found[2] === '13') remove('13');
+      set(label);
+    } else if (take(/^alt/)) {
+      // Altered dominant: b9, #9, b5, #5 over 1, 3, b7
+      remove('5', '9', '11', '13');
+      set('b7', 'b9', '#9', 'b5', '#5');
+    } else if ((found = take(/^(no|omit)(1|3|5)/))) {
+      remove(...(found[2] === '3' ? ['3', 'b3'] : found[2] === '5' ? ['5', 'b5', '#5'] : ['1']));
+    } else {
+      throw new Error(`Cannot read "${rest.slice(pos)}" in chord symbol "${symbol}"`);
+    }
+  }
+
+  // Sort by pitch above the root, then derive names and pitch classes
+  const degrees = [...tones.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .map(([degree, interval]) => ({ degree, interval }));
+  const intervals = degrees.map(d => d.interval);
+  const noteNames = spellSet(rootName, intervals, {
+    degrees: Object.fromEntries(degrees.map(d => [d.interval, parseDegree(d.degree).step]))
+  });
+
+  const bass = bassName ? parseNoteName(bassName).pc : null;
+  const pitchClasses = intervals.map(i => (root + i) % 12);
+  if (bass !== null && !pitchClasses.includes(bass)) {
+    pitchClasses.unshift(bass);
+    noteNames.unshift(bassName);
+  }
+
+  const binary = pcsToBinary(intervals);
+  const quality = Object.keys(CHORD_QUALITIES).find(key =>
+    pcsToBinary([...new Set(CHORD_QUALITIES[key].map(i => i % 12))]) === binary
+  ) || null;
+
+  return {
+    symbol: text,
+    root,
+    rootName,
+    bass,
+    bassName: bassName || null,
+    degrees: degrees.map(d => d.degree),
+    intervals,
+    pitchClasses,
+    noteNames,
+    quality
+  };
+}
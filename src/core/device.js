@@ -0,0 +1,98 @@
+/**
+ * Physical Device Geometry Module
+ * Real-world dimensions of the Exquis playing surface, in millimetres
+ *
+ * HEX_GEOMETRY in grid.js is SVG pixels for drawing only. Ergonomics (hand
+ * sizes, handprint measurements, stretch limits) use this model instead, so
+ * a stretch of "6 cm" means what a player measures with a ruler.
+ *
+ * Pads sit on a regular hex lattice: neighbours in a row are one pad pitch
+ * apart, and rows are pitch * √3/2 apart. Figures are approximate
+ * measurements of the hardware; pass a different device object to model
+ * another controller.
+ */
+
+/**
+ * Exquis surface dimensions (mm)
+ */
+export const EXQUIS_DEVICE = Object.freeze({
+  name: 'Exquis',
+  padPitchMm: 22,                        // Centre-to-centre, horizontal neighbours
+  padDiameterMm: 19,                     // Flat-to-flat pad width
+  rowSpacingMm: 22 * Math.sqrt(3) / 2    // Centre-to-centre, vertical (≈ 19.05)
+});
+
+/**
+ * Centre of a pad in millimetres, measured from the centre of pad (0, 0)
+ * x runs to the right along a row, y runs up the rows
+ * @param {number} row - Row index (0-10)
+ * @param {number} col - Column index (0-5)
+ * @param {object} device - Device geometry (default: EXQUIS_DEVICE)
+ * @returns {{x: number, y: number}} Pad centre in mm
+ */
+export function getPadPositionMm(row, col, device = EXQUIS_DEVICE) {
+  return {
+    x: col * device.padPitchMm + (row % 2 ? device.padPitchMm / 2 : 0),
+    y: row * device.rowSpacingMm
+  };
+}
+
+/**
+ * Centre-to-centre distance between two pads in millimetres
+ * @param {number} row1 - First pad row
+ * @param {number} col1 - First pad column
+ * @param {number} row2 - Second pad row
+ * @param {number} col2 - Second pad column
+ * @param {object} device - Device geometry (default: EXQUIS_DEVICE)
+ * @returns {number} Distance in mm
+ */
+export function getPadDistanceMm(row1, col1, row2, col2, device = EXQUIS_DEVICE) {
+  const a = getPadPositionMm(row1, col1, device);
+  const b = getPadPositionMm(row2, col2, device);
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Centre-to-centre distance between two pads in centimetres
+ * @param {number} row1 - First pad row
+ * @param {number} col1 - First pad column
+ * @param {number} row2 - Second pad row
+ * @param {number} col2 - Second pad column
+ * @param {object} device - Device geometry (default: EXQUIS_DEVICE)
+ * @returns {number} Distance in cm
+ */
+export function getPadDistanceCm(row1, col1, row2, col2, device = EXQUIS_DEVICE) {
+  return getPadDistanceMm(row1, col1, row2, col2, device) / 10;
+}
+
+/**
+ * Span of a set of pads in centimetres: the largest distance between any two
+ * @param {Array<{row: number, col: number}>} positions - Pads
+ * @param {object} device - Device geometry (default: EXQUIS_DEVICE)
+ * @returns {number} Distance in cm (0 for fewer than two pads)
+ */
+export function getPadSpanCm(positions, device = EXQUIS_DEVICE) {
+  let widest = 0;
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      widest = Math.max(widest, getPadDistanceCm(
+        positions[i].row, positions[i].col,
+        positions[j].row, positions[j].col,
+        device
+      ));
+    }
+  }
+  return widest;
+}
+
+/**
+ * Convert a distance in hex steps (pad pitches) to centimetres
+ * Used to migrate values stored before measurements were physical, and to
+ * weigh cm differences per pad pitch.
+ * @param {number} steps - Distance in hex steps
+ * @param {object} device - Device geometry (default: EXQUIS_DEVICE)
+ * @returns {number} Distance in cm
+ */
+export function hexStepsToCm(steps, device = EXQUIS_DEVICE) {
+  return steps * device.padPitchMm / 10;
+}
@@ -4,7 +4,7 @@
  * Spec: Exquis Developer Mode MIDI specification
  */
 
-import { ROW_START_CHROMATIC, ROW_START_INTERVALS, ROW_COUNT, getRowLength } from './grid.js';
+import { Grid, defaultGrid } from './grid.js';
 
 /**
  * SysEx header for all Exquis commands
@@ -13,6 +13,11 @@ import { ROW_START_CHROMATIC, ROW_START_INTERVALS, ROW_COUNT, getRowLength } fro
 const SYSEX_HEADER = [0xF0, 0x00, 0x21, 0x7E, 0x7F];
 const SYSEX_FOOTER = [0xF7];
 
+/**
+ * Pad ID addressing (LEDs and pad events use sequential pad IDs 0-60)
+ */
+const PAD_ID_GRID = new Grid('chromatic');
+
 /**
  * Developer Mode Command IDs
  */
@@ -188,8 +193,9 @@ export class ExquisDevMode {
    * @param {number} rootPC - Root pitch class
    * @param {number} baseMidi - Base MIDI note (default 0 for full grid)
    * @param {number} transpose - Transposition offset (default 0)
+   * @param {Grid} grid - Musical grid used for pitch math (default: Exquis thirds layout)
    */
-  highlightChord(pitchClasses, rootPC, baseMidi = 0, transpose = 0) {
+  highlightChord(pitchClasses, rootPC, baseMidi = 0, transpose = 0, grid = defaultGrid) {
     const pads = [];
 
     // Calculate interval positions
@@ -198,25 +204,10 @@ export class ExquisDevMode {
     // Iterate through all 61 pads using chromatic pad IDs for LED addressing
     for (let chromaticPadId = 0; chromaticPadId <= 60; chromaticPadId++) {
       // Convert chromatic pad ID to (row, col)
-      let row = 0, col = 0;
-      let found = false;
-      for (let r = 0; r < ROW_COUNT; r++) {
-        if (chromaticPadId >= ROW_START_CHROMATIC[r]) {
-          const c = chromaticPadId - ROW_START_CHROMATIC[r];
-          if (c >= 0 && c < getRowLength(r)) {
-            row = r;
-            col = c;
-            found = true;
-            break;
-          }
-        }
-      }
-
-      if (!found) continue;
+      const { row, col } = PAD_ID_GRID.getRowCol(chromaticPadId);
 
-      // Calculate intervals mode pad index for pitch class calculation
-      const intervalsPadIndex = ROW_START_INTERVALS[row] + col;
-      const midiNote = baseMidi + intervalsPadIndex + transpose;
+      // Pitch comes from the musical layout
+      const midiNote = grid.getMidiNote(row, col, baseMidi) + transpose;
       const pc = midiNote % 12;
 
       if (pitchClasses.includes(pc)) {
@@ -3,7 +3,10 @@
  * Handles fingering assignment, storage, and ergonomic analysis
  */
 
-import { getGridDistance, getNeighbors, getRowLength, getPadIndex } from './grid.js';
+import { getGridDistance, getNeighbors, getRowLength, defaultGrid } from './grid.js';
+import { translateShape, transposeShape, mirrorShape, rotateShape180 } from './shape-transform.js';
+import { getPadDistanceCm, getPadPositionMm, getPadSpanCm, EXQUIS_DEVICE } from './device.js';
+import { parseMidiNoteName } from './spelling.js';
 
 /**
  * Fingering class representing a complete fingering pattern
@@ -15,6 +18,7 @@ export class FingeringPattern {
     this.metadata = {
       key: null,
       setType: null,
+      layout: null,
       baseMidi: 48,
       createdAt: Date.now(),
       modifiedAt: Date.now()
@@ -97,6 +101,67 @@ export class FingeringPattern {
     return pads;
   }
 
+  /**
+   * Get all fingered pads as a position list
+   * @returns {Array<{row: number, col: number, hand: string, finger: number}>} Positions
+   */
+  toPositions() {
+    return Array.from(this.fingerings, ([key, value]) => {
+      const [row, col] = key.split(',').map(Number);
+      return { row, col, hand: value.hand, finger: value.finger };
+    });
+  }
+
+  /**
+   * Build a new pattern from transformed positions, keeping name and metadata
+   * @private
+   */
+  _withPositions({ positions, offGrid }) {
+    const pattern = new FingeringPattern(this.name);
+    pattern.metadata = { ...this.metadata, modifiedAt: Date.now() };
+    for (const { row, col, hand, finger } of positions) {
+      pattern.fingerings.set(`${row},${col}`, { hand, finger });
+    }
+    return { pattern, offGrid };
+  }
+
+  /**
+   * Translate the pattern by a grid vector
+   * @param {{row: number, col: number}} vector - Offset from an even row (same convention as INTERVAL_VECTORS)
+   * @returns {{pattern: FingeringPattern, offGrid: Array<object>}} New pattern and pads that fell off the surface
+   */
+  translate(vector) {
+    return this._withPositions(translateShape(this.toPositions(), vector));
+  }
+
+  /**
+   * Transpose the pattern by a number of semitones
+   * @param {number} semitones - Transposition in semitones
+   * @param {Grid} grid - Grid whose layout defines the intervals (default: Exquis thirds layout)
+   * @returns {{pattern: FingeringPattern, offGrid: Array<object>}} New pattern and pads that fell off the surface
+   */
+  transpose(semitones, grid = defaultGrid) {
+    return this._withPositions(transposeShape(this.toPositions(), semitones, { grid }));
+  }
+
+  /**
+   * Mirror the pattern for the opposite hand
+   * @param {{row: number, col: number}} anchor - Pad on the mirror axis (default: first fingered pad)
+   * @returns {{pattern: FingeringPattern, offGrid: Array<object>}} New pattern and pads that fell off the surface
+   */
+  mirror(anchor = null) {
+    return this._withPositions(mirrorShape(this.toPositions(), { anchor }));
+  }
+
+  /**
+   * Rotate the pattern 180° around a pad
+   * @param {{row: number, col: number}} anchor - Pivot pad (default: first fingered pad)
+   * @returns {{pattern: FingeringPattern, offGrid: Array<object>}} New pattern and pads that fell off the surface
+   */
+  rotate180(anchor = null) {
+    return this._withPositions(rotateShape180(this.toPositions(), { anchor }));
+  }
+
   /**
    * Export to JSON
    * @returns {object} JSON representation
@@ -122,12 +187,227 @@ export class FingeringPattern {
   }
 }
 
+/**
+ * Fingering sequence: ordered steps for scales, arpeggios and melodies
+ * Unlike FingeringPattern, a pad can appear in several steps with different
+ * fingers. Each step may have a duration (in beats) and a hand position
+ * index; consecutive steps with the same position are played without moving
+ * the hand, and a new index marks a shift. Steps reached by passing the
+ * thumb under the hand or a finger over the thumb are marked with `crossing`.
+ */
+export class FingeringSequence {
+  constructor(name = 'Untitled') {
+    this.name = name;
+    this.steps = []; // {row, col, hand: 'left'|'right', finger: 1-5, duration: number|null, position: number, crossing: string|null}
+    this.metadata = {
+      key: null,
+      setType: null,
+      layout: null,
+      baseMidi: 48,
+      createdAt: Date.now(),
+      modifiedAt: Date.now()
+    };
+  }
+
+  /**
+   * Number of steps
+   * @returns {number}
+   */
+  get length() {
+    return this.steps.length;
+  }
+
+  /**
+   * Hand position index of the last step (0 when empty)
+   * @returns {number}
+   */
+  get lastPosition() {
+    return this.steps.length > 0 ? this.steps[this.steps.length - 1].position : 0;
+  }
+
+  /**
+   * Append a step
+   * @param {Object} step
+   * @param {number} step.row - Row index
+   * @param {number} step.col - Column index
+   * @param {string} step.hand - 'left' or 'right'
+   * @param {number} step.finger - Finger number (1-5: thumb to pinky)
+   * @param {number|null} step.duration - Length in beats (null = unspecified)
+   * @param {number} step.position - Hand position index (default: same as the last step)
+   * @param {string|null} step.crossing - 'thumb-under' or 'finger-over' if the step is reached that way
+   * @returns {number} Index of the new step
+   */
+  addStep(step) {
+    return this.insertStep(this.steps.length, step);
+  }
+
+  /**
+   * Insert a step before an index
+   * @param {number} index - Step index (0 to length)
+   * @param {Object} step - Step, as for addStep
+   * @returns {number} Index of the new step
+   * @throws {Error} If the index is out of range or the finger is not 1-5
+   */
+  insertStep(index, { row, col, hand, finger, duration = null, position = null, crossing = null }) {
+    if (!Number.isInteger(index) || index < 0 || index > this.steps.length) {
+      throw new Error(`Step index out of range: ${index}`);
+    }
+    if (!Number.isInteger(finger) || finger < 1 || finger > 5) {
+      throw new Error(`Invalid finger: ${finger}`);
+    }
+    const previous = this.steps[index - 1];
+    this.steps.splice(index, 0, {
+      row,
+      col,
+      hand,
+      finger,
+      duration,
+      position: position ?? previous?.position ?? 0,
+      crossing
+    });
+    this.metadata.modifiedAt = Date.now();
+    return index;
+  }
+
+  /**
+   * Change fields of a step
+   * @param {number} index - Step index
+   * @param {Object} changes - Fields to change (row, col, hand, finger, duration, position, crossing)
+   * @throws {Error} If there is no step at the index
+   */
+  updateStep(index, changes) {
+    const step = this.steps[index];
+    if (!step) {
+      throw new Error(`No step ${index}`);
+    }
+    Object.assign(step, changes);
+    this.metadata.modifiedAt = Date.now();
+  }
+
+  /**
+   * Remove a step
+   * @param {number} index - Step index
+   * @returns {Object|null} Removed step, or null if there was none
+   */
+  removeStep(index) {
+    const [removed] = this.steps.splice(index, 1);
+    if (removed) this.metadata.modifiedAt = Date.now();
+    return removed || null;
+  }
+
+  /**
+   * Clear all steps
+   */
+  clearAll() {
+    this.steps = [];
+    this.metadata.modifiedAt = Date.now();
+  }
+
+  /**
+   * Group consecutive steps that share a hand and hand position
+   * @returns {Array<{position: number, hand: string, start: number, end: number}>}
+   *   Hand positions in order; start and end are step indexes (end inclusive)
+   */
+  getHandPositions() {
+    const groups = [];
+    this.steps.forEach((step, index) => {
+      const last = groups[groups.length - 1];
+      if (last && last.position === step.position && last.hand === step.hand) {
+        last.end = index;
+      } else {
+        groups.push({ position: step.position, hand: step.hand, start: index, end: index });
+      }
+    });
+    return groups;
+  }
+
+  /**
+   * Static pattern of some steps, for display and analysis
+   * Where a pad is played more than once the latest step's finger wins.
+   * @param {number} start - First step index (default 0)
+   * @param {number} end - Last step index, inclusive (default: last step)
+   * @returns {FingeringPattern} Pattern with the same name and metadata
+   */
+  toPattern(start = 0, end = this.steps.length - 1) {
+    const pattern = new FingeringPattern(this.name);
+    pattern.metadata = { ...this.metadata };
+    this.steps.slice(start, end + 1).forEach(({ row, col, hand, finger }) => {
+      pattern.fingerings.set(`${row},${col}`, { hand, finger });
+    });
+    return pattern;
+  }
+
+  /**
+   * Export to JSON
+   * @returns {object} JSON representation (type 'sequence')
+   */
+  toJSON() {
+    return {
+      type: 'sequence',
+      name: this.name,
+      steps: this.steps.map(step => ({ ...step })),
+      metadata: this.metadata
+    };
+  }
+
+  /**
+   * Import from JSON
+   * @param {object} json - JSON object
+   * @returns {FingeringSequence} New FingeringSequence instance
+   */
+  static fromJSON(json) {
+    const sequence = new FingeringSequence(json.name);
+    sequence.steps = (json.steps || []).map(step => ({
+      duration: null,
+      position: 0,
+      crossing: null,
+      ...step
+    }));
+    sequence.metadata = json.metadata;
+    return sequence;
+  }
+}
+
+/**
+ * Parse a melody typed or pasted as text
+ * Notes are separated by spaces or commas and may be note names with
+ * octaves or MIDI numbers: 'C4 D4 Eb4' and '60, 62, 63' are the same.
+ * @param {string} text - Melody
+ * @returns {Array<number>} MIDI note numbers in order
+ * @throws {Error} On a token that is not a note, or a note outside 0-127
+ */
+export function parseMelody(text) {
+  return String(text).split(/[\s,]+/).filter(Boolean).map(token => {
+    const midiNote = /^\d+$/.test(token) ? Number(token) : parseMidiNoteName(token);
+    if (midiNote < 0 || midiNote > 127) {
+      throw new Error(`Note out of MIDI range: ${token}`);
+    }
+    return midiNote;
+  });
+}
+
+// Melody optimizer costs, on the scale of analyzePattern's penalties
+const MELODY_COSTS = {
+  shift: 10,          // Moving the hand to a new position
+  crossing: 12,       // Fingers 2-5 passing each other
+  thumbCrossing: 3,   // Thumb under or finger over thumb
+  substitution: 1,    // Another finger on a repeated note
+  uncomfortable: 5,   // Stretch at the hand's maxStretch (scaled from comfortableStretch)
+  perCm: 1,           // Every cm the hand moves, so drift adds up
+  weakFinger: 2       // Times (1 - finger weight) per note
+};
+
 /**
  * Ergonomic analyzer for fingerings
  * Provides heuristics for comfortable hand positions and finger assignments
  */
 export class ErgoAnalyzer {
-  constructor() {
+  /**
+   * @param {Grid} grid - Default grid for pitch math (can be overridden per call)
+   */
+  constructor(grid = defaultGrid) {
+    this.grid = grid;
+
     // Finger strength/comfort weights (1 = strongest/most comfortable)
     this.fingerWeights = {
       1: 0.8,  // Thumb - strong but limited range
@@ -137,11 +417,13 @@ export class ErgoAnalyzer {
       5: 0.4   // Pinky - weakest, most limited
     };
 
-    // Hand size profiles (in grid units)
+    // Hand size profiles (in cm, pad centre to pad centre; see device.js)
+    // maxStretch / comfortableStretch: between adjacent fingers
+    // handSpan: widest reach across the whole hand (thumb to pinky)
     this.handSizes = {
-      small: { maxStretch: 2.5, comfortableStretch: 1.5 },
-      medium: { maxStretch: 3.0, comfortableStretch: 2.0 },
-      large: { maxStretch: 3.5, comfortableStretch: 2.5 }
+      small: { maxStretch: 5.5, comfortableStretch: 3.3, handSpan: 18 },
+      medium: { maxStretch: 6.6, comfortableStretch: 4.4, handSpan: 20 },
+      large: { maxStretch: 7.7, comfortableStretch: 5.5, handSpan: 22 }
     };
 
     this.currentHandSize = 'medium';
@@ -149,19 +431,19 @@ export class ErgoAnalyzer {
 
   /**
    * Set hand size profile
-   * @param {string} size - 'small', 'medium', 'large', or 'custom'
+   * Profiles built by setCustomHandprint/setHandSpan ('custom', 'span') are
+   * only selectable once they exist.
+   * @param {string} size - 'small', 'medium', 'large', 'custom' or 'span'
    */
   setHandSize(size) {
-    if (size === 'custom') {
-      this.currentHandSize = 'custom';
-    } else if (this.handSizes[size]) {
+    if (this.handSizes[size]) {
       this.currentHandSize = size;
     }
   }
 
   /**
    * Set custom handprint measurements
-   * @param {object} measurements - Object with finger-pair distance measurements (e.g., {'1-2': 1.5, '2-3': 1.2, ...})
+   * @param {object} measurements - Finger-pair distances in cm (e.g., {'1-2': 4.4, '2-3': 2.2, ...})
    */
   setCustomHandprint(measurements) {
     // Calculate comfortable and max stretch from measurements
@@ -172,12 +454,34 @@ export class ErgoAnalyzer {
     this.handSizes.custom = {
       maxStretch: maxDistance * 1.1, // 10% beyond measured max
       comfortableStretch: avgDistance,
+      handSpan: (measurements['1-5'] || maxDistance) * 1.1,
       measurements // Store full measurements for future use
     };
 
     this.currentHandSize = 'custom';
   }
 
+  /**
+   * Set a profile from a measured hand span
+   * Scales the medium profile so its handSpan matches the player's.
+   * @param {number} spanCm - Thumb-to-pinky span in cm
+   */
+  setHandSpan(spanCm) {
+    if (!Number.isFinite(spanCm) || spanCm <= 0) {
+      throw new Error(`Invalid hand span: ${spanCm}`);
+    }
+
+    const { medium } = this.handSizes;
+    const scale = spanCm / medium.handSpan;
+    this.handSizes.span = {
+      maxStretch: medium.maxStretch * scale,
+      comfortableStretch: medium.comfortableStretch * scale,
+      handSpan: spanCm
+    };
+
+    this.currentHandSize = 'span';
+  }
+
   /**
    * Calculate ergonomic score for a fingering pattern
    * Higher score = more ergonomic
@@ -213,54 +517,179 @@ export class ErgoAnalyzer {
     };
   }
 
+  /**
+   * Whether a chord shape is beyond one hand
+   * One hand holds pads at most two full stretches apart: thumb and little
+   * finger each reaching maxStretch from the middle of the hand.
+   * @param {Array<{row: number, col: number}>} pads - One pad per note
+   * @returns {boolean} True for more than five pads, or two pads further apart than 2 × maxStretch
+   */
+  needsTwoHands(pads) {
+    return pads.length > 5 || getPadSpanCm(pads) > 2 * this.handSizes[this.currentHandSize].maxStretch;
+  }
+
   /**
    * Suggest fingerings for a set of pads
-   * Deduplicates by pitch class and uses anatomically-aware finger assignment
+   * Pads are fingered as given, octave doublings included (a pad listed
+   * twice is fingered once), with anatomically-aware finger assignment.
+   * More than five pads, or pads wider apart than one hand reaches (see
+   * needsTwoHands), are split between both hands (see
+   * suggestTwoHandFingerings) and `hand` is ignored.
    * @param {Array<{row: number, col: number}>} pads - Pads to assign fingerings
    * @param {string} hand - 'left' or 'right'
    * @param {number} baseMidi - Base MIDI note (default 48)
-   * @returns {Array<{row: number, col: number, finger: number, hand: string, score: number}>} Suggested fingerings
+   * @param {Grid} grid - Grid for pitch math (default: this.grid)
+   * @returns {{fingerings: Array<{row: number, col: number, finger: number, hand: string, score: number}>,
+   *   dropped: Array<{row: number, col: number, midiNote: number}>}} Suggested fingerings,
+   *   and the pads left out beyond ten notes
    */
-  suggestFingerings(pads, hand, baseMidi = 48) {
-    if (pads.length === 0) return [];
+  suggestFingerings(pads, hand, baseMidi = 48, grid = this.grid) {
+    const unique = new Map();
+    pads.forEach(pad => {
+      unique.set(`${pad.row},${pad.col}`, { ...pad, midiNote: grid.getMidiNote(pad.row, pad.col, baseMidi) });
+    });
+    const uniquePads = Array.from(unique.values());
+    if (uniquePads.length === 0) return { fingerings: [], dropped: [] };
 
-    // Deduplicate by pitch class - keep only the lowest, leftmost pad for each PC
-    const pcMap = new Map();
+    // One finger per pad: beyond five notes, or beyond one hand's reach, use both hands
+    if (this.needsTwoHands(uniquePads)) {
+      const { fingerings, dropped } = this.suggestTwoHandFingerings(uniquePads, baseMidi, grid);
+      return { fingerings, dropped };
+    }
+
+    // Assign fingers based on hand geometry
+    return { fingerings: this._assignFingersAnatomically(uniquePads, hand), dropped: [] };
+  }
 
+  /**
+   * Split pads between the hands: bass notes to the left, upper notes to the right
+   * Tries every split by pitch with at most five notes per hand and keeps
+   * the one with the smallest penalty: each hand's stretches and finger
+   * crossings (as in analyzePattern), the hands crossing (a left-hand pad
+   * more than a pad pitch to the right of a right-hand one) and the
+   * difference between the hands' spans. Each pad is played by one hand
+   * only; beyond ten notes the inner voices are left out, keeping the five
+   * lowest and five highest.
+   * @param {Array<{row: number, col: number}>} pads - Pads to finger
+   * @param {number} baseMidi - Base MIDI note (default 48)
+   * @param {Grid} grid - Grid for pitch math (default: this.grid)
+   * @returns {{fingerings: Array<{row: number, col: number, finger: number, hand: string, score: number}>,
+   *   dropped: Array<{row: number, col: number, midiNote: number}>, issues: Array<object>, penalty: number}}
+   *   Fingerings, left hand first; the pads left out; and the issues of the chosen split
+   */
+  suggestTwoHandFingerings(pads, baseMidi = 48, grid = this.grid) {
+    const unique = new Map();
     pads.forEach(pad => {
-      // Calculate MIDI note for this pad
-      const padIndex = getPadIndex(pad.row, pad.col); // Use correct grid calculation
-      const midiNote = baseMidi + padIndex;
-      const pc = midiNote % 12;
-
-      // Keep the pad with lowest row, then lowest col for each pitch class
-      if (!pcMap.has(pc)) {
-        pcMap.set(pc, { ...pad, pc, midiNote });
-      } else {
-        const existing = pcMap.get(pc);
-        if (pad.row < existing.row || (pad.row === existing.row && pad.col < existing.col)) {
-          pcMap.set(pc, { ...pad, pc, midiNote });
-        }
+      unique.set(`${pad.row},${pad.col}`, { ...pad, midiNote: grid.getMidiNote(pad.row, pad.col, baseMidi) });
+    });
+    const sorted = [...unique.values()].sort((a, b) => a.midiNote - b.midiNote || a.row - b.row || a.col - b.col);
+    const kept = sorted.length > 10 ? [...sorted.slice(0, 5), ...sorted.slice(-5)] : sorted;
+    const dropped = sorted.filter(pad => !kept.includes(pad)).map(({ row, col, midiNote }) => ({ row, col, midiNote }));
+
+    // Left-hand note counts, most even split first so it wins ties
+    const n = kept.length;
+    const splits = [];
+    for (let k = Math.max(0, n - 5); k <= Math.min(5, n); k++) splits.push(k);
+    splits.sort((a, b) => Math.abs(a - n / 2) - Math.abs(b - n / 2));
+
+    let best = null;
+    for (const k of splits) {
+      const left = this._assignHandFingers(kept.slice(0, k), 'left');
+      const right = this._assignHandFingers(kept.slice(k), 'right');
+      const issues = [];
+      let penalty = 0;
+      for (const [hand, handPads] of [['left', left], ['right', right]]) {
+        if (handPads.length === 0) continue;
+        penalty += this._analyzeSpan(handPads, hand, issues);
+        penalty += this._analyzeFingerCrossings(handPads, hand, issues);
+      }
+      penalty += this._analyzeHandCrossing(left, right, issues);
+      if (left.length > 0 && right.length > 0) {
+        penalty += Math.abs(getPadSpanCm(left) - getPadSpanCm(right));
       }
+
+      if (!best || penalty < best.penalty) {
+        best = { fingerings: [...left, ...right], dropped, issues, penalty };
+      }
+    }
+    return best || { fingerings: [], dropped, issues: [], penalty: 0 };
+  }
+
+  /**
+   * Find the least-effort pad and finger for each note of a melody
+   * Viterbi search over pad × finger states: each note can be played on any
+   * pad that sounds it (several in layouts like intervals) with any finger.
+   * A path costs the weakness of each finger used plus, between consecutive
+   * notes, stretches, finger crossings and hand position shifts (see
+   * _melodyTransitionCost) for the current hand size.
+   * @param {Array<number>} midiNotes - Melody as MIDI note numbers
+   * @param {Object} options
+   * @param {string} options.hand - 'left' or 'right' (default 'right')
+   * @param {number} options.baseMidi - Base MIDI note (default 48)
+   * @param {Grid} options.grid - Grid for pitch math (default: this.grid)
+   * @returns {{steps: Array<{midiNote: number, row: number, col: number, hand: string, finger: number, position: number, crossing: string|null}>, cost: number}}
+   *   One step per note, ready for FingeringSequence.addStep (the hand
+   *   position index goes up after each shift or thumb crossing, and
+   *   crossing marks 'thumb-under' and 'finger-over' steps), and the total
+   *   cost
+   * @throws {Error} If a note has no pad on the grid
+   */
+  optimizeMelody(midiNotes, { hand = 'right', baseMidi = 48, grid = this.grid } = {}) {
+    if (midiNotes.length === 0) return { steps: [], cost: 0 };
+
+    const layers = midiNotes.map(midiNote => {
+      const pads = grid.getPadsForMidi(midiNote, baseMidi);
+      if (pads.length === 0) {
+        throw new Error(`No pad plays MIDI note ${midiNote}`);
+      }
+      return pads.flatMap(pad => [1, 2, 3, 4, 5].map(finger => ({ ...pad, midiNote, finger })));
     });
+    const fingerCost = finger => MELODY_COSTS.weakFinger * (1 - this.fingerWeights[finger]);
+
+    // costs[s]: cheapest path to state s of the current note; back[i][s]: previous state on it
+    let costs = layers[0].map(state => fingerCost(state.finger));
+    const back = [[]];
+    for (let i = 1; i < layers.length; i++) {
+      const from = [];
+      costs = layers[i].map((state, s) => {
+        let best = Infinity;
+        layers[i - 1].forEach((prev, j) => {
+          const cost = costs[j] + this._melodyTransitionCost(prev, state, hand).cost;
+          if (cost < best) {
+            best = cost;
+            from[s] = j;
+          }
+        });
+        return best + fingerCost(state.finger);
+      });
+      back.push(from);
+    }
 
-    const uniquePads = Array.from(pcMap.values());
-
-    // Limit to 5 pads per hand (one per finger)
-    let selectedPads = uniquePads;
-    if (uniquePads.length > 5) {
-      // Select 5 most accessible pads (lowest rows and leftmost columns)
-      selectedPads = [...uniquePads]
-        .sort((a, b) => {
-          const scoreA = a.row * 2 + a.col; // Prefer lower rows and leftmost cols
-          const scoreB = b.row * 2 + b.col;
-          return scoreA - scoreB;
-        })
-        .slice(0, 5);
+    let index = costs.indexOf(Math.min(...costs));
+    const cost = costs[index];
+    const path = [];
+    for (let i = layers.length - 1; i >= 0; i--) {
+      path.unshift(layers[i][index]);
+      index = back[i][index];
     }
 
-    // Assign fingers based on hand geometry
-    return this._assignFingersAnatomically(selectedPads, hand);
+    // A new hand position after each shift, or once the hand has drifted
+    // further than a comfortable stretch from where the position started
+    const handSize = this.handSizes[this.currentHandSize];
+    let position = 0;
+    let start = this._melodyHandPosition(path[0], hand);
+    const steps = path.map((state, i) => {
+      const here = this._melodyHandPosition(state, hand);
+      const drift = Math.hypot(here.x - start.x, here.y - start.y) / 10;
+      const { shift, crossing = null } = i > 0 ? this._melodyTransitionCost(path[i - 1], state, hand) : {};
+      if (i > 0 && (shift || drift > handSize.comfortableStretch)) {
+        position++;
+        start = here;
+      }
+      const { midiNote, row, col, finger } = state;
+      return { midiNote, row, col, hand, finger, position, crossing };
+    });
+    return { steps, cost };
   }
 
   /**
@@ -304,7 +733,7 @@ export class ErgoAnalyzer {
     const sortedRemaining = remainingPads.map(pad => {
       const rowDiff = pad.row - anchor.row;
       const colDiff = pad.col - anchor.col;
-      const distance = Math.sqrt(rowDiff * rowDiff + colDiff * colDiff);
+      const distance = getGridDistance(anchor.row, anchor.col, pad.row, pad.col);
 
       // Calculate a "naturalness" score based on hand geometry
       // Prefer upward and outward movement (right for right hand, left for left hand)
@@ -339,13 +768,26 @@ export class ErgoAnalyzer {
 
   /**
    * Analyze finger span
-   * Only checks adjacent fingers in sequence (1→2, 2→3, 3→4, 4→5)
+   * Checks adjacent fingers in sequence (1→2, 2→3, 3→4, 4→5) against the
+   * stretch limits, and the whole hand against the hand span. Distances are
+   * physical (cm).
    * @private
    */
   _analyzeSpan(pads, hand, issues) {
     const handSize = this.handSizes[this.currentHandSize];
     let penalty = 0;
 
+    // Whole-hand reach
+    const widest = getPadSpanCm(pads);
+    if (widest > handSize.handSpan) {
+      penalty += 20;
+      issues.push({
+        type: 'excessive_span',
+        hand,
+        distance: widest
+      });
+    }
+
     // Sort pads by finger number to check adjacent fingers only
     const sortedPads = [...pads].sort((a, b) => a.finger - b.finger);
 
@@ -357,7 +799,7 @@ export class ErgoAnalyzer {
       // Skip if same finger number (shouldn't happen but be safe)
       if (pad1.finger === pad2.finger) continue;
 
-      const dist = getGridDistance(
+      const dist = getPadDistanceCm(
         pad1.row, pad1.col,
         pad2.row, pad2.col
       );
@@ -384,6 +826,61 @@ export class ErgoAnalyzer {
     return penalty;
   }
 
+  /**
+   * Assign fingers to one hand's pads for two-hand planning
+   * Fingers go up the rows from the thumb, and along a row away from it;
+   * with fewer than five pads every choice of fingers is tried and the one
+   * with the smallest stretch penalty (strong fingers breaking ties) kept.
+   * @private
+   * @returns {Array<{row: number, col: number, finger: number, hand: string, score: number}>}
+   *   score is 1 without stretch penalty, lower with
+   */
+  _assignHandFingers(pads, hand) {
+    if (pads.length === 0) return [];
+    const outward = pad => getPadPositionMm(pad.row, pad.col).x * (hand === 'right' ? 1 : -1);
+    const ordered = [...pads].sort((a, b) => a.row - b.row || outward(a) - outward(b));
+
+    const fingerSets = [];
+    const choose = (start, fingers) => {
+      if (fingers.length === ordered.length) {
+        fingerSets.push(fingers);
+        return;
+      }
+      for (let f = start; f <= 5; f++) choose(f + 1, [...fingers, f]);
+    };
+    choose(1, []);
+
+    let best = null;
+    for (const fingers of fingerSets) {
+      const assigned = ordered.map((pad, i) => ({ row: pad.row, col: pad.col, hand, finger: fingers[i] }));
+      const penalty = this._analyzeSpan(assigned, hand, []) - this._analyzeFingerStrength(assigned, []) / 10;
+      if (!best || penalty < best.penalty) best = { assigned, penalty };
+    }
+    const score = Math.max(0, 1 - Math.max(0, best.penalty) / 100);
+    return best.assigned.map(pad => ({ ...pad, score }));
+  }
+
+  /**
+   * Analyze hand crossing
+   * The left arm reaches in from the left and the right arm from the right,
+   * so a left-hand pad more than a pad pitch to the right of a right-hand
+   * pad crosses the hands.
+   * @private
+   */
+  _analyzeHandCrossing(leftPads, rightPads, issues) {
+    let pairs = 0;
+    for (const l of leftPads) {
+      const lx = getPadPositionMm(l.row, l.col).x;
+      for (const r of rightPads) {
+        if (lx - getPadPositionMm(r.row, r.col).x > EXQUIS_DEVICE.padPitchMm) pairs++;
+      }
+    }
+    if (pairs === 0) return 0;
+
+    issues.push({ type: 'hand_crossing', pairs });
+    return 15 + 2 * (pairs - 1);
+  }
+
   /**
    * Analyze finger strength usage
    * @private
@@ -441,6 +938,69 @@ export class ErgoAnalyzer {
     return penalty;
   }
 
+  /**
+   * Cost of moving from one melody note to the next
+   * Fingers rest side by side, one pad pitch apart (thumb on the left for the
+   * right hand), so a finger on a pad implies where the hand is. Moving that
+   * hand position up to comfortableStretch / 2 is free, up to maxStretch is a
+   * growing stretch and further is a shift. Reusing a finger on another pad
+   * is always a shift. A higher finger landing clearly on the thumb side of
+   * a lower one is a crossing: thumb under or finger over thumb is cheap
+   * (the shift still counts), other crossings are not.
+   * @private
+   * @returns {{cost: number, shift: boolean, crossing: string|undefined}}
+   *   crossing is 'thumb-under' or 'finger-over' for thumb crossings
+   */
+  _melodyTransitionCost(from, to, hand) {
+    const distance = getPadDistanceCm(from.row, from.col, to.row, to.col);
+    if (from.finger === to.finger) {
+      return distance === 0
+        ? { cost: 0, shift: false }
+        : { cost: MELODY_COSTS.shift + distance * MELODY_COSTS.perCm, shift: true };
+    }
+    if (distance === 0) {
+      return { cost: MELODY_COSTS.substitution, shift: false };
+    }
+
+    // x away from the thumb, in mm
+    const a = this._melodyHandPosition(from, hand);
+    const b = this._melodyHandPosition(to, hand);
+    const fingers = to.finger - from.finger;
+    const outward = b.x - a.x + fingers * EXQUIS_DEVICE.padPitchMm;
+    const crossing = fingers * outward < 0 && Math.abs(outward) > EXQUIS_DEVICE.padPitchMm / 2;
+
+    const handSize = this.handSizes[this.currentHandSize];
+    const handMove = Math.hypot(b.x - a.x, b.y - a.y) / 10;
+    const free = handSize.comfortableStretch / 2;
+    let cost = handMove * MELODY_COSTS.perCm;
+    const shift = handMove > handSize.maxStretch;
+    if (shift) {
+      cost += MELODY_COSTS.shift;
+    } else if (handMove > free) {
+      cost += MELODY_COSTS.uncomfortable * (handMove - free) / (handSize.maxStretch - free);
+    }
+
+    if (crossing && (from.finger === 1 || to.finger === 1)) {
+      cost += MELODY_COSTS.thumbCrossing;
+      return { cost, shift: true, crossing: to.finger === 1 ? 'thumb-under' : 'finger-over' };
+    }
+    if (crossing) cost += MELODY_COSTS.crossing;
+    return { cost, shift };
+  }
+
+  /**
+   * Where a finger on a pad puts the hand: the thumb's resting point, in mm,
+   * with x running away from the thumb side
+   * @private
+   */
+  _melodyHandPosition({ row, col, finger }, hand) {
+    const { x, y } = getPadPositionMm(row, col);
+    return {
+      x: (hand === 'right' ? x : -x) - (finger - 1) * EXQUIS_DEVICE.padPitchMm,
+      y
+    };
+  }
+
   /**
    * Get recommendation text based on score
    * @private
@@ -452,22 +1012,6 @@ export class ErgoAnalyzer {
     if (score >= 40) return 'Uncomfortable, consider revising';
     return 'Poor ergonomics, recommend different fingering';
   }
-
-  /**
-   * Suggest fingering when more than 5 notes (two hands needed)
-   * @private
-   */
-  _suggestMultiHandFingering(pads) {
-    // Simple strategy: split roughly in half
-    const mid = Math.floor(pads.length / 2);
-    const leftPads = pads.slice(0, mid);
-    const rightPads = pads.slice(mid);
-
-    return [
-      ...this.suggestFingerings(leftPads, 'left'),
-      ...this.suggestFingerings(rightPads, 'right')
-    ];
-  }
 }
 
 // Export singleton instance
@@ -8,8 +8,12 @@
  * - Odd rows (1,3,5,7,9) have 5 pads
  * - Rows are staggered: odd rows offset by half a pad width
  * - Intervals: Northwest diagonal = minor 3rd up, Northeast diagonal = major 3rd up
+ *   (default 'intervals' layout; other layouts come from layouts.js)
  */
 
+import { getLayout } from './layouts.js';
+import { offsetToAxial, axialToOffset, offsetDistance, axialRange, axialRing, axialLine } from './hex.js';
+
 export const ROW_COUNT = 11;
 
 /**
@@ -66,59 +70,232 @@ export const ROW_START_CHROMATIC = (() => {
 })();
 
 /**
- * Current grid mode: 'intervals' or 'chromatic'
+ * Cache of row-start arrays, keyed by layout object
  */
-let currentGridMode = 'intervals';
+const rowStartCache = new WeakMap();
 
 /**
- * Get current ROW_START based on grid mode
+ * Get the row start array for a layout
+ * @param {object} layout - Layout from the registry (default: 'intervals')
+ * @returns {Array<number>} Row starts for rows 0-10
  */
-function getRowStart() {
-  return currentGridMode === 'chromatic' ? ROW_START_CHROMATIC : ROW_START_INTERVALS;
+export function getRowStarts(layout = getLayout('intervals')) {
+  if (!rowStartCache.has(layout)) {
+    const starts = [];
+    for (let r = 0; r < ROW_COUNT; r++) {
+      starts.push(layout.rowStart(r));
+    }
+    rowStartCache.set(layout, Object.freeze(starts));
+  }
+  return rowStartCache.get(layout);
 }
 
 /**
- * Set grid mode
- * @param {string} mode - 'intervals' or 'chromatic'
+ * Grid class
+ * Owns a layout and does all pitch math for it. Instances hold no mutable
+ * state, so a chromatic pad-ID grid and a musical grid can be used side by
+ * side (e.g., handprint capture while suggestions are computed).
  */
-export function setGridMode(mode) {
-  if (mode !== 'intervals' && mode !== 'chromatic') {
-    throw new Error(`Invalid grid mode: ${mode}. Must be 'intervals' or 'chromatic'.`);
+export class Grid {
+  /**
+   * @param {string|object} layout - Layout id or layout object (default 'intervals')
+   */
+  constructor(layout = 'intervals') {
+    this.layout = typeof layout === 'string' ? getLayout(layout) : layout;
+    this.rowStarts = getRowStarts(this.layout);
+    Object.freeze(this);
+  }
+
+  /**
+   * Layout id ('intervals', 'chromatic', ...)
+   * @returns {string} Layout id
+   */
+  get mode() {
+    return this.layout.id;
+  }
+
+  /**
+   * Get the global pad index for a given row and column
+   * In 'chromatic' this is the pad ID (0-60); in musical layouts it is the
+   * semitone offset from pad (0,0), so indexes can repeat across rows.
+   * @param {number} row - Row index (0-10)
+   * @param {number} col - Column index (0-5)
+   * @returns {number} Global pad index
+   */
+  getPadIndex(row, col) {
+    return this.rowStarts[row] + col * this.layout.step;
+  }
+
+  /**
+   * Get row and column from global pad index
+   * With musical layouts pad indices can overlap between rows, so we search
+   * from bottom to top and return the first valid row.
+   * @param {number} padIndex - Global pad index
+   * @returns {{row: number, col: number}} Row and column
+   */
+  getRowCol(padIndex) {
+    const [first] = this.getPadsForIndex(padIndex);
+    if (!first) {
+      throw new Error(`Invalid pad index: ${padIndex}`);
+    }
+    return first;
+  }
+
+  /**
+   * Get every pad with a given global pad index
+   * @param {number} padIndex - Global pad index
+   * @returns {Array<{row: number, col: number}>} Pads, bottom row first
+   */
+  getPadsForIndex(padIndex) {
+    const { step } = this.layout;
+    const pads = [];
+    for (let row = 0; row < ROW_COUNT; row++) {
+      const offset = padIndex - this.rowStarts[row];
+      if (offset % step !== 0) continue;
+      const col = offset / step;
+      if (col >= 0 && col < getRowLength(row)) {
+        pads.push({ row, col });
+      }
+    }
+    return pads;
+  }
+
+  /**
+   * Get every pad that sounds a MIDI note (unisons)
+   * In the thirds layout row starts overlap, so most notes appear on 2-3 pads.
+   * @param {number} midiNote - MIDI note number
+   * @param {number} baseMidi - Base MIDI note (default 48 = C3)
+   * @returns {Array<{row: number, col: number}>} Pads, bottom row first
+   */
+  getPadsForMidi(midiNote, baseMidi = 48) {
+    return this.getPadsForIndex(midiNote - baseMidi);
+  }
+
+  /**
+   * Get every pad that sounds a pitch class, in any octave
+   * @param {number} pc - Pitch class (0-11)
+   * @param {number} baseMidi - Base MIDI note (default 48 = C3)
+   * @returns {Array<{row: number, col: number, midiNote: number}>} Pads, bottom row first
+   */
+  getPadsForPitchClass(pc, baseMidi = 48) {
+    const target = ((pc % 12) + 12) % 12;
+    const pads = [];
+    for (let row = 0; row < ROW_COUNT; row++) {
+      for (let col = 0; col < getRowLength(row); col++) {
+        const midiNote = this.getMidiNote(row, col, baseMidi);
+        if (((midiNote % 12) + 12) % 12 === target) {
+          pads.push({ row, col, midiNote });
+        }
+      }
+    }
+    return pads;
+  }
+
+  /**
+   * Major and minor triad triangles for a Tonnetz view of the grid
+   * Each pad is the root of one major and one minor triangle, whose other
+   * corners are the pads sounding the third and fifth above it along the
+   * layout's shortest interval vectors. On the thirds layout these are the NE
+   * (major third) or NW (minor third) neighbour and the pad two rows up, so
+   * the triangles tile the surface and triads a P, L or R apart share an edge.
+   * @param {number} baseMidi - Base MIDI note (default 48 = C3)
+   * @returns {Array<{quality: string, root: number,
+   *   pads: Array<{row: number, col: number, midiNote: number}>}>} Triangles
+   *   with every corner on the grid; pads are root, third, fifth
+   */
+  getTriadTriangles(baseMidi = 48) {
+    // Only the shortest interval vectors count, so edge pads don't reach across the grid
+    const reach = (semitones) => {
+      const vector = this.findIntervalVector(semitones);
+      return vector ? getGridDistance(0, 0, vector.row, vector.col) : -1;
+    };
+    const steps = { 3: reach(3), 4: reach(4), 7: reach(7) };
+    const triangles = [];
+    for (let row = 0; row < ROW_COUNT; row++) {
+      for (let col = 0; col < getRowLength(row); col++) {
+        const midiNote = this.getMidiNote(row, col, baseMidi);
+        const root = { row, col, midiNote };
+        const fifth = this._nearestPad(midiNote + 7, root, baseMidi, steps[7]);
+        if (!fifth) continue;
+
+        for (const [quality, third] of [['major', 4], ['minor', 3]]) {
+          const thirdPad = this._nearestPad(midiNote + third, root, baseMidi, steps[third]);
+          if (thirdPad) {
+            triangles.push({ quality, root: ((midiNote % 12) + 12) % 12, pads: [root, thirdPad, fifth] });
+          }
+        }
+      }
+    }
+    return triangles;
+  }
+
+  /**
+   * Pad sounding a MIDI note within a distance of another pad, nearest first
+   * (null if there is none)
+   * @private
+   */
+  _nearestPad(midiNote, near, baseMidi, maxDistance) {
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const pad of this.getPadsForMidi(midiNote, baseMidi)) {
+      const distance = getGridDistance(near.row, near.col, pad.row, pad.col);
+      if (distance < bestDistance) {
+        best = { ...pad, midiNote };
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Get MIDI note for a given row, column, and base MIDI
+   * @param {number} row - Row index (0-10)
+   * @param {number} col - Column index (0-5)
+   * @param {number} baseMidi - Base MIDI note (default 48 = C3)
+   * @returns {number} MIDI note number
+   */
+  getMidiNote(row, col, baseMidi = 48) {
+    return baseMidi + this.getPadIndex(row, col);
+  }
+
+  /**
+   * Find the shortest row/col offset that sounds an interval in this layout
+   * @param {number} semitones - Interval in semitones
+   * @returns {{row: number, col: number}|null} Offset from an even row, or null
+   */
+  findIntervalVector(semitones) {
+    return findIntervalVector(semitones, this.layout);
+  }
+
+  /**
+   * Get interval direction vectors for this layout
+   * @returns {object} Map of interval name to {row, col} offset (from an even row)
+   */
+  getIntervalVectors() {
+    return getIntervalVectors(this.layout);
   }
-  currentGridMode = mode;
 }
 
 /**
- * Get current grid mode
- * @returns {string} Current mode ('intervals' or 'chromatic')
+ * Default grid (Exquis thirds layout), used by the module-level helpers
  */
-export function getGridMode() {
-  return currentGridMode;
-}
+export const defaultGrid = new Grid('intervals');
 
-// Export ROW_START for backward compatibility (uses current mode)
-export const ROW_START = new Proxy({}, {
-  get(target, prop) {
-    const rowStart = getRowStart();
-    if (prop === 'length') return rowStart.length;
-    const index = parseInt(prop);
-    if (!isNaN(index)) return rowStart[index];
-    return rowStart[prop];
-  }
-});
+// ROW_START for the default layout
+export const ROW_START = defaultGrid.rowStarts;
 
 /**
- * Get the global pad index for a given row and column
+ * Get the global pad index for a given row and column (default layout)
  * @param {number} row - Row index (0-10)
  * @param {number} col - Column index (0-5)
  * @returns {number} Global pad index
  */
 export function getPadIndex(row, col) {
-  return ROW_START[row] + col;
+  return defaultGrid.getPadIndex(row, col);
 }
 
 /**
- * Get row and column from global pad index
+ * Get row and column from global pad index (default layout)
  * @param {number} padIndex - Global pad index
  * @returns {{row: number, col: number}} Row and column
  *
@@ -126,31 +303,42 @@ export function getPadIndex(row, col) {
  * We search from bottom to top to find the first valid row.
  */
 export function getRowCol(padIndex) {
-  // Search from bottom row (0) upward to handle overlapping indices
-  for (let row = 0; row < ROW_COUNT; row++) {
-    if (padIndex >= ROW_START[row]) {
-      const col = padIndex - ROW_START[row];
-      if (col >= 0 && col < getRowLength(row)) {
-        return { row, col };
-      }
-    }
-  }
-  throw new Error(`Invalid pad index: ${padIndex}`);
+  return defaultGrid.getRowCol(padIndex);
 }
 
 /**
- * Get MIDI note for a given row, column, and base MIDI
+ * Get MIDI note for a given row, column, and base MIDI (default layout)
  * @param {number} row - Row index (0-10)
  * @param {number} col - Column index (0-5)
  * @param {number} baseMidi - Base MIDI note (default 48 = C3)
  * @returns {number} MIDI note number
  */
 export function getMidiNote(row, col, baseMidi = 48) {
-  return baseMidi + getPadIndex(row, col);
+  return defaultGrid.getMidiNote(row, col, baseMidi);
+}
+
+/**
+ * Get every pad that sounds a MIDI note (default layout)
+ * @param {number} midiNote - MIDI note number
+ * @param {number} baseMidi - Base MIDI note (default 48 = C3)
+ * @returns {Array<{row: number, col: number}>} Pads, bottom row first
+ */
+export function getPadsForMidi(midiNote, baseMidi = 48) {
+  return defaultGrid.getPadsForMidi(midiNote, baseMidi);
+}
+
+/**
+ * Get every pad that sounds a pitch class (default layout)
+ * @param {number} pc - Pitch class (0-11)
+ * @param {number} baseMidi - Base MIDI note (default 48 = C3)
+ * @returns {Array<{row: number, col: number, midiNote: number}>} Pads, bottom row first
+ */
+export function getPadsForPitchClass(pc, baseMidi = 48) {
+  return defaultGrid.getPadsForPitchClass(pc, baseMidi);
 }
 
 /**
- * Hex geometry for rendering
+ * Hex geometry for rendering (SVG pixels; physical dimensions are in device.js)
  */
 export const HEX_GEOMETRY = {
   portrait: {
@@ -221,17 +409,63 @@ export function getViewBox(orientation = 'portrait') {
 }
 
 /**
- * Get interval direction vectors on the Exquis grid
- * Returns the row/col offsets for common musical intervals
+ * Intervals looked up by INTERVAL_VECTORS (semitones)
  */
-export const INTERVAL_VECTORS = {
-  minorThirdUp: { row: 1, col: 0 },      // Northwest diagonal
-  majorThirdUp: { row: 1, col: 1 },      // Northeast diagonal
-  perfectFifth: { row: 2, col: 0 },      // Two rows up (even rows align)
-  perfectFourth: { row: 2, col: 1 },     // Two rows up, one right
-  octave: { row: 4, col: 0 }             // Four rows up (alternates columns)
+const NAMED_INTERVALS = {
+  minorThirdUp: 3,
+  majorThirdUp: 4,
+  perfectFourth: 5,
+  perfectFifth: 7,
+  octave: 12
 };
 
+/**
+ * Find the shortest row/col offset that sounds a given interval in a layout
+ * Offsets are measured from a pad on an even row (odd rows are shifted right,
+ * so the same musical step has a different col offset from odd rows).
+ * @param {number} semitones - Interval in semitones
+ * @param {object} layout - Layout from the registry (default: 'intervals')
+ * @returns {{row: number, col: number}|null} Offset, or null if unreachable on the grid
+ */
+export function findIntervalVector(semitones, layout = getLayout('intervals')) {
+  const starts = getRowStarts(layout);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (let row = 0; row < ROW_COUNT; row++) {
+    for (let col = -10; col <= 10; col++) {
+      if (starts[row] + col * layout.step !== semitones) continue;
+      const distance = offsetDistance(0, 0, row, col);
+      if (distance < bestDistance) {
+        best = { row, col };
+        bestDistance = distance;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Get interval direction vectors for a layout
+ * @param {object} layout - Layout from the registry (default: 'intervals')
+ * @returns {object} Map of interval name to {row, col} offset (from an even row)
+ */
+export function getIntervalVectors(layout = getLayout('intervals')) {
+  const vectors = {};
+  for (const [name, semitones] of Object.entries(NAMED_INTERVALS)) {
+    vectors[name] = findIntervalVector(semitones, layout);
+  }
+  return vectors;
+}
+
+/**
+ * Get interval direction vectors on the Exquis grid
+ * Returns the row/col offsets for common musical intervals (default layout);
+ * use grid.getIntervalVectors() for other layouts
+ */
+export const INTERVAL_VECTORS = getIntervalVectors();
+
 /**
  * Get neighboring pads for a given position
  * @param {number} row - Row index
@@ -273,19 +507,161 @@ export function getNeighbors(row, col) {
 }
 
 /**
- * Calculate grid distance between two pads (Manhattan distance on hex grid)
+ * Check whether a (row, col) position is one of the 61 pads
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {boolean} True if the pad exists
+ */
+export function isValidPad(row, col) {
+  return Number.isInteger(row) && Number.isInteger(col) &&
+    row >= 0 && row < ROW_COUNT && col >= 0 && col < getRowLength(row);
+}
+
+/**
+ * Calculate grid distance between two pads
+ * Exact number of single-pad steps on the hex grid (see hex.js)
  * @param {number} row1 - First pad row
  * @param {number} col1 - First pad column
  * @param {number} row2 - Second pad row
  * @param {number} col2 - Second pad column
- * @returns {number} Grid distance
+ * @returns {number} Grid distance in hex steps
  */
 export function getGridDistance(row1, col1, row2, col2) {
-  // Convert to cube coordinates for hex grid distance
-  // This is a simplified approximation
-  const { x: x1, y: y1 } = getCellCenter(row1, col1);
-  const { x: x2, y: y2 } = getCellCenter(row2, col2);
+  return offsetDistance(row1, col1, row2, col2);
+}
+
+/**
+ * Span of a set of pads: the largest grid distance between any two
+ * @param {Array<{row: number, col: number}>} positions - Pads
+ * @returns {number} Maximum distance in hex steps (0 for fewer than two pads)
+ */
+export function getGridSpan(positions) {
+  let maxDistance = 0;
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      maxDistance = Math.max(maxDistance, getGridDistance(
+        positions[i].row, positions[i].col,
+        positions[j].row, positions[j].col
+      ));
+    }
+  }
+  return maxDistance;
+}
+
+/**
+ * Pad moves for a voice leading between two fingerings
+ * A common tone stays on its pad even when the second fingering plays the
+ * note on another pad (a unison), so the same finger can stay down.
+ * @param {Array<{row: number, col: number}>} fromPads - Pads of the first voicing
+ * @param {Array<{row: number, col: number}>} toPads - Pads of the second voicing
+ * @param {Array<{fromIndex: number, toIndex: number, semitones: number}>} moves -
+ *   Voice moves indexing into the pad lists (see findVoiceLeading)
+ * @returns {Array<{from: {row: number, col: number}, to: {row: number, col: number},
+ *   semitones: number, steps: number, held: boolean}>} One move per voice; steps
+ *   is the hex distance the finger travels
+ */
+export function getVoiceLeadingPadMoves(fromPads, toPads, moves) {
+  return moves.map(({ fromIndex, toIndex, semitones }) => {
+    const from = { row: fromPads[fromIndex].row, col: fromPads[fromIndex].col };
+    const held = semitones === 0;
+    const to = held ? from : { row: toPads[toIndex].row, col: toPads[toIndex].col };
+    return {
+      from,
+      to,
+      semitones,
+      steps: getGridDistance(from.row, from.col, to.row, to.col),
+      held
+    };
+  });
+}
+
+/**
+ * Convert on-grid axial hexes to pad positions, dropping hexes off the surface
+ * @private
+ */
+function axialToPads(hexes) {
+  return hexes
+    .map(({ q, r }) => axialToOffset(q, r))
+    .filter(({ row, col }) => isValidPad(row, col));
+}
+
+/**
+ * Get all pads within a number of hex steps of a pad (inclusive)
+ * @param {number} row - Center row
+ * @param {number} col - Center column
+ * @param {number} radius - Radius in hex steps
+ * @returns {Array<{row: number, col: number}>} Pads, nearest first
+ */
+export function getPadsInRange(row, col, radius) {
+  return axialToPads(axialRange(offsetToAxial(row, col), radius));
+}
+
+/**
+ * Get the pads at exactly a number of hex steps from a pad
+ * @param {number} row - Center row
+ * @param {number} col - Center column
+ * @param {number} radius - Ring radius in hex steps
+ * @returns {Array<{row: number, col: number}>} Pads on the ring
+ */
+export function getPadRing(row, col, radius) {
+  return axialToPads(axialRing(offsetToAxial(row, col), radius));
+}
+
+/**
+ * Get the pads on the straight line between two pads (inclusive)
+ * @param {number} row1 - Start row
+ * @param {number} col1 - Start column
+ * @param {number} row2 - End row
+ * @param {number} col2 - End column
+ * @returns {Array<{row: number, col: number}>} Pads from start to end
+ */
+export function getPadLine(row1, col1, row2, col2) {
+  return axialToPads(axialLine(offsetToAxial(row1, col1), offsetToAxial(row2, col2)));
+}
+
+/**
+ * Find a shortest path of adjacent pads between two pads
+ * @param {number} row1 - Start row
+ * @param {number} col1 - Start column
+ * @param {number} row2 - End row
+ * @param {number} col2 - End column
+ * @param {Set<string>} blocked - Optional 'row,col' keys to route around
+ * @returns {Array<{row: number, col: number}>|null} Path from start to end, or null if unreachable
+ */
+export function findPadPath(row1, col1, row2, col2, blocked = new Set()) {
+  if (!isValidPad(row1, col1) || !isValidPad(row2, col2)) return null;
+
+  // Without obstacles the straight line is already a shortest path
+  const line = getPadLine(row1, col1, row2, col2);
+  if (line.length === offsetDistance(row1, col1, row2, col2) + 1 &&
+      line.every(p => !blocked.has(`${p.row},${p.col}`))) {
+    return line;
+  }
 
-  // Euclidean distance divided by hex width as approximation
-  return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2) / HEX_GEOMETRY.portrait.w;
+  // Breadth-first search around obstacles
+  const startKey = `${row1},${col1}`;
+  const endKey = `${row2},${col2}`;
+  const previous = new Map([[startKey, null]]);
+  const queue = [{ row: row1, col: col1 }];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const key = `${current.row},${current.col}`;
+    if (key === endKey) break;
+
+    for (const next of getNeighbors(current.row, current.col)) {
+      const nextKey = `${next.row},${next.col}`;
+      if (previous.has(nextKey) || (blocked.has(nextKey) && nextKey !== endKey)) continue;
+      previous.set(nextKey, current);
+      queue.push(next);
+    }
+  }
+
+  if (!previous.has(endKey)) return null;
+
+  const path = [];
+  for (let p = { row: row2, col: col2 }; p; p = previous.get(`${p.row},${p.col}`)) {
+    path.unshift(p);
+  }
+  return path;
 }
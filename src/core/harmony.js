@@ -0,0 +1,100 @@
+/**
+ * Diatonic Harmony Module
+ * Builds the triads and seventh chords of a scale by stacking every other
+ * scale note, and names them with Roman numerals
+ *
+ * Numerals are upper case over a major (or wider) third and lower case over
+ * a minor (or narrower) one, with an accidental wherever the degree differs
+ * from the major scale: C natural minor gives i, ii°, bIII, iv, v, bVI, bVII.
+ */
+
+import { NOTE_TO_PC, PITCH_CLASS_SETS, pcsToBinary } from './music.js';
+import { CHORD_QUALITIES, CHORD_SYMBOLS } from './chord-dictionary.js';
+
+const NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Major scale degrees, which numeral accidentals are measured from
+const MAJOR_DEGREES = [0, 2, 4, 5, 7, 9, 11];
+
+// Numeral suffixes for the usual diatonic qualities; others use their symbol
+const NUMERAL_SUFFIXES = {
+  major: '',
+  minor: '',
+  dim: '°',
+  aug: '+',
+  maj7: 'maj7',
+  dom7: '7',
+  min7: '7',
+  hdim7: 'ø7',
+  dim7: '°7',
+  minmaj7: '(maj7)',
+  'maj7#5': '+maj7',
+  aug7: '+7'
+};
+
+/**
+ * Find the chord quality with exactly these intervals above the root
+ * @param {Array<number>} intervals - Intervals (mod 12) including 0
+ * @returns {string|null} CHORD_QUALITIES key, or null if none matches
+ */
+function findQuality(intervals) {
+  const binary = pcsToBinary(intervals);
+  return Object.keys(CHORD_QUALITIES).find(key =>
+    pcsToBinary([...new Set(CHORD_QUALITIES[key].map(i => i % 12))]) === binary
+  ) || null;
+}
+
+/**
+ * Roman numeral for a chord on a scale degree
+ * @param {number} index - Scale degree index (0-6)
+ * @param {number} degree - Semitones of the degree above the tonic
+ * @param {number} third - Semitones of the chord's third above its root
+ * @param {string|null} quality - Chord quality
+ * @returns {string} Numeral (e.g., 'bVII7', 'ii°', 'viiø7')
+ */
+function romanNumeral(index, degree, third, quality) {
+  const offset = ((degree - MAJOR_DEGREES[index] + 6) % 12 + 12) % 12 - 6;
+  const accidental = offset < 0 ? 'b'.repeat(-offset) : '#'.repeat(offset);
+  const numeral = third >= 4 ? NUMERALS[index] : NUMERALS[index].toLowerCase();
+  const suffix = quality === null ? '?' : NUMERAL_SUFFIXES[quality] ?? CHORD_SYMBOLS[quality] ?? quality;
+  return `${accidental}${numeral}${suffix}`;
+}
+
+/**
+ * Diatonic chords of a 7-note scale
+ * @param {string} key - Tonic note name (e.g., 'C', 'Eb')
+ * @param {string} setType - Scale id in PITCH_CLASS_SETS
+ * @param {Object} options
+ * @param {number} options.size - 3 for triads, 4 for seventh chords
+ * @returns {Array<{degree: number, numeral: string, root: number, quality: string|null,
+ *   pitchClasses: Array<number>}>} One chord per scale degree, pitch classes
+ *   from the root up in thirds; quality is the matching CHORD_QUALITIES key or
+ *   null. Empty for chords and for scales without seven notes.
+ * @throws {Error} If the key or set type is unknown
+ */
+export function getDiatonicChords(key, setType, { size = 3 } = {}) {
+  const tonic = NOTE_TO_PC[key];
+  if (tonic === undefined) {
+    throw new Error(`Invalid key: ${key}`);
+  }
+  const scale = PITCH_CLASS_SETS[setType];
+  if (!scale) {
+    throw new Error(`Invalid set type: ${setType}`);
+  }
+  if (scale.type !== 'scale' || scale.intervals.length !== 7) {
+    return [];
+  }
+
+  return scale.intervals.map((degree, index) => {
+    const stacked = Array.from({ length: size }, (_, i) => scale.intervals[(index + 2 * i) % 7]);
+    const intervals = stacked.map(step => (step - degree + 12) % 12);
+    const quality = findQuality(intervals);
+    return {
+      degree: index + 1,
+      numeral: romanNumeral(index, degree, intervals[1], quality),
+      root: (tonic + degree) % 12,
+      quality,
+      pitchClasses: stacked.map(step => (tonic + step) % 12)
+    };
+  });
+}
@@ -0,0 +1,207 @@
+/**
+ * Hex Coordinate Module
+ * Offset, axial and cube coordinates with exact hex-step math
+ *
+ * The Exquis grid uses offset coordinates (row, col): rows 0-10 from bottom
+ * to top, odd rows shifted right by half a pad ("odd-r"). Offset coordinates
+ * are convenient for storage but awkward for math, because the same
+ * diagonal step changes col differently on even and odd rows.
+ *
+ * Axial coordinates fix that:
+ * - q runs East along a row
+ * - r runs up the NE diagonal (r === row)
+ * Cube coordinates add s = -q - r so that q + r + s === 0.
+ *
+ * Everything here is pure math on an unbounded plane; grid.js adds the
+ * bounds of the 61-pad surface.
+ */
+
+/**
+ * Axial direction vectors for the six neighbours
+ */
+export const AXIAL_DIRECTIONS = {
+  E: { q: 1, r: 0 },
+  NE: { q: 0, r: 1 },
+  NW: { q: -1, r: 1 },
+  W: { q: -1, r: 0 },
+  SW: { q: 0, r: -1 },
+  SE: { q: 1, r: -1 }
+};
+
+/**
+ * Convert offset (row, col) to axial coordinates
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {{q: number, r: number}} Axial coordinates
+ */
+export function offsetToAxial(row, col) {
+  return { q: col - (row - (row & 1)) / 2, r: row };
+}
+
+/**
+ * Convert axial coordinates to offset (row, col)
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r
+ * @returns {{row: number, col: number}} Offset coordinates
+ */
+export function axialToOffset(q, r) {
+  return { row: r, col: q + (r - (r & 1)) / 2 };
+}
+
+/**
+ * Convert axial coordinates to cube coordinates
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r
+ * @returns {{q: number, r: number, s: number}} Cube coordinates
+ */
+export function axialToCube(q, r) {
+  return { q, r, s: -q - r };
+}
+
+/**
+ * Convert cube coordinates to axial coordinates
+ * @param {{q: number, r: number, s: number}} cube - Cube coordinates
+ * @returns {{q: number, r: number}} Axial coordinates
+ */
+export function cubeToAxial(cube) {
+  return { q: cube.q, r: cube.r };
+}
+
+/**
+ * Convert offset (row, col) to cube coordinates
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {{q: number, r: number, s: number}} Cube coordinates
+ */
+export function offsetToCube(row, col) {
+  const { q, r } = offsetToAxial(row, col);
+  return axialToCube(q, r);
+}
+
+/**
+ * Convert cube coordinates to offset (row, col)
+ * @param {{q: number, r: number, s: number}} cube - Cube coordinates
+ * @returns {{row: number, col: number}} Offset coordinates
+ */
+export function cubeToOffset(cube) {
+  return axialToOffset(cube.q, cube.r);
+}
+
+/**
+ * Round fractional cube coordinates to the nearest hex
+ * @param {{q: number, r: number, s: number}} cube - Fractional cube coordinates
+ * @returns {{q: number, r: number, s: number}} Integer cube coordinates
+ */
+export function cubeRound(cube) {
+  let q = Math.round(cube.q);
+  let r = Math.round(cube.r);
+  let s = Math.round(cube.s);
+
+  const dq = Math.abs(q - cube.q);
+  const dr = Math.abs(r - cube.r);
+  const ds = Math.abs(s - cube.s);
+
+  // Reset the component with the largest rounding error so q + r + s === 0
+  if (dq > dr && dq > ds) {
+    q = -r - s;
+  } else if (dr > ds) {
+    r = -q - s;
+  } else {
+    s = -q - r;
+  }
+
+  return { q: q + 0, r: r + 0, s: s + 0 }; // + 0 normalises -0
+}
+
+/**
+ * Exact hex distance (number of single-pad steps) between axial coordinates
+ * @param {{q: number, r: number}} a - First hex
+ * @param {{q: number, r: number}} b - Second hex
+ * @returns {number} Distance in hex steps
+ */
+export function axialDistance(a, b) {
+  const dq = a.q - b.q;
+  const dr = a.r - b.r;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+/**
+ * Exact hex distance between two offset positions
+ * @param {number} row1 - First pad row
+ * @param {number} col1 - First pad column
+ * @param {number} row2 - Second pad row
+ * @param {number} col2 - Second pad column
+ * @returns {number} Distance in hex steps
+ */
+export function offsetDistance(row1, col1, row2, col2) {
+  return axialDistance(offsetToAxial(row1, col1), offsetToAxial(row2, col2));
+}
+
+/**
+ * All hexes within a radius of a center (inclusive)
+ * @param {{q: number, r: number}} center - Center hex (axial)
+ * @param {number} radius - Radius in hex steps
+ * @returns {Array<{q: number, r: number}>} Hexes, center first
+ */
+export function axialRange(center, radius) {
+  const hexes = [];
+  for (let dq = -radius; dq <= radius; dq++) {
+    const rMin = Math.max(-radius, -dq - radius);
+    const rMax = Math.min(radius, -dq + radius);
+    for (let dr = rMin; dr <= rMax; dr++) {
+      hexes.push({ q: center.q + dq, r: center.r + dr });
+    }
+  }
+  return hexes.sort((a, b) => axialDistance(a, center) - axialDistance(b, center));
+}
+
+/**
+ * Hexes at exactly a given distance from a center
+ * @param {{q: number, r: number}} center - Center hex (axial)
+ * @param {number} radius - Ring radius in hex steps
+ * @returns {Array<{q: number, r: number}>} Hexes going counter-clockwise from the SW corner
+ */
+export function axialRing(center, radius) {
+  if (radius === 0) return [{ ...center }];
+
+  const ring = [];
+  const { SW } = AXIAL_DIRECTIONS;
+  let hex = { q: center.q + SW.q * radius, r: center.r + SW.r * radius };
+
+  for (const dir of ['E', 'NE', 'NW', 'W', 'SW', 'SE']) {
+    const { q, r } = AXIAL_DIRECTIONS[dir];
+    for (let i = 0; i < radius; i++) {
+      ring.push(hex);
+      hex = { q: hex.q + q, r: hex.r + r };
+    }
+  }
+
+  return ring;
+}
+
+/**
+ * Hexes on the straight line between two hexes (inclusive)
+ * @param {{q: number, r: number}} a - Start hex (axial)
+ * @param {{q: number, r: number}} b - End hex (axial)
+ * @returns {Array<{q: number, r: number}>} Hexes from a to b
+ */
+export function axialLine(a, b) {
+  const n = axialDistance(a, b);
+  if (n === 0) return [{ ...a }];
+
+  // Nudge off exact edges so ties round consistently
+  const ca = axialToCube(a.q + 1e-6, a.r + 1e-6);
+  const cb = axialToCube(b.q + 1e-6, b.r + 1e-6);
+
+  const hexes = [];
+  for (let i = 0; i <= n; i++) {
+    const t = i / n;
+    const cube = cubeRound({
+      q: ca.q + (cb.q - ca.q) * t,
+      r: ca.r + (cb.r - ca.r) * t,
+      s: ca.s + (cb.s - ca.s) * t
+    });
+    hexes.push(cubeToAxial(cube));
+  }
+  return hexes;
+}
@@ -0,0 +1,173 @@
+/**
+ * Key Detection Module
+ * Estimates the key of recently played notes with the Krumhansl-Schmuckler
+ * algorithm, then names the scale by matching the notes against the
+ * catalogue's scales on that tonic
+ *
+ * Each note counts for as long as it was held (clamped to 0.25-2 s), so a
+ * long tonic weighs more than a passing note. Only the last notes within a
+ * rolling window are used, and older notes count for less (down to half), so
+ * the estimate follows modulations.
+ */
+
+import { PITCH_CLASS_SETS } from './music.js';
+
+// Krumhansl-Kessler probe-tone profiles, from the tonic up
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Catalogue ids of the scales the profiles stand for
+const MODE_SCALES = { major: 'maj', minor: 'natmin' };
+
+// Pitch classes lighter than this share of the heaviest are left out of scale matching
+const SCALE_THRESHOLD = 0.2;
+
+/**
+ * Pearson correlation of two 12-value arrays
+ */
+function correlate(a, b) {
+  const meanA = a.reduce((sum, x) => sum + x, 0) / 12;
+  const meanB = b.reduce((sum, x) => sum + x, 0) / 12;
+  let num = 0;
+  let denA = 0;
+  let denB = 0;
+  for (let i = 0; i < 12; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    denA += (a[i] - meanA) ** 2;
+    denB += (b[i] - meanB) ** 2;
+  }
+  return denA === 0 || denB === 0 ? 0 : num / Math.sqrt(denA * denB);
+}
+
+/**
+ * Rank the 24 major and minor keys for a pitch-class weighting
+ * @param {Array<number>} weights - Weight of each pitch class (length 12)
+ * @returns {Array<{tonic: number, mode: string, setType: string, correlation: number}>}
+ *   Keys, best first; empty if no note has any weight
+ */
+export function rankKeys(weights) {
+  if (!weights.some(weight => weight > 0)) return [];
+
+  const keys = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = weights.map((_, i) => weights[(tonic + i) % 12]);
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      keys.push({ tonic, mode, setType: MODE_SCALES[mode], correlation: correlate(rotated, profile) });
+    }
+  }
+  return keys.sort((a, b) => b.correlation - a.correlation);
+}
+
+/**
+ * Catalogue scales on a tonic that contain every given pitch class
+ * @param {number} tonic - Tonic pitch class
+ * @param {Array<number>} pitchClasses - Pitch classes that were played
+ * @returns {Array<string>} Scale ids in PITCH_CLASS_SETS, fewest notes first
+ *   (catalogue order among equals)
+ */
+export function matchScales(tonic, pitchClasses) {
+  const played = [...new Set(pitchClasses)].map(pc => (pc - tonic + 12) % 12);
+  return Object.entries(PITCH_CLASS_SETS)
+    .filter(([, set]) => set.type === 'scale')
+    .filter(([, set]) => played.every(interval => set.intervals.includes(interval)))
+    .sort(([, a], [, b]) => a.intervals.length - b.intervals.length)
+    .map(([id]) => id);
+}
+
+/**
+ * Rolling-window key detector for a live note stream
+ */
+export class KeyDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxNotes - Notes kept in the window (default 32)
+   * @param {number} options.windowMs - Oldest note age kept, in ms (default 20000)
+   */
+  constructor({ maxNotes = 32, windowMs = 20000 } = {}) {
+    this.maxNotes = maxNotes;
+    this.windowMs = windowMs;
+    this.notes = [];  // {midiNote, start, end} in ms; end is null while held
+  }
+
+  /**
+   * Record a note-on
+   * @param {number} midiNote - MIDI note number
+   * @param {number} time - Timestamp in ms (default now)
+   */
+  noteOn(midiNote, time = Date.now()) {
+    this.notes.push({ midiNote, start: time, end: null });
+    this._prune(time);
+  }
+
+  /**
+   * Record a note-off, closing the latest held note with that number
+   * @param {number} midiNote - MIDI note number
+   * @param {number} time - Timestamp in ms (default now)
+   */
+  noteOff(midiNote, time = Date.now()) {
+    const held = this.notes.findLast(note => note.midiNote === midiNote && note.end === null);
+    if (held) held.end = time;
+  }
+
+  /**
+   * Forget every note
+   */
+  clear() {
+    this.notes = [];
+  }
+
+  /**
+   * Pitch-class weights of the notes in the window
+   * @param {number} time - Timestamp in ms (default now)
+   * @returns {Array<number>} Seconds held per pitch class, scaled by recency (length 12)
+   */
+  getWeights(time = Date.now()) {
+    this._prune(time);
+    const weights = new Array(12).fill(0);
+    this.notes.forEach(({ midiNote, start, end }, i) => {
+      const seconds = ((end ?? time) - start) / 1000;
+      const recency = 0.5 + 0.5 * (i + 1) / this.notes.length;
+      weights[midiNote % 12] += Math.min(2, Math.max(0.25, seconds)) * recency;
+    });
+    return weights;
+  }
+
+  /**
+   * Estimate the key of the notes in the window
+   * @param {number} time - Timestamp in ms (default now)
+   * @returns {{tonic: number, mode: string, setType: string, correlation: number,
+   *   alternatives: Array<object>, pitchClasses: Array<number>, noteCount: number}|null}
+   *   Best key, its scale (the major or natural minor scale when the notes fit,
+   *   otherwise the smallest catalogue scale of up to 8 notes on the tonic that
+   *   holds them) and the next two keys; pitchClasses are the notes that
+   *   count for the scale. Null with no notes.
+   */
+  detect(time = Date.now()) {
+    const weights = this.getWeights(time);
+    const [best, ...others] = rankKeys(weights);
+    if (!best) return null;
+
+    const heaviest = Math.max(...weights);
+    const pitchClasses = weights.flatMap((weight, pc) => (weight >= heaviest * SCALE_THRESHOLD ? [pc] : []));
+    const scales = matchScales(best.tonic, pitchClasses)
+      .filter(id => PITCH_CLASS_SETS[id].intervals.length <= 8);
+    const setType = scales.includes(best.setType) ? best.setType : scales[0] || best.setType;
+    return {
+      ...best,
+      setType,
+      alternatives: others.slice(0, 2),
+      pitchClasses,
+      noteCount: this.notes.length
+    };
+  }
+
+  /**
+   * Drop notes outside the window
+   * @private
+   */
+  _prune(time) {
+    this.notes = this.notes
+      .filter(note => note.end === null || time - note.start <= this.windowMs)
+      .slice(-this.maxNotes);
+  }
+}
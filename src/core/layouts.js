@@ -0,0 +1,136 @@
+/**
+ * Isomorphic Layout Registry
+ * Defines how pitches are laid out on the hex grid
+ *
+ * A layout is described by two interval vectors (in semitones):
+ * - nw: interval gained by stepping to the Northwest neighbour
+ * - ne: interval gained by stepping to the Northeast neighbour
+ *
+ * Stepping East is the same as stepping NE then SE (the reverse of NW), so
+ * the horizontal step is always `ne - nw`. Row starts follow from the same
+ * vectors: going up from an even row to the odd row above lands on the NE
+ * neighbour of col 0, going up from an odd row lands on the NW neighbour.
+ *
+ * Layouts that don't follow this rule (non-isomorphic custom layouts) may
+ * supply their own `rowStart` rule as a function or an array.
+ */
+
+/**
+ * Registered layouts, keyed by id
+ */
+export const LAYOUTS = {};
+
+/**
+ * Register a layout
+ * @param {string} id - Unique layout id (e.g., 'wicki-hayden')
+ * @param {object} definition - Layout definition
+ * @param {string} definition.name - Display name
+ * @param {number} definition.nw - Semitones for a Northwest step
+ * @param {number} definition.ne - Semitones for a Northeast step
+ * @param {string} [definition.description] - Short description
+ * @param {Function|Array<number>} [definition.rowStart] - Optional row-start rule
+ * @returns {object} The registered layout
+ */
+export function registerLayout(id, definition) {
+  const { name, nw, ne, description = '', rowStart = null } = definition;
+
+  if (!Number.isInteger(nw) || !Number.isInteger(ne)) {
+    throw new Error(`Invalid layout "${id}": nw and ne must be integers`);
+  }
+  if (ne === nw) {
+    throw new Error(`Invalid layout "${id}": nw and ne must differ (horizontal step would be 0)`);
+  }
+
+  let rowStartRule;
+  if (typeof rowStart === 'function') {
+    rowStartRule = rowStart;
+  } else if (Array.isArray(rowStart)) {
+    rowStartRule = (row) => rowStart[row];
+  } else {
+    // Odd rows add a NE step, even rows add a NW step
+    rowStartRule = (row) => Math.ceil(row / 2) * ne + Math.floor(row / 2) * nw;
+  }
+
+  const layout = {
+    id,
+    name: name || id,
+    description,
+    nw,
+    ne,
+    step: ne - nw,
+    rowStart: rowStartRule
+  };
+
+  LAYOUTS[id] = layout;
+  return layout;
+}
+
+/**
+ * Get a registered layout
+ * @param {string} id - Layout id
+ * @returns {object} Layout
+ */
+export function getLayout(id) {
+  const layout = LAYOUTS[id];
+  if (!layout) {
+    throw new Error(`Unknown layout: ${id}. Registered layouts: ${Object.keys(LAYOUTS).join(', ')}`);
+  }
+  return layout;
+}
+
+/**
+ * Check whether a layout is registered
+ * @param {string} id - Layout id
+ * @returns {boolean} True if registered
+ */
+export function hasLayout(id) {
+  return Object.prototype.hasOwnProperty.call(LAYOUTS, id);
+}
+
+/**
+ * List registered layouts (for UI selects)
+ * @returns {Array<{id: string, name: string, description: string}>} Layout summaries
+ */
+export function listLayouts() {
+  return Object.values(LAYOUTS).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+// Built-in layouts
+
+// Exquis default: NW = minor 3rd, NE = major 3rd, East = semitone
+registerLayout('intervals', {
+  name: 'Exquis (thirds)',
+  description: 'NW = minor 3rd, NE = major 3rd, E = semitone',
+  nw: 3,
+  ne: 4
+});
+
+// Sequential pad numbering (matches Developer Mode pad IDs 0-60)
+registerLayout('chromatic', {
+  name: 'Chromatic (pad IDs)',
+  description: 'Sequential pad numbering, rows of 6/5 pads',
+  nw: 5,
+  ne: 6
+});
+
+registerLayout('wicki-hayden', {
+  name: 'Wicki-Hayden',
+  description: 'NW = 4th, NE = 5th, E = whole tone',
+  nw: 5,
+  ne: 7
+});
+
+// Harmonic table rotated so that pitch rises upward
+registerLayout('harmonic-table', {
+  name: 'Harmonic table',
+  description: 'NW = minor 3rd, NE = 5th, E = major 3rd',
+  nw: 3,
+  ne: 7
+});
+
+registerLayout('janko', {
+  name: 'Janko',
+  description: 'Rows of whole tones, alternate rows offset by a semitone',
+  nw: -1,
+  ne: 1
+});
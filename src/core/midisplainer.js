@@ -0,0 +1,288 @@
+/**
+ * MIDIsplainer Dictionary Importer Module
+ * Reads a MIDIsplainer chord dictionary export and adds its entries to the
+ * chord and scale catalogue
+ *
+ * Accepted files:
+ * - JSON: an array of entries, an object with a `chords` or `entries` array,
+ *   or an object keyed by binary PCS value whose values are entries or names
+ * - CSV/TSV with a header row (name, binary, aliases, symbol, type)
+ *
+ * An entry has a name, a binary PCS value and optional aliases, symbol and
+ * type ('chord' unless it says 'scale'). Binary values are either a number
+ * (bit 0 = root, as in pcsToBinary) or the same number as a 12-character
+ * 0/1 string, root bit on the right as formatBinaryPcs writes it
+ * ("000010010001" = 145 = major triad); a list of pitch classes ("0,4,7")
+ * is also accepted. Entries with the same notes as a built-in
+ * entry are skipped, and names that clash with built-in names are renamed;
+ * both are reported as conflicts.
+ */
+
+import { pcsToBinary, binaryToPcs } from './music.js';
+import { CATALOGUE, getCatalogueEntry, registerCatalogueEntry } from './catalogue.js';
+
+// Field names accepted for each entry property
+const FIELDS = {
+  name: ['name', 'chord', 'title'],
+  binary: ['binary', 'bin', 'pcs', 'value'],
+  aliases: ['aliases', 'alias', 'symbols'],
+  symbol: ['symbol', 'abbreviation', 'abbr'],
+  type: ['type', 'kind']
+};
+
+/**
+ * Read one property of a record, trying each accepted field name
+ */
+function field(record, key) {
+  const lower = Object.fromEntries(Object.entries(record).map(([k, v]) => [k.toLowerCase(), v]));
+  const found = FIELDS[key].find(name => lower[name] !== undefined && lower[name] !== '');
+  return found ? lower[found] : undefined;
+}
+
+/**
+ * Parse a binary PCS value into intervals above the root
+ * @param {number|string|Array<number>} value - Binary value, 0/1 string or pitch classes
+ * @returns {Array<number>} Sorted intervals
+ * @throws {Error} If the value cannot be read or has no root
+ */
+export function parseBinaryPcs(value) {
+  const text = String(value).trim();
+  let pcs;
+  if (Array.isArray(value)) {
+    pcs = value.map(Number);
+  } else if (/^[01]{12}$/.test(text)) {
+    pcs = [...binaryToPcs(parseInt(text, 2))];
+  } else if (/^\d+$/.test(text)) {
+    const number = Number(text);
+    if (number < 1 || number > 4095) {
+      throw new Error(`Binary PCS value "${value}" is out of range`);
+    }
+    pcs = [...binaryToPcs(number)];
+  } else if (/^\d+([,\s]+\d+)+$/.test(text)) {
+    pcs = text.split(/[,\s]+/).map(Number);
+  } else {
+    throw new Error(`Cannot read binary PCS value "${value}"`);
+  }
+
+  if (pcs.some(pc => !Number.isInteger(pc) || pc < 0 || pc > 11)) {
+    throw new Error(`Binary PCS value "${value}" is out of range`);
+  }
+  if (!pcs.includes(0)) {
+    throw new Error(`Binary PCS value "${value}" has no root`);
+  }
+  return [...new Set(pcs)].sort((a, b) => a - b);
+}
+
+/**
+ * Split an alias list given as an array or a string ("m7|min7", "m7; -7")
+ */
+function splitAliases(value) {
+  if (value === undefined) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[|;]/);
+  return list.map(alias => String(alias).trim()).filter(Boolean);
+}
+
+/**
+ * Split one CSV/TSV line, honouring double quotes
+ */
+function splitLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Records from a parsed JSON export
+ */
+function jsonRecords(data) {
+  if (Array.isArray(data)) return data;
+  const list = data.chords || data.entries || data.dictionary;
+  if (Array.isArray(list)) return list;
+
+  return Object.entries(data).map(([binary, value]) =>
+    (typeof value === 'object' && value !== null ? { binary, ...value } : { binary, name: value })
+  );
+}
+
+/**
+ * Records from a CSV/TSV export with a header row
+ */
+function delimitedRecords(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  const delimiter = lines[0].includes('\t') ? '\t' : lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const header = splitLine(lines[0], delimiter).map(name => name.toLowerCase());
+  return lines.slice(1).map(line => {
+    const cells = splitLine(line, delimiter);
+    return Object.fromEntries(header.map((name, i) => [name, cells[i] ?? '']));
+  });
+}
+
+/**
+ * Parse a MIDIsplainer dictionary export
+ * @param {string} text - File contents (JSON or CSV/TSV)
+ * @returns {{entries: Array<object>, errors: Array<string>}} Entries
+ *   {name, symbol, aliases, type, intervals}, merged by type and notes, and
+ *   one message per record that could not be read
+ * @throws {Error} If the file is empty or not valid JSON/CSV
+ */
+export function parseMidisplainerDictionary(text) {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!trimmed) {
+    throw new Error('The dictionary file is empty');
+  }
+
+  let records;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      records = jsonRecords(JSON.parse(trimmed));
+    } catch (err) {
+      throw new Error(`Invalid dictionary JSON: ${err.message}`);
+    }
+  } else {
+    records = delimitedRecords(trimmed);
+  }
+
+  const entries = new Map();
+  const errors = [];
+  records.forEach((record, index) => {
+    const name = String(field(record, 'name') ?? '').trim();
+    const binary = field(record, 'binary');
+    if (!name || binary === undefined) {
+      errors.push(`Entry ${index + 1}: needs a name and a binary PCS value`);
+      return;
+    }
+
+    let intervals;
+    try {
+      intervals = parseBinaryPcs(binary);
+    } catch (err) {
+      errors.push(`Entry ${index + 1} ("${name}"): ${err.message}`);
+      return;
+    }
+
+    const type = String(field(record, 'type') ?? '').toLowerCase() === 'scale' ? 'scale' : 'chord';
+    const symbol = field(record, 'symbol');
+    const aliases = splitAliases(field(record, 'aliases'));
+
+    // Several names for the same notes become aliases of the first
+    const key = `${type}:${pcsToBinary(intervals)}`;
+    const existing = entries.get(key);
+    if (existing) {
+      existing.aliases.push(...[name, ...aliases].filter(a => a !== existing.name && !existing.aliases.includes(a)));
+      return;
+    }
+    entries.set(key, {
+      name,
+      symbol: symbol === undefined ? null : String(symbol).trim(),
+      aliases: aliases.filter(alias => alias !== name),
+      type,
+      intervals
+    });
+  });
+
+  return { entries: [...entries.values()], errors };
+}
+
+/**
+ * Import a MIDIsplainer dictionary into the catalogue
+ * Entries that are already imported (same notes) are left as they are.
+ * @param {string} text - File contents
+ * @returns {{imported: Array<object>, conflicts: Array<object>, errors: Array<string>}}
+ *   New catalogue entries; conflicts {name, kind: 'duplicate'|'name', builtIn,
+ *   message}; unreadable records
+ * @throws {Error} If the file cannot be parsed
+ */
+export function importMidisplainerDictionary(text) {
+  const { entries, errors } = parseMidisplainerDictionary(text);
+  const builtIns = CATALOGUE.filter(entry => entry.source === 'built-in');
+  const imported = [];
+  const conflicts = [];
+
+  // Names, symbols and aliases already used by built-in entries of each type
+  const builtInLabels = new Map();
+  builtIns.forEach(entry => {
+    [entry.id, entry.name, entry.symbol, ...entry.aliases]
+      .filter(label => label !== null && label !== '')
+      .forEach(label => builtInLabels.set(`${entry.type}:${label}`, entry));
+  });
+
+  for (const entry of entries) {
+    const binary = pcsToBinary(entry.intervals);
+    const id = `midisplainer:${entry.type}:${binary}`;
+    if (getCatalogueEntry(id)) continue;
+
+    const duplicate = builtIns.find(b =>
+      b.type === entry.type && pcsToBinary([...new Set(b.intervals.map(i => i % 12))]) === binary
+    );
+    if (duplicate) {
+      conflicts.push({
+        name: entry.name,
+        kind: 'duplicate',
+        builtIn: duplicate.id,
+        message: `"${entry.name}" has the same notes as built-in "${duplicate.name}"; skipped`
+      });
+      continue;
+    }
+
+    // Keep built-in names, symbols and aliases unambiguous
+    const clash = (label) => builtInLabels.get(`${entry.type}:${label}`);
+    let { name, symbol } = entry;
+    if (clash(name)) {
+      conflicts.push({
+        name,
+        kind: 'name',
+        builtIn: clash(name).id,
+        message: `"${name}" is the name of built-in "${clash(name).name}"; imported as "${name} (MIDIsplainer)"`
+      });
+      name = `${name} (MIDIsplainer)`;
+    }
+    if (symbol && clash(symbol)) {
+      conflicts.push({
+        name,
+        kind: 'name',
+        builtIn: clash(symbol).id,
+        message: `Symbol "${symbol}" of "${name}" belongs to built-in "${clash(symbol).name}"; dropped`
+      });
+      symbol = null;
+    }
+    const aliases = entry.aliases.filter(alias => !clash(alias));
+    const dropped = entry.aliases.filter(alias => clash(alias));
+    if (dropped.length > 0) {
+      conflicts.push({
+        name,
+        kind: 'name',
+        builtIn: clash(dropped[0]).id,
+        message: `Aliases ${dropped.map(a => `"${a}"`).join(', ')} of "${name}" belong to built-in entries; dropped`
+      });
+    }
+
+    imported.push(registerCatalogueEntry({
+      id,
+      name,
+      symbol,
+      aliases,
+      type: entry.type,
+      tags: ['imported'],
+      source: 'midisplainer',
+      intervals: entry.intervals
+    }));
+  }
+
+  return { imported, conflicts, errors };
+}
@@ -3,6 +3,8 @@
  * Handles pitch classes, note names, intervals, scales, and chords
  */
 
+import { getCatalogueEntry, watchCatalogue } from './catalogue.js';
+
 // Note name to pitch class mapping
 export const NOTE_TO_PC = {
   C: 0, 'C#': 1, Db: 1,
@@ -27,52 +29,18 @@ export const PC_TO_NOTE_FLAT = [
 ];
 
 /**
- * Pitch Class Set definitions
- * Each set is an array of intervals from the root
- */
-export const PITCH_CLASS_SETS = {
-  // Scales
-  maj: { name: 'Major scale', intervals: [0, 2, 4, 5, 7, 9, 11], type: 'scale' },
-  natmin: { name: 'Natural minor', intervals: [0, 2, 3, 5, 7, 8, 10], type: 'scale' },
-  harmin: { name: 'Harmonic minor', intervals: [0, 2, 3, 5, 7, 8, 11], type: 'scale' },
-  melmin: { name: 'Melodic minor', intervals: [0, 2, 3, 5, 7, 9, 11], type: 'scale' },
-  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10], type: 'scale' },
-  phrygian: { name: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10], type: 'scale' },
-  lydian: { name: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11], type: 'scale' },
-  mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10], type: 'scale' },
-  locrian: { name: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10], type: 'scale' },
-
-  // Pentatonics
-  majpent: { name: 'Major pentatonic', intervals: [0, 2, 4, 7, 9], type: 'scale' },
-  minpent: { name: 'Minor pentatonic', intervals: [0, 3, 5, 7, 10], type: 'scale' },
-
-  // Triads
-  majtriad: { name: 'Major triad', intervals: [0, 4, 7], type: 'chord' },
-  mintriad: { name: 'Minor triad', intervals: [0, 3, 7], type: 'chord' },
-  augtriad: { name: 'Augmented triad', intervals: [0, 4, 8], type: 'chord' },
-  dimtriad: { name: 'Diminished triad', intervals: [0, 3, 6], type: 'chord' },
-
-  // 7th chords
-  maj7: { name: 'Major 7th', intervals: [0, 4, 7, 11], type: 'chord' },
-  min7: { name: 'Minor 7th', intervals: [0, 3, 7, 10], type: 'chord' },
-  dom7: { name: 'Dominant 7th', intervals: [0, 4, 7, 10], type: 'chord' },
-  dim7: { name: 'Diminished 7th', intervals: [0, 3, 6, 9], type: 'chord' },
-  hdim7: { name: 'Half-diminished 7th', intervals: [0, 3, 6, 10], type: 'chord' },
-
-  // Extended chords
-  maj9: { name: 'Major 9th', intervals: [0, 4, 7, 11, 14], type: 'chord' },
-  min9: { name: 'Minor 9th', intervals: [0, 3, 7, 10, 14], type: 'chord' },
-  dom9: { name: 'Dominant 9th', intervals: [0, 4, 7, 10, 14], type: 'chord' },
-
-  // Other
-  chromatic: { name: 'Chromatic', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], type: 'scale' },
-  wholeTone: { name: 'Whole tone', intervals: [0, 2, 4, 6, 8, 10], type: 'scale' }
-};
+ * Pitch Class Set definitions, by catalogue id
+ * Each set is an array of intervals from the root (see core/catalogue.js)
+ */
+export const PITCH_CLASS_SETS = {};
+watchCatalogue(entry => {
+  PITCH_CLASS_SETS[entry.id] = { name: entry.name, intervals: entry.intervals, type: entry.type };
+});
 
 /**
  * Get pitch classes for a given key and set type
  * @param {string} key - Root note (e.g., 'C', 'F#', 'Bb')
- * @param {string} setType - Type from PITCH_CLASS_SETS keys
+ * @param {string} setType - Catalogue id or alias (e.g., 'maj', 'majtriad')
  * @returns {Set<number>} Set of pitch classes (0-11)
  */
 export function getPitchClasses(key, setType) {
@@ -81,7 +49,7 @@ export function getPitchClasses(key, setType) {
     throw new Error(`Invalid key: ${key}`);
   }
 
-  const pcsData = PITCH_CLASS_SETS[setType];
+  const pcsData = getCatalogueEntry(setType);
   if (!pcsData) {
     throw new Error(`Invalid set type: ${setType}`);
   }
@@ -114,13 +82,22 @@ export function parseCustomPitchClasses(pcString) {
 /**
  * Convert MIDI note number to note name
  * @param {number} midiNote - MIDI note number (0-127)
- * @param {boolean} useFlats - Use flats instead of sharps
- * @returns {string} Note name with octave (e.g., 'C4', 'F#5')
+ * @param {boolean|Array<string>} spelling - true for flats, false for sharps,
+ *   or 12 note names indexed by pitch class (see getKeySpelling in spelling.js)
+ * @returns {string} Note name with octave (e.g., 'C4', 'F#5', 'B#3')
  */
-export function midiToNoteName(midiNote, useFlats = false) {
+export function midiToNoteName(midiNote, spelling = false) {
   const pc = ((midiNote % 12) + 12) % 12;
-  const octave = Math.floor(midiNote / 12) - 1;
-  const noteName = useFlats ? PC_TO_NOTE_FLAT[pc] : PC_TO_NOTE_SHARP[pc];
+  let octave = Math.floor(midiNote / 12) - 1;
+  let noteName;
+  if (Array.isArray(spelling)) {
+    noteName = spelling[pc];
+    // B# and Cb belong to the octave of their letter, not their pitch
+    if (noteName[0] === 'B' && pc < 2) octave -= 1;
+    if (noteName[0] === 'C' && pc > 9) octave += 1;
+  } else {
+    noteName = spelling ? PC_TO_NOTE_FLAT[pc] : PC_TO_NOTE_SHARP[pc];
+  }
   return `${noteName}${octave}`;
 }
 
@@ -202,3 +179,247 @@ export function transposePcs(pcs, semitones) {
   }
   return transposed;
 }
+
+/**
+ * Normalise a pitch class collection to a sorted array of unique PCs (0-11)
+ * @private
+ */
+function toSortedPcs(pcs) {
+  const unique = new Set();
+  for (const pc of pcs) {
+    unique.add(((pc % 12) + 12) % 12);
+  }
+  return Array.from(unique).sort((a, b) => a - b);
+}
+
+/**
+ * Compare two ordered sets by Rahn's packing rule: smaller span first, then
+ * smaller intervals from the first element to each element, right to left
+ * @private
+ */
+function compareRahn(a, b) {
+  for (let i = a.length - 1; i > 0; i--) {
+    const da = (a[i] - a[0] + 12) % 12;
+    const db = (b[i] - b[0] + 12) % 12;
+    if (da !== db) return da - db;
+  }
+  return 0;
+}
+
+/**
+ * Get the normal form of a pitch class set (most compact rotation, Rahn)
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @returns {Array<number>} Ordered pitch classes (e.g., [11, 2, 5] for {2, 5, 11})
+ */
+export function normalForm(pcs) {
+  const sorted = toSortedPcs(pcs);
+  if (sorted.length === 0) return [];
+
+  let best = sorted;
+  for (let i = 1; i < sorted.length; i++) {
+    const rotation = [...sorted.slice(i), ...sorted.slice(0, i)];
+    const cmp = compareRahn(rotation, best);
+    // On a tie (symmetrical sets) keep the rotation starting on the lowest PC
+    if (cmp < 0 || (cmp === 0 && rotation[0] < best[0])) {
+      best = rotation;
+    }
+  }
+  return best;
+}
+
+/**
+ * Get the prime form of a pitch class set (Rahn)
+ * The more compact of the normal forms of the set and its inversion,
+ * transposed to start on 0.
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @returns {Array<number>} Prime form (e.g., [0, 3, 7] for any major or minor triad)
+ */
+export function primeForm(pcs) {
+  const zeroBased = (form) => form.map(pc => (pc - form[0] + 12) % 12);
+  const original = zeroBased(normalForm(pcs));
+  const inverted = zeroBased(normalForm(toSortedPcs(pcs).map(pc => (12 - pc) % 12)));
+  return compareRahn(inverted, original) < 0 ? inverted : original;
+}
+
+/**
+ * Get the interval-class vector of a pitch class set
+ * Counts of interval classes 1-6 between every pair of PCs.
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @returns {Array<number>} Six counts (e.g., [0, 0, 1, 1, 1, 0] for a triad)
+ */
+export function intervalVector(pcs) {
+  const sorted = toSortedPcs(pcs);
+  const vector = [0, 0, 0, 0, 0, 0];
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      const interval = sorted[j] - sorted[i];
+      vector[Math.min(interval, 12 - interval) - 1]++;
+    }
+  }
+  return vector;
+}
+
+/**
+ * Invert a pitch class set (TnI: pc -> n - pc)
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @param {number} axis - Index number n (default 0)
+ * @returns {Set<number>} Inverted pitch class set
+ */
+export function invertPcs(pcs, axis = 0) {
+  const inverted = new Set();
+  for (const pc of pcs) {
+    inverted.add((((axis - pc) % 12) + 12) % 12);
+  }
+  return inverted;
+}
+
+/**
+ * Get the complement of a pitch class set (the PCs it does not contain)
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @returns {Set<number>} Complement
+ */
+export function complementPcs(pcs) {
+  const present = new Set(toSortedPcs(pcs));
+  const complement = new Set();
+  for (let pc = 0; pc < 12; pc++) {
+    if (!present.has(pc)) complement.add(pc);
+  }
+  return complement;
+}
+
+/**
+ * Check whether every PC of one set is in another (literal inclusion)
+ * @param {Set<number>|Array<number>} subset - Candidate subset
+ * @param {Set<number>|Array<number>} superset - Candidate superset
+ * @returns {boolean} True if subset ⊆ superset
+ */
+export function isSubsetPcs(subset, superset) {
+  const sup = pcsToBinary(toSortedPcs(superset));
+  const sub = pcsToBinary(toSortedPcs(subset));
+  return (sub & sup) === sub;
+}
+
+/**
+ * Check whether one set contains every PC of another (literal inclusion)
+ * @param {Set<number>|Array<number>} superset - Candidate superset
+ * @param {Set<number>|Array<number>} subset - Candidate subset
+ * @returns {boolean} True if superset ⊇ subset
+ */
+export function isSupersetPcs(superset, subset) {
+  return isSubsetPcs(subset, superset);
+}
+
+/**
+ * Check whether some transposition or inversion of a set is contained in another
+ * (set-class inclusion, e.g., 3-11 is an abstract subset of the major scale)
+ * @param {Set<number>|Array<number>} subset - Candidate subset
+ * @param {Set<number>|Array<number>} superset - Candidate superset
+ * @returns {boolean} True if some TnI form of subset ⊆ superset
+ */
+export function isAbstractSubsetPcs(subset, superset) {
+  const sup = pcsToBinary(toSortedPcs(superset));
+  const sorted = toSortedPcs(subset);
+  for (let n = 0; n < 12; n++) {
+    const forms = [transposePcs(sorted, n), invertPcs(sorted, n)];
+    if (forms.some(form => (pcsToBinary(form) & sup) === pcsToBinary(form))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Forte catalogue: set-class name -> prime form (Rahn), cardinalities 3-6
+ * Digits are pitch classes; T = 10. Cardinalities 7-9 are the complements
+ * of 5-3 with the same ordinal (7-n is the complement of 5-n).
+ */
+const FORTE_PRIME_FORMS = {
+  '3-1': '012', '3-2': '013', '3-3': '014', '3-4': '015', '3-5': '016', '3-6': '024',
+  '3-7': '025', '3-8': '026', '3-9': '027', '3-10': '036', '3-11': '037', '3-12': '048',
+
+  '4-1': '0123', '4-2': '0124', '4-3': '0134', '4-4': '0125', '4-5': '0126', '4-6': '0127',
+  '4-7': '0145', '4-8': '0156', '4-9': '0167', '4-10': '0235', '4-11': '0135', '4-12': '0236',
+  '4-13': '0136', '4-14': '0237', '4-Z15': '0146', '4-16': '0157', '4-17': '0347', '4-18': '0147',
+  '4-19': '0148', '4-20': '0158', '4-21': '0246', '4-22': '0247', '4-23': '0257', '4-24': '0248',
+  '4-25': '0268', '4-26': '0358', '4-27': '0258', '4-28': '0369', '4-Z29': '0137',
+
+  '5-1': '01234', '5-2': '01235', '5-3': '01245', '5-4': '01236', '5-5': '01237', '5-6': '01256',
+  '5-7': '01267', '5-8': '02346', '5-9': '01246', '5-10': '01346', '5-11': '02347', '5-Z12': '01356',
+  '5-13': '01248', '5-14': '01257', '5-15': '01268', '5-16': '01347', '5-Z17': '01348', '5-Z18': '01457',
+  '5-19': '01367', '5-20': '01568', '5-21': '01458', '5-22': '01478', '5-23': '02357', '5-24': '01357',
+  '5-25': '02358', '5-26': '02458', '5-27': '01358', '5-28': '02368', '5-29': '01368', '5-30': '01468',
+  '5-31': '01369', '5-32': '01469', '5-33': '02468', '5-34': '02469', '5-35': '02479', '5-Z36': '01247',
+  '5-Z37': '03458', '5-Z38': '01258',
+
+  '6-1': '012345', '6-2': '012346', '6-Z3': '012356', '6-Z4': '012456', '6-5': '012367',
+  '6-Z6': '012567', '6-7': '012678', '6-8': '023457', '6-9': '012357', '6-Z10': '013457',
+  '6-Z11': '012457', '6-Z12': '012467', '6-Z13': '013467', '6-14': '013458', '6-15': '012458',
+  '6-16': '014568', '6-Z17': '012478', '6-18': '012578', '6-Z19': '013478', '6-20': '014589',
+  '6-21': '023468', '6-22': '012468', '6-Z23': '023568', '6-Z24': '013468', '6-Z25': '013568',
+  '6-Z26': '013578', '6-27': '013469', '6-Z28': '013569', '6-Z29': '023679', '6-30': '013679',
+  '6-31': '014579', '6-32': '024579', '6-33': '023579', '6-34': '013579', '6-35': '02468T',
+  '6-Z36': '012347', '6-Z37': '012348', '6-Z38': '012378', '6-Z39': '023458', '6-Z40': '012358',
+  '6-Z41': '012368', '6-Z42': '012369', '6-Z43': '012568', '6-Z44': '012569', '6-Z45': '023469',
+  '6-Z46': '012469', '6-Z47': '012479', '6-Z48': '012579', '6-Z49': '013479', '6-Z50': '014679'
+};
+
+/**
+ * Forte names keyed by prime-form string, built once from FORTE_PRIME_FORMS
+ * plus the trivial cardinalities (0-2, 10-12) and the complements (7-9)
+ */
+export const FORTE_CATALOGUE = (() => {
+  const catalogue = {};
+  const add = (name, pcs) => {
+    catalogue[primeForm(pcs).join(',')] = name;
+  };
+
+  add('0-1', []);
+  add('1-1', [0]);
+  for (let ic = 1; ic <= 6; ic++) {
+    add(`2-${ic}`, [0, ic]);
+    add(`10-${ic}`, complementPcs([0, ic]));
+  }
+  add('11-1', complementPcs([0]));
+  add('12-1', complementPcs([]));
+
+  for (const [name, digits] of Object.entries(FORTE_PRIME_FORMS)) {
+    const pcs = digits.split('').map(d => (d === 'T' ? 10 : d === 'E' ? 11 : Number(d)));
+    add(name, pcs);
+    // Complements keep the ordinal (and Z) of the set they complement
+    const [card, ordinal] = name.split('-');
+    if (Number(card) < 6) {
+      add(`${12 - Number(card)}-${ordinal}`, complementPcs(pcs));
+    }
+  }
+
+  return catalogue;
+})();
+
+/**
+ * Get the Forte set-class name of a pitch class set
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @returns {string|null} Forte name (e.g., '3-11', '4-Z15', '7-35'), or null if unknown
+ */
+export function forteNumber(pcs) {
+  return FORTE_CATALOGUE[primeForm(pcs).join(',')] || null;
+}
+
+/**
+ * Summarise a pitch class set for display
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @returns {object} Normal form, prime form, Forte name, interval vector, inversion and complement
+ */
+export function analyzePcs(pcs) {
+  const complement = complementPcs(pcs);
+  return {
+    pcs: toSortedPcs(pcs),
+    cardinality: toSortedPcs(pcs).length,
+    normalForm: normalForm(pcs),
+    primeForm: primeForm(pcs),
+    forte: forteNumber(pcs),
+    intervalVector: intervalVector(pcs),
+    inversion: toSortedPcs(invertPcs(pcs)),
+    complement: toSortedPcs(complement),
+    complementForte: forteNumber(complement)
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Neo-Riemannian Transformations Module
+ * P (parallel), L (leading-tone exchange) and R (relative) turn a major or
+ * minor triad into another by moving a single voice a semitone or a whole
+ * tone. The Exquis thirds layout is a Tonnetz (NW = minor third, NE = major
+ * third, see INTERVAL_VECTORS), so each step moves one pad of the triad's
+ * shape.
+ *
+ * Triads are {root, quality} with quality 'major' or 'minor' (catalogue ids).
+ * Compound letters expand to their P/L/R chains: N (nebenverwandt) = RLP,
+ * S (slide) = LPR, H (hexatonic pole) = LPL.
+ */
+
+import { defaultGrid, getGridDistance } from './grid.js';
+import { PC_TO_NOTE_SHARP } from './music.js';
+
+/**
+ * Transformation display names
+ */
+export const TRANSFORM_NAMES = {
+  P: 'Parallel',
+  L: 'Leading-tone exchange',
+  R: 'Relative',
+  N: 'Nebenverwandt (RLP)',
+  S: 'Slide (LPR)',
+  H: 'Hexatonic pole (LPL)'
+};
+
+const COMPOUNDS = { N: 'RLP', S: 'LPR', H: 'LPL' };
+
+// Root movement of each transformation, by quality of the starting triad
+const ROOT_MOVES = {
+  P: { major: 0, minor: 0 },
+  L: { major: 4, minor: 8 },
+  R: { major: 9, minor: 3 }
+};
+
+/**
+ * Pitch classes of a major or minor triad
+ * @param {{root: number, quality: string}} triad - Triad
+ * @returns {Array<number>} Root, third and fifth
+ */
+export function getTriadPitchClasses({ root, quality }) {
+  return [root, (root + (quality === 'major' ? 4 : 3)) % 12, (root + 7) % 12];
+}
+
+/**
+ * Apply one P, L or R transformation
+ * @param {{root: number, quality: string}} triad - Major or minor triad
+ * @param {string} op - 'P', 'L' or 'R'
+ * @returns {{triad: {root: number, quality: string}, from: number, to: number,
+ *   semitones: number}} New triad, and the voice that moves (pitch classes)
+ *   with its signed motion
+ * @throws {Error} If the triad is not major or minor, or op is not P, L or R
+ */
+export function applyTransform(triad, op) {
+  if (triad.quality !== 'major' && triad.quality !== 'minor') {
+    throw new Error(`Neo-Riemannian transformations need a major or minor triad, not ${triad.quality}`);
+  }
+  if (!ROOT_MOVES[op]) {
+    throw new Error(`Unknown transformation: ${op}`);
+  }
+
+  const next = {
+    root: (triad.root + ROOT_MOVES[op][triad.quality]) % 12,
+    quality: triad.quality === 'major' ? 'minor' : 'major'
+  };
+  const before = getTriadPitchClasses(triad);
+  const after = getTriadPitchClasses(next);
+  const from = before.find(pc => !after.includes(pc));
+  const to = after.find(pc => !before.includes(pc));
+  return { triad: next, from, to, semitones: ((to - from + 18) % 12) - 6 };
+}
+
+/**
+ * Read a chain of transformations such as "PLR", "P L R" or "NS"
+ * @param {string} text - Transformation letters (compounds N, S, H allowed)
+ * @returns {Array<string>} P/L/R steps in order
+ * @throws {Error} If the chain is empty or has an unknown letter
+ */
+export function parseTransformChain(text) {
+  const letters = String(text || '').toUpperCase().replace(/[\s,\-–>→]/g, '');
+  if (!letters) {
+    throw new Error('Enter a chain of P, L and R (e.g. PLR)');
+  }
+
+  return [...letters].flatMap(letter => {
+    if (COMPOUNDS[letter]) return [...COMPOUNDS[letter]];
+    if (ROOT_MOVES[letter]) return [letter];
+    throw new Error(`Unknown transformation "${letter}" (use P, L, R, N, S or H)`);
+  });
+}
+
+/**
+ * Repeat a chain until it returns to the starting triad
+ * @param {{root: number, quality: string}} triad - Starting triad
+ * @param {Array<string>} chain - P/L/R steps (see parseTransformChain)
+ * @returns {Array<string>} Steps of the whole cycle (e.g. PL from C: 6 steps)
+ */
+export function getTransformCycle(triad, chain) {
+  const steps = [];
+  let current = triad;
+  // 24 triads, so a cycle closes within 24 repetitions
+  for (let i = 0; i < 24; i++) {
+    for (const op of chain) {
+      current = applyTransform(current, op).triad;
+      steps.push(op);
+    }
+    if (current.root === triad.root && current.quality === triad.quality) break;
+  }
+  return steps;
+}
+
+/**
+ * Pads sounding a note, trying the nearest other octaves if the note is off the grid
+ * @returns {{pads: Array<{row: number, col: number}>, midiNote: number}}
+ * @throws {Error} If no octave of the note is on the grid
+ */
+function findNoteOnGrid(note, grid, baseMidi) {
+  for (let octaves = 0; octaves <= 10; octaves++) {
+    for (const shift of octaves === 0 ? [0] : [-12 * octaves, 12 * octaves]) {
+      const midiNote = note + shift;
+      if (midiNote < 0 || midiNote > 127) continue;
+      const pads = grid.getPadsForMidi(midiNote, baseMidi);
+      if (pads.length > 0) return { pads, midiNote };
+    }
+  }
+  throw new Error(`No pad sounds ${PC_TO_NOTE_SHARP[((note % 12) + 12) % 12]} in any octave on the ${grid.mode} layout`);
+}
+
+/**
+ * Pad sounding a note that is nearest a pad, trying other octaves if the
+ * note is off the grid
+ * @throws {Error} If no octave of the note is on the grid
+ */
+function nearestPadForNote(note, near, grid, baseMidi) {
+  const { pads, midiNote } = findNoteOnGrid(note, grid, baseMidi);
+  const pad = pads.reduce((best, p) =>
+    (getGridDistance(near.row, near.col, p.row, p.col) < getGridDistance(near.row, near.col, best.row, best.col) ? p : best)
+  );
+  return { row: pad.row, col: pad.col, midiNote };
+}
+
+/**
+ * Close root-position voicing of a triad on the grid, an octave above the
+ * base note, or in the nearest octave the grid has
+ * @param {{root: number, quality: string}} triad - Triad
+ * @param {Object} options
+ * @param {Grid} options.grid - Grid for pitch math (default: Exquis thirds layout)
+ * @param {number} options.baseMidi - Base MIDI note (default 48)
+ * @returns {Array<{row: number, col: number, midiNote: number}>} Pads, root first
+ * @throws {Error} If a triad note is not on the grid in any octave
+ */
+export function voiceTriadOnGrid(triad, { grid = defaultGrid, baseMidi = 48 } = {}) {
+  const root = findNoteOnGrid(baseMidi + 12 + ((triad.root - baseMidi) % 12 + 12) % 12, grid, baseMidi);
+  const [first] = root.pads;
+  const pads = [{ row: first.row, col: first.col, midiNote: root.midiNote }];
+  const [, third, fifth] = getTriadPitchClasses(triad).map(pc => root.midiNote + ((pc - triad.root + 12) % 12));
+  for (const note of [third, fifth]) {
+    pads.push(nearestPadForNote(note, pads[pads.length - 1], grid, baseMidi));
+  }
+  return pads;
+}
+
+/**
+ * Walk a chain of transformations from a voiced triad
+ * Each step moves the one changing voice to the nearest pad sounding its new
+ * note; the other voices keep their pads.
+ * @param {{root: number, quality: string}} triad - Starting triad
+ * @param {Array<{row: number, col: number, midiNote: number}>} pads - Its voicing
+ * @param {Array<string>} chain - P/L/R steps
+ * @param {Object} options
+ * @param {Grid} options.grid - Grid for pitch math (default: Exquis thirds layout)
+ * @param {number} options.baseMidi - Base MIDI note (default 48)
+ * @returns {Array<{op: string, triad: {root: number, quality: string},
+ *   pads: Array<object>, moves: Array<{fromIndex: number, toIndex: number,
+ *   semitones: number}>}>} One entry per step; moves index the previous and
+ *   new pads (see getVoiceLeadingPadMoves)
+ * @throws {Error} If a new note is not on the grid in any octave
+ */
+export function buildTransformPath(triad, pads, chain, { grid = defaultGrid, baseMidi = 48 } = {}) {
+  const path = [];
+  let current = { triad, pads };
+  for (const op of chain) {
+    const { triad: next, from, semitones } = applyTransform(current.triad, op);
+    const moves = [];
+    const nextPads = current.pads.map((pad, i) => {
+      const moving = pad.midiNote % 12 === from;
+      const moved = moving ? nearestPadForNote(pad.midiNote + semitones, pad, grid, baseMidi) : pad;
+      moves.push({ fromIndex: i, toIndex: i, semitones: moved.midiNote - pad.midiNote });
+      return moved;
+    });
+    current = { triad: next, pads: nextPads };
+    path.push({ op, triad: next, pads: nextPads, moves });
+  }
+  return path;
+}
@@ -0,0 +1,200 @@
+/**
+ * Pitch Class Set Recognizer Module
+ * Names arbitrary pitch class sets as chords and scales
+ *
+ * Every catalogue entry is tried on every pitch class of the input as a root,
+ * so modes and chord inversions come out as separate readings. Chords with
+ * one extra note are also read as slash chords over that note (C7 → Edim/C).
+ */
+
+import { PC_TO_NOTE_SHARP, PC_TO_NOTE_FLAT, pcsToBinary, forteNumber } from './music.js';
+import { watchCatalogue } from './catalogue.js';
+import { spellRoot } from './spelling.js';
+
+// How common a reading is; ties between rotations of one set go to the
+// more familiar name (Am7 before C6, C major before D Dorian)
+const WEIGHTS = {
+  major: 1, minor: 1, dim: 0.9, aug: 0.9, sus2: 0.8, sus4: 0.85,
+  maj7: 0.95, min7: 0.95, dom7: 0.97, dim7: 0.9, hdim7: 0.9,
+  minmaj7: 0.8, aug7: 0.8, '6': 0.85, min6: 0.85,
+  maj9: 0.85, min9: 0.85, dom9: 0.85,
+  maj: 1, natmin: 0.98, harmin: 0.9, melmin: 0.9,
+  majpent: 0.95, minpent: 0.94
+};
+const DEFAULT_WEIGHT = { chord: 0.75, scale: 0.8 };
+
+/**
+ * The catalogue reduced to pitch classes, keyed by binary interval content
+ * from the root; one entry per type and content (the first entry wins)
+ */
+const BY_BINARY = new Map();
+watchCatalogue(({ id, name, intervals, type, symbol }) => {
+  const pcs = [...new Set(intervals.map(i => i % 12))];
+  const binary = pcsToBinary(pcs);
+  if (!BY_BINARY.has(binary)) BY_BINARY.set(binary, []);
+  const entries = BY_BINARY.get(binary);
+  if (entries.some(entry => entry.type === type)) return;
+
+  entries.push({ id, label: name, pcs, binary, type, symbol, weight: WEIGHTS[id] ?? DEFAULT_WEIGHT[type] });
+});
+
+/**
+ * Build a display name for a catalogue entry on a root
+ * Chords use lead-sheet symbols ("Ebm7"), scales and chords without a
+ * symbol use words ("D Dorian")
+ */
+function formatName(entry, rootName) {
+  return entry.type === 'chord' && entry.symbol !== null
+    ? `${rootName}${entry.symbol}`
+    : `${rootName} ${entry.label}`;
+}
+
+/**
+ * Find every catalogue entry that matches a set exactly on some root
+ * @param {Array<number>} pcs - Sorted, unique pitch classes
+ * @returns {Array<{entry: object, root: number}>}
+ */
+function exactMatches(pcs) {
+  const matches = [];
+  for (const root of pcs) {
+    const binary = pcsToBinary(pcs.map(pc => (pc - root + 12) % 12));
+    for (const entry of BY_BINARY.get(binary) || []) {
+      matches.push({ entry, root });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Name a pitch class set
+ *
+ * Readings are scored by how common the chord or scale is. When the bass is
+ * known (e.g. the lowest held MIDI note), root-position readings win and the
+ * rest are written as inversions over the bass (C/E). Slash chords over a
+ * non-chord bass and the Forte set class come last.
+ *
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @param {object} options - Options
+ * @param {number|null} options.bass - Bass pitch class, if known
+ * @param {Array<string>|null} options.spelling - Note names by pitch class for the
+ *   current key (see getKeySpelling); lead-sheet spellings when omitted
+ * @param {number} options.limit - Maximum number of results (default: 8)
+ * @returns {Array<object>} Ranked readings: {name, enharmonic, root, rootName,
+ *   bass, id, label, type, slash, score}
+ */
+export function recognizePcs(pcs, { bass = null, spelling = null, limit = 8 } = {}) {
+  const sorted = [...new Set([...pcs].map(pc => ((pc % 12) + 12) % 12))].sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  const bassPc = bass === null || bass === undefined ? null : ((bass % 12) + 12) % 12;
+
+  const nameNote = (pc) => {
+    if (!spelling) return spellRoot(pc);
+    const name = spelling[pc];
+    const alt = [PC_TO_NOTE_SHARP[pc], PC_TO_NOTE_FLAT[pc]].find(n => n !== name) || null;
+    return { name, alt };
+  };
+
+  const results = new Map();
+  const addResult = (entry, root, slashBass, score) => {
+    const rootSpelling = nameNote(root);
+    const bassSpelling = slashBass === null ? null : nameNote(slashBass);
+    const name = formatName(entry, rootSpelling.name) +
+      (bassSpelling ? `/${bassSpelling.name}` : '');
+    const enharmonic = rootSpelling.alt || bassSpelling?.alt
+      ? formatName(entry, rootSpelling.alt || rootSpelling.name) +
+        (bassSpelling ? `/${bassSpelling.alt || bassSpelling.name}` : '')
+      : null;
+
+    const existing = results.get(name);
+    if (existing && existing.score >= score) return;
+    results.set(name, {
+      name,
+      enharmonic,
+      root,
+      rootName: rootSpelling.name,
+      bass: slashBass === null ? root : slashBass,
+      id: entry.id,
+      label: entry.label,
+      type: entry.type,
+      slash: slashBass !== null,
+      score
+    });
+  };
+
+  // Exact readings: every rotation that lands on a catalogue entry
+  for (const { entry, root } of exactMatches(sorted)) {
+    let score = entry.weight * 100;
+    let slashBass = null;
+    if (bassPc !== null && entry.type === 'chord') {
+      if (bassPc === root) {
+        score += 15;
+      } else {
+        slashBass = bassPc;
+        score -= 5;
+      }
+    }
+    addResult(entry, root, slashBass, score);
+  }
+
+  // Slash readings: a chord on all but one note, over that note
+  if (sorted.length >= 4) {
+    const candidates = bassPc !== null && sorted.includes(bassPc) ? [bassPc] : sorted;
+    for (const extra of candidates) {
+      const rest = sorted.filter(pc => pc !== extra);
+      for (const { entry, root } of exactMatches(rest)) {
+        if (entry.type !== 'chord') continue;
+        const score = entry.weight * 100 - 25 + (bassPc === extra ? 10 : 0);
+        addResult(entry, root, extra, score);
+      }
+    }
+  }
+
+  const ranked = [...results.values()].sort((a, b) => b.score - a.score);
+
+  // Nothing in the catalogue: fall back to the set class
+  if (ranked.length === 0) {
+    const forte = forteNumber(sorted);
+    if (forte) {
+      ranked.push({
+        name: `Set class ${forte}`,
+        enharmonic: null,
+        root: null,
+        rootName: null,
+        bass: bassPc,
+        id: forte,
+        label: `Forte ${forte}`,
+        type: 'set-class',
+        slash: false,
+        score: 0
+      });
+    }
+  }
+
+  return ranked.slice(0, limit);
+}
+
+/**
+ * Name the notes being played, using the lowest note as the bass
+ * @param {Array<number>} midiNotes - MIDI note numbers
+ * @param {object} options - Options passed to recognizePcs
+ * @returns {Array<object>} Ranked readings
+ */
+export function recognizeMidiNotes(midiNotes, options = {}) {
+  if (midiNotes.length === 0) return [];
+  const bass = Math.min(...midiNotes) % 12;
+  return recognizePcs(midiNotes.map(n => n % 12), { bass, ...options });
+}
+
+/**
+ * Format the best readings as one line, e.g. "C7, or Edim/C"
+ * @param {Array<object>} results - Output of recognizePcs
+ * @param {number} count - Number of readings to show (default: 3)
+ * @returns {string} Display text ('' when nothing was recognized)
+ */
+export function describeRecognition(results, count = 3) {
+  const names = results.slice(0, count).map(r =>
+    r.enharmonic ? `${r.name} (${r.enharmonic})` : r.name
+  );
+  if (names.length <= 1) return names[0] || '';
+  return `${names.slice(0, -1).join(', ')}, or ${names[names.length - 1]}`;
+}
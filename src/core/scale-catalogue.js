@@ -0,0 +1,243 @@
+/**
+ * Scale Catalogue Module
+ * Every pitch class set that contains the root, indexed by Ian Ring scale number
+ *
+ * The scale number is the 12-bit value from pcsToBinary (bit 0 = root), so
+ * the catalogue holds the 2048 odd numbers from 1 to 4095. Known names come
+ * from mode families (each rotation of a parent scale gets its own name), a
+ * list of single scales and the chord and scale catalogue.
+ */
+
+import { pcsToBinary, binaryToPcs, forteNumber } from './music.js';
+import { watchCatalogue } from './catalogue.js';
+
+/**
+ * Parent scales whose rotations have their own names, in mode order
+ */
+const MODE_FAMILIES = [
+  {
+    intervals: [0, 2, 4, 5, 7, 9, 11],
+    names: ['Major (Ionian)', 'Dorian', 'Phrygian', 'Lydian', 'Mixolydian', 'Natural minor (Aeolian)', 'Locrian']
+  },
+  {
+    intervals: [0, 2, 3, 5, 7, 8, 11],
+    names: ['Harmonic minor', 'Locrian nat6', 'Ionian #5', 'Dorian #4', 'Phrygian dominant', 'Lydian #2', 'Altered bb7']
+  },
+  {
+    intervals: [0, 2, 3, 5, 7, 9, 11],
+    names: ['Melodic minor', 'Dorian b2', 'Lydian augmented', 'Lydian dominant', 'Mixolydian b6', 'Locrian nat2', 'Altered']
+  },
+  {
+    intervals: [0, 2, 4, 5, 7, 8, 11],
+    names: ['Harmonic major', 'Dorian b5', 'Phrygian b4', 'Lydian b3', 'Mixolydian b2', 'Lydian augmented #2', 'Locrian bb7']
+  },
+  {
+    intervals: [0, 1, 4, 5, 7, 8, 11],
+    names: ['Double harmonic major', 'Lydian #2 #6', 'Ultraphrygian', 'Hungarian minor', 'Oriental', 'Ionian augmented #2', 'Locrian bb3 bb7']
+  },
+  {
+    intervals: [0, 2, 4, 7, 9],
+    names: ['Major pentatonic', 'Suspended pentatonic', 'Man gong', 'Ritsusen', 'Minor pentatonic']
+  }
+];
+
+/**
+ * Named scales outside the mode families
+ */
+const NAMED_SCALES = [
+  { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] },
+  { name: 'Major blues', intervals: [0, 2, 3, 4, 7, 9] },
+  { name: 'Bebop dominant', intervals: [0, 2, 4, 5, 7, 9, 10, 11] },
+  { name: 'Bebop major', intervals: [0, 2, 4, 5, 7, 8, 9, 11] },
+  { name: 'Bebop dorian', intervals: [0, 2, 3, 4, 5, 7, 9, 10] },
+  { name: 'Bebop melodic minor', intervals: [0, 2, 3, 5, 7, 8, 9, 11] },
+  { name: 'Neapolitan major', intervals: [0, 1, 3, 5, 7, 9, 11] },
+  { name: 'Neapolitan minor', intervals: [0, 1, 3, 5, 7, 8, 11] },
+  { name: 'Enigmatic', intervals: [0, 1, 4, 6, 8, 10, 11] },
+  { name: 'Persian', intervals: [0, 1, 4, 5, 6, 8, 11] },
+  { name: 'Prometheus', intervals: [0, 2, 4, 6, 9, 10] },
+  { name: 'Hirajoshi', intervals: [0, 2, 3, 7, 8] },
+  { name: 'In-sen', intervals: [0, 1, 5, 7, 10] },
+  { name: 'Iwato', intervals: [0, 1, 5, 6, 10] },
+  { name: 'Kumoi', intervals: [0, 2, 3, 7, 9] },
+  { name: 'Augmented', intervals: [0, 3, 4, 7, 8, 11] },
+  { name: 'Augmented inverse', intervals: [0, 1, 4, 5, 8, 9] },
+  { name: 'Octatonic (half-whole)', intervals: [0, 1, 3, 4, 6, 7, 9, 10] },
+  { name: 'Octatonic (whole-half)', intervals: [0, 2, 3, 5, 6, 8, 9, 11] },
+
+  // Messiaen's modes of limited transposition, in his own rotation
+  { name: 'Messiaen mode 1 (whole tone)', intervals: [0, 2, 4, 6, 8, 10] },
+  { name: 'Messiaen mode 2', intervals: [0, 1, 3, 4, 6, 7, 9, 10] },
+  { name: 'Messiaen mode 3', intervals: [0, 2, 3, 4, 6, 7, 8, 10, 11] },
+  { name: 'Messiaen mode 4', intervals: [0, 1, 2, 5, 6, 7, 8, 11] },
+  { name: 'Messiaen mode 5', intervals: [0, 1, 5, 6, 7, 11] },
+  { name: 'Messiaen mode 6', intervals: [0, 2, 4, 5, 6, 8, 10, 11] },
+  { name: 'Messiaen mode 7', intervals: [0, 1, 2, 3, 5, 6, 7, 8, 9, 11] }
+];
+
+/**
+ * Rotate a scale so that one of its notes becomes the root
+ * @param {number} number - Scale number
+ * @param {number} pc - Pitch class in the scale to start on
+ * @returns {number} Scale number of the rotation
+ */
+function rotateScaleNumber(number, pc) {
+  return ((number >> pc) | (number << (12 - pc))) & 0xFFF;
+}
+
+/**
+ * Check that a value is a valid scale number (odd, 1-4095)
+ * @param {number} number - Scale number
+ * @throws {Error} If the number has no root bit or is out of range
+ */
+function assertScaleNumber(number) {
+  if (!Number.isInteger(number) || number < 1 || number > 4095 || (number & 1) === 0) {
+    throw new Error(`Invalid scale number: ${number} (must be odd, 1-4095)`);
+  }
+}
+
+/**
+ * Names by scale number, from the mode families and single scales; chord
+ * and scale catalogue names are added once SCALE_CATALOGUE exists
+ */
+const SCALE_NAMES = new Map();
+
+/**
+ * Record a name for the set of intervals
+ * @param {Array<number>} intervals - Semitones from the root
+ * @param {string} name - Name to add
+ */
+function addScaleName(intervals, name) {
+  const number = pcsToBinary(intervals.map(i => i % 12));
+  if (!SCALE_NAMES.has(number)) SCALE_NAMES.set(number, []);
+  if (!SCALE_NAMES.get(number).includes(name)) SCALE_NAMES.get(number).push(name);
+}
+
+for (const { intervals, names: modeNames } of MODE_FAMILIES) {
+  const parent = pcsToBinary(intervals);
+  intervals.forEach((interval, i) => {
+    const mode = rotateScaleNumber(parent, interval);
+    addScaleName([...binaryToPcs(mode)], modeNames[i]);
+  });
+}
+NAMED_SCALES.forEach(({ name, intervals }) => addScaleName(intervals, name));
+
+/**
+ * The full catalogue, one entry per odd scale number, in number order
+ * (entries share their names list with SCALE_NAMES, so imported names show up)
+ */
+export const SCALE_CATALOGUE = (() => {
+  const catalogue = [];
+  for (let number = 1; number < 4096; number += 2) {
+    const pcs = [...binaryToPcs(number)];
+    if (!SCALE_NAMES.has(number)) SCALE_NAMES.set(number, []);
+    catalogue.push(Object.freeze({
+      number,
+      pcs,
+      cardinality: pcs.length,
+      names: SCALE_NAMES.get(number),
+      forte: forteNumber(pcs)
+    }));
+  }
+  return Object.freeze(catalogue);
+})();
+
+watchCatalogue(({ name, intervals }) => addScaleName(intervals, name));
+
+/**
+ * Look up a scale by number
+ * @param {number} number - Scale number (odd, 1-4095)
+ * @returns {object} Catalogue entry: {number, pcs, cardinality, names, forte}
+ */
+export function getScale(number) {
+  assertScaleNumber(number);
+  return SCALE_CATALOGUE[(number - 1) / 2];
+}
+
+/**
+ * Display name of a scale: its first known name, or "Scale <number>"
+ * @param {number} number - Scale number
+ * @returns {string} Display name
+ */
+export function getScaleName(number) {
+  const { names } = getScale(number);
+  return names[0] || `Scale ${number}`;
+}
+
+/**
+ * Scale number of a pitch class set, read from a root
+ * @param {Set<number>|Array<number>} pcs - Pitch class set
+ * @param {number} root - Pitch class to treat as the root (must be in the set)
+ * @returns {number} Scale number
+ */
+export function getScaleNumber(pcs, root = 0) {
+  const relative = [...pcs].map(pc => (((pc - root) % 12) + 12) % 12);
+  const number = pcsToBinary(relative);
+  assertScaleNumber(number);
+  return number;
+}
+
+/**
+ * List catalogue entries, optionally filtered
+ * @param {object} options - Filters
+ * @param {number|null} options.cardinality - Only scales with this many notes
+ * @param {boolean} options.namedOnly - Only scales with a known name
+ * @returns {Array<object>} Matching entries in number order
+ */
+export function listScales({ cardinality = null, namedOnly = false } = {}) {
+  return SCALE_CATALOGUE.filter(entry =>
+    (cardinality === null || entry.cardinality === cardinality) &&
+    (!namedOnly || entry.names.length > 0)
+  );
+}
+
+/**
+ * Step to the next or previous scale in a filtered list
+ * @param {number} number - Current scale number
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {object} filters - Filters passed to listScales
+ * @returns {object|null} Adjacent entry (wraps around), or null if the list is empty
+ */
+export function stepScale(number, direction, filters = {}) {
+  const list = listScales(filters);
+  if (list.length === 0) return null;
+
+  if (direction > 0) {
+    return list.find(entry => entry.number > number) || list[0];
+  }
+  return [...list].reverse().find(entry => entry.number < number) || list[list.length - 1];
+}
+
+/**
+ * Scales that differ from a scale by one note (the root is never removed)
+ * @param {number} number - Scale number
+ * @returns {Array<{pc: number, change: string, scale: object}>} One neighbour per
+ *   non-root pitch class; change is 'add' or 'remove'
+ */
+export function getScaleNeighbours(number) {
+  assertScaleNumber(number);
+  const neighbours = [];
+  for (let pc = 1; pc < 12; pc++) {
+    const bit = 1 << pc;
+    neighbours.push({
+      pc,
+      change: number & bit ? 'remove' : 'add',
+      scale: getScale(number ^ bit)
+    });
+  }
+  return neighbours;
+}
+
+/**
+ * Modes of a scale: the rotation starting on each of its notes
+ * @param {number} number - Scale number
+ * @returns {Array<{degree: number, pc: number, scale: object}>} One entry per scale note
+ */
+export function getScaleModes(number) {
+  const { pcs } = getScale(number);
+  return pcs.map((pc, degree) => ({
+    degree: degree + 1,
+    pc,
+    scale: getScale(rotateScaleNumber(number, pc))
+  }));
+}
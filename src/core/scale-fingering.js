@@ -0,0 +1,144 @@
+/**
+ * Scale Fingering Module
+ * Complete fingerings for the catalogue's scales over one to three octaves,
+ * per hand and direction, found with ErgoAnalyzer.optimizeMelody
+ *
+ * On the Exquis a scale alternates between two "strands" of pads and its
+ * root lands on a different pad shape each octave, so every octave is
+ * searched over all the pads that sound each note rather than copied from
+ * the first one. Hand shifts and thumb-under / finger-over points come out
+ * as step positions and crossings of the resulting FingeringSequence.
+ */
+
+import { NOTE_TO_PC, PITCH_CLASS_SETS } from './music.js';
+import { FingeringSequence, ergoAnalyzer } from './fingering.js';
+import { defaultGrid } from './grid.js';
+
+export const SCALE_DIRECTIONS = {
+  up: 'ascending',
+  down: 'descending',
+  both: 'up and down'
+};
+
+/**
+ * Catalogue ids of every scale
+ * @returns {Array<string>} Ids in PITCH_CLASS_SETS of type 'scale', in catalogue order
+ */
+export function getScaleIds() {
+  return Object.keys(PITCH_CLASS_SETS).filter(id => PITCH_CLASS_SETS[id].type === 'scale');
+}
+
+/**
+ * MIDI notes of a scale run
+ * @param {number} tonicMidi - Lowest tonic
+ * @param {Array<number>} intervals - Scale intervals from the tonic
+ * @param {Object} options
+ * @param {number} options.octaves - Octaves to cover (default 1)
+ * @param {string} options.direction - 'up', 'down' or 'both' (default 'both')
+ * @returns {Array<number>} Notes from tonic to tonic, top tonic played once for 'both'
+ */
+export function getScaleNotes(tonicMidi, intervals, { octaves = 1, direction = 'both' } = {}) {
+  const steps = [...new Set(intervals.map(i => ((i % 12) + 12) % 12))].sort((a, b) => a - b);
+  const up = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    steps.forEach(step => up.push(tonicMidi + octave * 12 + step));
+  }
+  up.push(tonicMidi + octaves * 12);
+
+  if (direction === 'up') return up;
+  const down = [...up].reverse();
+  return direction === 'down' ? down : [...up, ...down.slice(1)];
+}
+
+/**
+ * Finger a run starting on the lowest octave of its tonic that fits on the grid
+ * Shared by scale and arpeggio fingerings.
+ * @param {number} tonicPc - Pitch class the run starts on
+ * @param {function(number): Array<number>} buildRun - Notes of the run from a starting MIDI note
+ * @param {Object} options
+ * @param {string} options.name - Sequence name
+ * @param {Object} options.metadata - Sequence metadata to set (e.g., key, setType)
+ * @param {string} options.hand - 'left' or 'right'
+ * @param {number} options.baseMidi - Base MIDI note
+ * @param {Grid} options.grid - Grid for pitch math
+ * @param {ErgoAnalyzer} options.analyzer - Analyzer whose hand size is used
+ * @returns {{sequence: FingeringSequence, cost: number, shifts: number,
+ *   crossings: Array<{index: number, type: string}>}|null} As for
+ *   generateScaleFingering; null if the run fits in no octave
+ */
+export function fingerRun(tonicPc, buildRun, { name, metadata, hand, baseMidi, grid, analyzer }) {
+  let notes = null;
+  for (let tonicMidi = tonicPc; tonicMidi <= 127 && !notes; tonicMidi += 12) {
+    const run = buildRun(tonicMidi);
+    if (run.every(note => note <= 127 && grid.getPadsForMidi(note, baseMidi).length > 0)) notes = run;
+  }
+  if (!notes) return null;
+
+  const { steps, cost } = analyzer.optimizeMelody(notes, { hand, baseMidi, grid });
+  const sequence = new FingeringSequence(name);
+  Object.assign(sequence.metadata, metadata, { layout: grid.mode, baseMidi });
+  steps.forEach(step => sequence.addStep(step));
+
+  return {
+    sequence,
+    cost,
+    shifts: sequence.lastPosition,
+    crossings: steps.flatMap(({ crossing }, index) => (crossing ? [{ index, type: crossing }] : []))
+  };
+}
+
+/**
+ * Generate a scale fingering
+ * The run starts on the lowest tonic from which every note is on the grid.
+ * @param {string} key - Tonic note name (e.g., 'C', 'Bb')
+ * @param {string} setType - Scale id in PITCH_CLASS_SETS
+ * @param {Object} options
+ * @param {string} options.hand - 'left' or 'right' (default 'right')
+ * @param {number} options.octaves - 1-3 (default 1)
+ * @param {string} options.direction - 'up', 'down' or 'both' (default 'both')
+ * @param {number} options.baseMidi - Base MIDI note (default 48)
+ * @param {Grid} options.grid - Grid for pitch math (default: Exquis intervals layout)
+ * @param {ErgoAnalyzer} options.analyzer - Analyzer whose hand size is used (default: ergoAnalyzer)
+ * @returns {{sequence: FingeringSequence, cost: number, shifts: number,
+ *   crossings: Array<{index: number, type: string}>}} Fingering as a sequence
+ *   named after the scale, with its total cost, hand shift count and the
+ *   steps reached by thumb-under / finger-over
+ * @throws {Error} If setType is not a scale, or the run does not fit on the grid
+ */
+export function generateScaleFingering(key, setType, {
+  hand = 'right',
+  octaves = 1,
+  direction = 'both',
+  baseMidi = 48,
+  grid = defaultGrid,
+  analyzer = ergoAnalyzer
+} = {}) {
+  const set = PITCH_CLASS_SETS[setType];
+  if (!set || set.type !== 'scale') {
+    throw new Error(`Not a scale: ${setType}`);
+  }
+  if (!Number.isInteger(octaves) || octaves < 1 || octaves > 3) {
+    throw new Error(`Octaves must be 1-3: ${octaves}`);
+  }
+  if (!SCALE_DIRECTIONS[direction]) {
+    throw new Error(`Unknown direction: ${direction}`);
+  }
+  const tonicPc = NOTE_TO_PC[key];
+  if (tonicPc === undefined) {
+    throw new Error(`Unknown key: ${key}`);
+  }
+
+  const name = `${key} ${set.name} ${hand === 'left' ? 'LH' : 'RH'} ${octaves} oct ${SCALE_DIRECTIONS[direction]}`;
+  const result = fingerRun(tonicPc, tonicMidi => getScaleNotes(tonicMidi, set.intervals, { octaves, direction }), {
+    name,
+    metadata: { key, setType },
+    hand,
+    baseMidi,
+    grid,
+    analyzer
+  });
+  if (!result) {
+    throw new Error(`${key} ${set.name} over ${octaves} octave(s) does not fit on the grid`);
+  }
+  return result;
+}
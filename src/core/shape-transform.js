@@ -0,0 +1,153 @@
+/**
+ * Shape Transform Module
+ * Translate, mirror and rotate fingering shapes on the hex grid
+ *
+ * Isomorphic layouts are transposition-invariant: the same shape sounds the
+ * same chord quality anywhere on the surface. These helpers move a shape
+ * (an array of positions with row/col) while keeping every other field
+ * (hand, finger, ...) attached to its pad.
+ *
+ * All transforms work in axial coordinates (see hex.js) so that moves are
+ * exact on the staggered rows. Pads that land outside the 61-pad surface
+ * are reported in `offGrid` instead of being silently dropped.
+ */
+
+import { isValidPad, defaultGrid } from './grid.js';
+import { offsetToAxial, axialToOffset, axialDistance } from './hex.js';
+
+/**
+ * Rebuild a position at a new (row, col), refreshing any pitch fields it carries
+ * @private
+ */
+function movePosition(position, row, col, grid, baseMidi) {
+  const moved = { ...position, row, col };
+  if (isValidPad(row, col)) {
+    if ('padIndex' in moved) moved.padIndex = grid.getPadIndex(row, col);
+    if ('midiNote' in moved) moved.midiNote = grid.getMidiNote(row, col, baseMidi);
+    if ('pc' in moved) moved.pc = ((grid.getMidiNote(row, col, baseMidi) % 12) + 12) % 12;
+  }
+  return moved;
+}
+
+/**
+ * Apply an axial mapping to every position and split on/off grid results
+ * @private
+ */
+function mapShape(positions, mapAxial, options = {}) {
+  const { grid = defaultGrid, baseMidi = 48, update = (p) => p } = options;
+  const result = { positions: [], offGrid: [] };
+
+  for (const position of positions) {
+    const { q, r } = mapAxial(offsetToAxial(position.row, position.col));
+    const { row, col } = axialToOffset(q, r);
+    const moved = update(movePosition(position, row, col, grid, baseMidi));
+    if (isValidPad(row, col)) {
+      result.positions.push(moved);
+    } else {
+      result.offGrid.push(moved);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Translate a shape by a grid vector
+ * @param {Array<{row: number, col: number}>} positions - Shape positions
+ * @param {{row: number, col: number}} vector - Offset from an even row (same convention as INTERVAL_VECTORS)
+ * @param {object} options - { grid, baseMidi } used to refresh padIndex/midiNote/pc fields
+ * @returns {{positions: Array<object>, offGrid: Array<object>}} Moved positions and those that fell off the surface
+ */
+export function translateShape(positions, vector, options = {}) {
+  const delta = offsetToAxial(vector.row, vector.col);
+  return mapShape(positions, ({ q, r }) => ({ q: q + delta.q, r: r + delta.r }), options);
+}
+
+/**
+ * Find the grid vector that transposes a shape by a number of semitones
+ * Among all vectors that sound the interval, prefers the one that keeps the
+ * most pads on the surface, then the shortest move.
+ * Assumes an isomorphic layout (pitch = q * step + r * ne).
+ * @param {Array<{row: number, col: number}>} positions - Shape positions
+ * @param {number} semitones - Transposition in semitones
+ * @param {Grid} grid - Grid whose layout defines the intervals (default: Exquis thirds layout)
+ * @returns {{row: number, col: number}|null} Offset from an even row, or null if no vector sounds the interval
+ */
+export function findTranslationVector(positions, semitones, grid = defaultGrid) {
+  const { step, ne } = grid.layout;
+  const axial = positions.map(p => offsetToAxial(p.row, p.col));
+  let best = null;
+
+  // The surface is 11 rows by ~11 axial columns, so larger moves always fall off
+  for (let dr = -10; dr <= 10; dr++) {
+    const rest = semitones - dr * ne;
+    if (rest % step !== 0) continue;
+    const dq = rest / step;
+
+    const offGrid = axial.filter(({ q, r }) => {
+      const { row, col } = axialToOffset(q + dq, r + dr);
+      return !isValidPad(row, col);
+    }).length;
+    const distance = axialDistance({ q: 0, r: 0 }, { q: dq, r: dr });
+
+    if (!best || offGrid < best.offGrid || (offGrid === best.offGrid && distance < best.distance)) {
+      best = { dq, dr, offGrid, distance };
+    }
+  }
+
+  return best ? axialToOffset(best.dq, best.dr) : null;
+}
+
+/**
+ * Transpose a shape by a number of semitones
+ * @param {Array<{row: number, col: number}>} positions - Shape positions
+ * @param {number} semitones - Transposition in semitones
+ * @param {object} options - { grid, baseMidi }
+ * @returns {{positions: Array<object>, offGrid: Array<object>, vector: object|null}} Moved positions, off-grid positions and the vector used
+ */
+export function transposeShape(positions, semitones, options = {}) {
+  const vector = findTranslationVector(positions, semitones, options.grid);
+  if (!vector) {
+    return { positions: [], offGrid: positions.map(p => ({ ...p })), vector: null };
+  }
+  return { ...translateShape(positions, vector, options), vector };
+}
+
+/**
+ * Mirror a shape left-to-right for the opposite hand
+ * Reflects around the vertical axis through the anchor pad and swaps
+ * 'left'/'right' on any hand field.
+ * @param {Array<{row: number, col: number}>} positions - Shape positions
+ * @param {object} options - { anchor, grid, baseMidi }; anchor defaults to the first position
+ * @returns {{positions: Array<object>, offGrid: Array<object>}} Mirrored positions and those that fell off the surface
+ */
+export function mirrorShape(positions, options = {}) {
+  if (positions.length === 0) return { positions: [], offGrid: [] };
+  const anchor = options.anchor || positions[0];
+
+  // Doubled-x coordinates: x = 2 * col + (row odd ? 1 : 0) puts both row
+  // parities on one integer axis, so a reflection stays on pad centres
+  const anchorX = 2 * anchor.col + (anchor.row & 1);
+
+  return mapShape(positions, ({ q, r }) => {
+    const { row, col } = axialToOffset(q, r);
+    const x = 2 * anchorX - (2 * col + (row & 1));
+    return offsetToAxial(row, (x - (row & 1)) / 2);
+  }, {
+    ...options,
+    update: (p) => (p.hand ? { ...p, hand: p.hand === 'left' ? 'right' : 'left' } : p)
+  });
+}
+
+/**
+ * Rotate a shape 180° around the anchor pad
+ * @param {Array<{row: number, col: number}>} positions - Shape positions
+ * @param {object} options - { anchor, grid, baseMidi }; anchor defaults to the first position
+ * @returns {{positions: Array<object>, offGrid: Array<object>}} Rotated positions and those that fell off the surface
+ */
+export function rotateShape180(positions, options = {}) {
+  if (positions.length === 0) return { positions: [], offGrid: [] };
+  const { row, col } = options.anchor || positions[0];
+  const anchor = offsetToAxial(row, col);
+  return mapShape(positions, ({ q, r }) => ({ q: 2 * anchor.q - q, r: 2 * anchor.r - r }), options);
+}
@@ -0,0 +1,155 @@
+/**
+ * Enharmonic Spelling Module
+ * Picks letter names for pitch classes from a key and scale
+ *
+ * Heptatonic scales get one letter per degree, so Bb major is spelled
+ * Bb C D Eb F G A and G# harmonic minor gets its F## leading tone. Other
+ * sets are spelled by chord degree from the tonic (C aug = C E G#). Pitch
+ * classes outside the set follow the direction of the key signature.
+ */
+
+import { PC_TO_NOTE_SHARP, PC_TO_NOTE_FLAT } from './music.js';
+import { getCatalogueEntry, getDegreeSteps } from './catalogue.js';
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PCS = [0, 2, 4, 5, 7, 9, 11];
+
+// Letter steps above the tonic for each interval when a set is not heptatonic
+// (b2, 2, m3, 3, 4, b5, 5, b6, 6, b7, 7)
+const DEFAULT_DEGREES = [0, 1, 1, 2, 2, 3, 4, 4, 5, 5, 6, 6];
+
+// Roots spelled with flats in lead sheets; F# keeps its sharp
+const FLAT_ROOTS = new Set([1, 3, 8, 10]);
+
+/**
+ * Parse a note name into letter and accidental
+ * Accepts #, b, ##, bb, x and the ♯/♭ signs
+ * @param {string} name - Note name (e.g., 'Bb', 'F##', 'Cb')
+ * @returns {{letter: string, accidental: number, pc: number}}
+ */
+export function parseNoteName(name) {
+  const match = /^([A-Ga-g])((?:#|♯|x|b|♭)*)$/.exec(String(name).trim());
+  if (!match) {
+    throw new Error(`Invalid note name: ${name}`);
+  }
+
+  const letter = match[1].toUpperCase();
+  let accidental = 0;
+  for (const sign of match[2]) {
+    if (sign === 'x') accidental += 2;
+    else if (sign === '#' || sign === '♯') accidental += 1;
+    else accidental -= 1;
+  }
+
+  const pc = ((LETTER_PCS[LETTERS.indexOf(letter)] + accidental) % 12 + 12) % 12;
+  return { letter, accidental, pc };
+}
+
+/**
+ * Parse a note name with octave into a MIDI note number
+ * Octaves follow midiToNoteName (C4 = 60) and belong to the letter, so B#3
+ * is 60 and Cb4 is 59.
+ * @param {string} name - Note name with octave (e.g., 'Eb4', 'F#-1')
+ * @returns {number} MIDI note number
+ * @throws {Error} If the name is not a note with an octave
+ */
+export function parseMidiNoteName(name) {
+  const match = /^(.+?)(-?\d+)$/.exec(String(name).trim());
+  if (!match) {
+    throw new Error(`Invalid note name: ${name}`);
+  }
+  const { letter, accidental } = parseNoteName(match[1]);
+  return (Number(match[2]) + 1) * 12 + LETTER_PCS[LETTERS.indexOf(letter)] + accidental;
+}
+
+/**
+ * Format a letter and accidental as a note name
+ * @param {string} letter - Letter name (A-G)
+ * @param {number} accidental - Semitones from the natural (-2 to 2)
+ * @returns {string} Note name (e.g., 'Eb', 'F##')
+ */
+export function formatNoteName(letter, accidental) {
+  return letter + (accidental > 0 ? '#'.repeat(accidental) : 'b'.repeat(-accidental));
+}
+
+/**
+ * Spell a pitch class on a given letter
+ * @param {number} pc - Pitch class (0-11)
+ * @param {string} letter - Letter name (A-G)
+ * @returns {string} Note name (e.g., spellPitchClass(11, 'C') → 'Cb')
+ */
+export function spellPitchClass(pc, letter) {
+  const natural = LETTER_PCS[LETTERS.indexOf(letter)];
+  const accidental = ((pc - natural + 18) % 12) - 6;
+  return formatNoteName(letter, accidental);
+}
+
+/**
+ * Lead-sheet spelling of a root with no key context (Db, Eb, F#, Ab, Bb)
+ * @param {number} pc - Pitch class (0-11)
+ * @returns {{name: string, alt: string|null}} Preferred and enharmonic spelling
+ */
+export function spellRoot(pc) {
+  const sharp = PC_TO_NOTE_SHARP[pc];
+  const flat = PC_TO_NOTE_FLAT[pc];
+  if (sharp === flat) return { name: sharp, alt: null };
+  return FLAT_ROOTS.has(pc) ? { name: flat, alt: sharp } : { name: sharp, alt: flat };
+}
+
+/**
+ * Spell a set of intervals above a tonic
+ * @param {string} tonic - Tonic note name (e.g., 'Bb', 'G#')
+ * @param {Array<number>} intervals - Semitones above the tonic
+ * @param {object} options - Options
+ * @param {object} options.degrees - Interval → letter-step overrides (see getDegreeSteps)
+ * @returns {Array<string>} Note names, one per interval
+ */
+export function spellSet(tonic, intervals, { degrees = {} } = {}) {
+  const { letter, pc: tonicPc } = parseNoteName(tonic);
+  const tonicIndex = LETTERS.indexOf(letter);
+  const distinct = new Set(intervals.map(i => ((i % 12) + 12) % 12));
+  const heptatonic = distinct.size === 7;
+  const sortedIntervals = [...distinct].sort((a, b) => a - b);
+
+  return intervals.map(interval => {
+    const ic = ((interval % 12) + 12) % 12;
+    const step = ic in degrees
+      ? degrees[ic]
+      : heptatonic ? sortedIntervals.indexOf(ic) : DEFAULT_DEGREES[ic];
+    return spellPitchClass((tonicPc + ic) % 12, LETTERS[(tonicIndex + step) % 7]);
+  });
+}
+
+/**
+ * Spell all 12 pitch classes for a key and set type
+ * Set members take their spelling from the catalogue degrees; the rest use
+ * sharps or flats to match the key signature.
+ * @param {string} tonic - Tonic note name (e.g., 'Bb')
+ * @param {string} setType - Catalogue id or alias (default: 'maj')
+ * @returns {Array<string>} Note names indexed by pitch class
+ */
+export function getKeySpelling(tonic, setType = 'maj') {
+  const major = getCatalogueEntry('maj');
+  const set = getCatalogueEntry(setType) || major;
+  const { pc: tonicPc } = parseNoteName(tonic);
+  const spelling = new Array(12).fill(null);
+
+  const accidentalSum = (names) => names.reduce((sum, name) => sum + parseNoteName(name).accidental, 0);
+  let direction = 0;
+  if (new Set(set.intervals.map(i => i % 12)).size < 12) {
+    const names = spellSet(tonic, set.intervals, { degrees: getDegreeSteps(set) });
+    set.intervals.forEach((interval, i) => {
+      spelling[(tonicPc + interval) % 12] = names[i];
+    });
+    direction = accidentalSum(names);
+  }
+  if (direction === 0) {
+    direction = accidentalSum(spellSet(tonic, major.intervals));
+  }
+  if (direction === 0) {
+    direction = parseNoteName(tonic).accidental;
+  }
+
+  const fallback = direction < 0 ? PC_TO_NOTE_FLAT : PC_TO_NOTE_SHARP;
+  return spelling.map((name, pc) => name || fallback[pc]);
+}
@@ -10,9 +10,9 @@ import {
   getCellCenter,
   getHexPoints,
   getViewBox,
-  getMidiNote
+  defaultGrid
 } from '../core/grid.js';
-import { midiToPitchClass } from '../core/music.js';
+import { midiToPitchClass, PC_TO_NOTE_SHARP } from '../core/music.js';
 import { debugLog } from '../utils/debug.js';
 
 /**
@@ -20,14 +20,27 @@ import { debugLog } from '../utils/debug.js';
  * Manages SVG rendering of the hex grid
  */
 export class GridRenderer {
-  constructor(svgElement) {
+  /**
+   * @param {SVGElement} svgElement - Target SVG element
+   * @param {Grid} grid - Grid providing pitch math (default: Exquis thirds layout)
+   */
+  constructor(svgElement, grid = defaultGrid) {
     this.svg = svgElement;
+    this.grid = grid;
     this.orientation = 'portrait';
+    this.viewMode = 'hex'; // 'hex' pads or 'tonnetz' vertices with triad triangles
     this.labelMode = 'pc';
     this.baseMidi = 48;
+    this.noteSpelling = null; // 12 note names by pitch class (null = sharps)
     this.highlightedPCs = new Set();
+    this.chordPCs = new Set(); // Chord picked out within the highlighted scale
+    this.voiceLeading = []; // Pad moves drawn as arrows (see getVoiceLeadingPadMoves)
+    this.sequenceSteps = []; // Ordered steps drawn as a numbered path (see FingeringSequence)
     this.fingeringPattern = null;
     this.fingeringMode = false;
+    this.showUnisons = false;
+    this.unisonSource = null; // {row, col} of the last clicked pad
+    this.padElements = new Map(); // 'row,col' -> polygon
     this.onPadClick = null; // Callback for pad clicks
   }
 
@@ -39,9 +52,29 @@ export class GridRenderer {
     this.orientation = orientation;
   }
 
+  /**
+   * Set view mode
+   * @param {string} mode - 'hex' (pads as hexagons) or 'tonnetz' (pads as
+   *   vertices joined by major and minor triad triangles)
+   */
+  setViewMode(mode) {
+    this.viewMode = mode;
+  }
+
+  /**
+   * Set grid (layout used for pitch math and pad labels)
+   * @param {Grid} grid - Grid instance
+   */
+  setGrid(grid) {
+    if (grid !== this.grid) {
+      this.unisonSource = null;
+    }
+    this.grid = grid;
+  }
+
   /**
    * Set label mode
-   * @param {string} mode - 'pc', 'note', or 'midi'
+   * @param {string} mode - 'pc', 'note', 'midi', or 'index' (pad index)
    */
   setLabelMode(mode) {
     this.labelMode = mode;
@@ -55,6 +88,15 @@ export class GridRenderer {
     this.baseMidi = baseMidi;
   }
 
+  /**
+   * Set note-name spelling for 'note' labels
+   * @param {Array<string>|null} spelling - Note names indexed by pitch class
+   *   (see getKeySpelling), or null for sharps
+   */
+  setNoteSpelling(spelling) {
+    this.noteSpelling = spelling;
+  }
+
   /**
    * Set highlighted pitch classes
    * @param {Set<number>} pcs - Set of pitch classes to highlight
@@ -63,6 +105,33 @@ export class GridRenderer {
     this.highlightedPCs = pcs;
   }
 
+  /**
+   * Set the pitch classes of a chord to show over the highlighted scale
+   * @param {Set<number>} pcs - Chord pitch classes (empty for none)
+   */
+  setChordPCs(pcs) {
+    this.chordPCs = pcs;
+  }
+
+  /**
+   * Set the voice leading to draw: an arrow per moving voice and a ring
+   * around each held common tone
+   * @param {Array<Object>} moves - Pad moves from getVoiceLeadingPadMoves (empty for none)
+   */
+  setVoiceLeading(moves) {
+    this.voiceLeading = moves;
+  }
+
+  /**
+   * Set the steps of a fingering sequence to draw as a path with step numbers;
+   * moves to a new hand position are dashed
+   * @param {Array<{row: number, col: number, position: number}>} steps - Steps in
+   *   order (empty for none)
+   */
+  setSequence(steps) {
+    this.sequenceSteps = steps;
+  }
+
   /**
    * Set fingering pattern
    * @param {FingeringPattern} pattern - Fingering pattern to display
@@ -79,6 +148,18 @@ export class GridRenderer {
     this.fingeringMode = enabled;
   }
 
+  /**
+   * Show unison alternatives (other pads with the same MIDI note) on click
+   * @param {boolean} enabled - Enable/disable unison marking
+   */
+  setShowUnisons(enabled) {
+    this.showUnisons = enabled;
+    if (!enabled) {
+      this.unisonSource = null;
+      this._applyUnisonMarks();
+    }
+  }
+
   /**
    * Set pad click callback
    * @param {Function} callback - Callback function(row, col, midiNote)
@@ -102,6 +183,7 @@ export class GridRenderer {
 
     // Clear existing content
     this.svg.innerHTML = '';
+    this.padElements.clear();
 
     // Create main group
     const gNode = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -111,6 +193,10 @@ export class GridRenderer {
       gNode.setAttribute('transform', `translate(${vb.width},0) rotate(90)`);
     }
 
+    if (this.viewMode === 'tonnetz') {
+      this._renderTriangles(gNode);
+    }
+
     // Render all pads
     let padCount = 0;
     for (let row = 0; row < ROW_COUNT; row++) {
@@ -122,6 +208,9 @@ export class GridRenderer {
     }
 
     debugLog('grid', `[GridRenderer] Rendered ${padCount} pads`);
+    this._applyUnisonMarks();
+    this._renderVoiceLeading(gNode);
+    this._renderSequence(gNode);
     this.svg.appendChild(gNode);
     debugLog('grid', '[GridRenderer] Grid appended to SVG');
   }
@@ -132,13 +221,22 @@ export class GridRenderer {
    */
   _renderPad(parent, row, col) {
     const { x: cx, y: cy } = getCellCenter(row, col);
-    const midiNote = getMidiNote(row, col, this.baseMidi);
+    const midiNote = this.grid.getMidiNote(row, col, this.baseMidi);
     const pc = midiToPitchClass(midiNote);
 
-    // Create hexagon
-    const poly = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-    poly.setAttribute('points', getHexPoints(cx, cy, 22));
-    poly.setAttribute('class', 'pad');
+    // Create hexagon (or a Tonnetz vertex)
+    let poly;
+    if (this.viewMode === 'tonnetz') {
+      poly = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      poly.setAttribute('cx', cx);
+      poly.setAttribute('cy', cy);
+      poly.setAttribute('r', 14);
+      poly.setAttribute('class', 'pad vertex');
+    } else {
+      poly = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+      poly.setAttribute('points', getHexPoints(cx, cy, 22));
+      poly.setAttribute('class', 'pad');
+    }
     poly.setAttribute('stroke', '#666');
     poly.setAttribute('fill', '#6aa5ff');
     poly.setAttribute('fill-opacity', '0.12');
@@ -146,6 +244,9 @@ export class GridRenderer {
     // Add highlighted class if this PC is highlighted
     if (this.highlightedPCs.has(pc)) {
       poly.classList.add('on');
+      if (this.chordPCs.has(pc)) {
+        poly.classList.add('chord');
+      }
     }
 
     // Add fingering-mode class if enabled
@@ -155,11 +256,17 @@ export class GridRenderer {
 
     // Click handler
     poly.addEventListener('click', () => {
+      if (this.showUnisons) {
+        const same = this.unisonSource && this.unisonSource.row === row && this.unisonSource.col === col;
+        this.unisonSource = same ? null : { row, col };
+        this._applyUnisonMarks();
+      }
       if (this.onPadClick) {
         this.onPadClick(row, col, midiNote, pc);
       }
     });
 
+    this.padElements.set(`${row},${col}`, poly);
     parent.appendChild(poly);
 
     // Render label
@@ -174,6 +281,171 @@ export class GridRenderer {
     }
   }
 
+  /**
+   * Draw the major and minor triad triangles of the Tonnetz view, filling
+   * those whose notes are all highlighted
+   * @private
+   */
+  _renderTriangles(parent) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const group = document.createElementNS(svgNS, 'g');
+    group.setAttribute('class', 'triads');
+
+    for (const { quality, root, pads } of this.grid.getTriadTriangles(this.baseMidi)) {
+      const points = pads.map(pad => getCellCenter(pad.row, pad.col));
+      const pcs = pads.map(pad => midiToPitchClass(pad.midiNote));
+      const triangle = document.createElementNS(svgNS, 'polygon');
+      triangle.setAttribute('points', points.map(({ x, y }) => `${x},${y}`).join(' '));
+      triangle.setAttribute('class', `triad ${quality}`);
+      group.appendChild(triangle);
+
+      if (!pcs.every(pc => this.highlightedPCs.has(pc))) continue;
+      triangle.classList.add('on');
+      if (pcs.every(pc => this.chordPCs.has(pc))) {
+        triangle.classList.add('chord');
+      }
+
+      // Name filled triads at their centre (C, Cm)
+      const cx = points.reduce((sum, p) => sum + p.x, 0) / 3;
+      const cy = points.reduce((sum, p) => sum + p.y, 0) / 3;
+      const name = document.createElementNS(svgNS, 'text');
+      name.setAttribute('x', cx);
+      name.setAttribute('y', cy + 3);
+      name.setAttribute('text-anchor', 'middle');
+      name.setAttribute('class', 'triad-name');
+      if (this.orientation === 'landscape') {
+        name.setAttribute('transform', `rotate(-90 ${cx} ${cy})`);
+      }
+      const rootName = this.noteSpelling ? this.noteSpelling[root] : PC_TO_NOTE_SHARP[root];
+      name.textContent = quality === 'minor' ? `${rootName}m` : rootName;
+      group.appendChild(name);
+    }
+
+    parent.appendChild(group);
+  }
+
+  /**
+   * Mark the clicked pad and every other pad that sounds the same MIDI note
+   * @private
+   */
+  _applyUnisonMarks() {
+    for (const poly of this.padElements.values()) {
+      poly.classList.remove('unison', 'unison-source');
+    }
+    if (!this.showUnisons || !this.unisonSource) return;
+
+    const { row, col } = this.unisonSource;
+    const midiNote = this.grid.getMidiNote(row, col, this.baseMidi);
+    for (const pad of this.grid.getPadsForMidi(midiNote, this.baseMidi)) {
+      const isSource = pad.row === row && pad.col === col;
+      this.padElements.get(`${pad.row},${pad.col}`)?.classList.add(isSource ? 'unison-source' : 'unison');
+    }
+  }
+
+  /**
+   * Draw voice-leading arrows between pads and rings around held common tones
+   * @private
+   */
+  _renderVoiceLeading(parent) {
+    if (this.voiceLeading.length === 0) return;
+    const svgNS = 'http://www.w3.org/2000/svg';
+
+    // Arrowhead marker
+    const defs = document.createElementNS(svgNS, 'defs');
+    const marker = document.createElementNS(svgNS, 'marker');
+    marker.setAttribute('id', 'voice-arrowhead');
+    marker.setAttribute('viewBox', '0 0 10 10');
+    marker.setAttribute('refX', '8');
+    marker.setAttribute('refY', '5');
+    marker.setAttribute('markerWidth', '5');
+    marker.setAttribute('markerHeight', '5');
+    marker.setAttribute('orient', 'auto');
+    const head = document.createElementNS(svgNS, 'path');
+    head.setAttribute('d', 'M0,0 L10,5 L0,10 z');
+    head.setAttribute('class', 'voice-arrowhead');
+    marker.appendChild(head);
+    defs.appendChild(marker);
+    parent.appendChild(defs);
+
+    for (const move of this.voiceLeading) {
+      const from = getCellCenter(move.from.row, move.from.col);
+      if (move.held) {
+        const ring = document.createElementNS(svgNS, 'circle');
+        ring.setAttribute('cx', from.x);
+        ring.setAttribute('cy', from.y);
+        ring.setAttribute('r', 17);
+        ring.setAttribute('class', 'voice-held');
+        parent.appendChild(ring);
+        continue;
+      }
+
+      // Stop short of the pad centres so labels stay readable
+      const to = getCellCenter(move.to.row, move.to.col);
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      const trim = Math.min(10, length / 3);
+      const ux = (to.x - from.x) / length;
+      const uy = (to.y - from.y) / length;
+      const line = document.createElementNS(svgNS, 'line');
+      line.setAttribute('x1', from.x + ux * trim);
+      line.setAttribute('y1', from.y + uy * trim);
+      line.setAttribute('x2', to.x - ux * trim);
+      line.setAttribute('y2', to.y - uy * trim);
+      line.setAttribute('class', 'voice-arrow');
+      line.setAttribute('marker-end', 'url(#voice-arrowhead)');
+      parent.appendChild(line);
+      this.padElements.get(`${move.to.row},${move.to.col}`)?.classList.add('voice-target');
+    }
+  }
+
+  /**
+   * Draw the path of a fingering sequence and number each pad's steps
+   * Moves to a new hand position are dashed, thumb-under / finger-over moves highlighted
+   * @private
+   */
+  _renderSequence(parent) {
+    if (this.sequenceSteps.length === 0) return;
+    const svgNS = 'http://www.w3.org/2000/svg';
+
+    this.sequenceSteps.forEach((step, i) => {
+      const next = this.sequenceSteps[i + 1];
+      if (!next || (next.row === step.row && next.col === step.col)) return;
+      const from = getCellCenter(step.row, step.col);
+      const to = getCellCenter(next.row, next.col);
+      const line = document.createElementNS(svgNS, 'line');
+      line.setAttribute('x1', from.x);
+      line.setAttribute('y1', from.y);
+      line.setAttribute('x2', to.x);
+      line.setAttribute('y2', to.y);
+      line.setAttribute('class', [
+        'sequence-path',
+        next.position === step.position ? null : 'shift',
+        next.crossing ? 'crossing' : null
+      ].filter(Boolean).join(' '));
+      parent.appendChild(line);
+    });
+
+    // Step numbers (1-based) under the pad label, e.g. "1·8" for a pad played twice
+    const numbers = new Map();
+    this.sequenceSteps.forEach((step, i) => {
+      const key = `${step.row},${step.col}`;
+      numbers.set(key, [...(numbers.get(key) || []), i + 1]);
+    });
+    for (const [key, steps] of numbers) {
+      const [row, col] = key.split(',').map(Number);
+      const { x: cx, y: cy } = getCellCenter(row, col);
+      const text = document.createElementNS(svgNS, 'text');
+      text.setAttribute('x', cx);
+      text.setAttribute('y', cy + 15);
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('class', 'step-number');
+      if (this.orientation === 'landscape') {
+        text.setAttribute('transform', `rotate(-90 ${cx} ${cy})`);
+      }
+      text.textContent = steps.join('·');
+      parent.appendChild(text);
+    }
+  }
+
   /**
    * Render pad label
    * @private
@@ -228,18 +500,19 @@ export class GridRenderer {
         return this._midiToNoteName(midiNote);
       case 'midi':
         return midiNote;
+      case 'index':
+        return midiNote - this.baseMidi;
       default:
         return pc;
     }
   }
 
   /**
-   * Convert MIDI to note name (simple version)
+   * Convert MIDI to note name, spelled for the current key
    * @private
    */
   _midiToNoteName(midiNote) {
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
     const pc = midiToPitchClass(midiNote);
-    return noteNames[pc];
+    return this.noteSpelling ? this.noteSpelling[pc] : PC_TO_NOTE_SHARP[pc];
   }
 }
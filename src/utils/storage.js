@@ -3,10 +3,13 @@
  * Handles persistence of fingering patterns and app settings
  */
 
+import { getCatalogueEntry } from '../core/catalogue.js';
+
 const STORAGE_KEYS = {
   PATTERNS: 'exquisPatterns',
   SETTINGS: 'exquisSettings',
-  RECENT_PATTERNS: 'exquisRecentPatterns'
+  RECENT_PATTERNS: 'exquisRecentPatterns',
+  DICTIONARIES: 'exquisDictionaries'
 };
 
 /**
@@ -28,12 +31,17 @@ export function savePattern(name, patternData) {
 
 /**
  * Load fingering pattern from localStorage
+ * Patterns saved under an older set id (e.g. 'majtriad') get the current
+ * catalogue id.
  * @param {string} name - Pattern name
  * @returns {object|null} Pattern data or null if not found
  */
 export function loadPattern(name) {
   const patterns = getAllPatterns();
-  return patterns[name] || null;
+  const pattern = patterns[name];
+  if (!pattern) return null;
+  const setId = getCatalogueEntry(pattern.set)?.id;
+  return setId && setId !== pattern.set ? { ...pattern, set: setId } : pattern;
 }
 
 /**
@@ -148,6 +156,7 @@ function getDefaultSettings() {
   return {
     orientation: 'portrait',
     labelMode: 'pc',
+    gridView: 'hex',
     baseMidi: 48,
     midiHoldDuration: 1000,
     midiOctaveRange: 0,
@@ -156,6 +165,31 @@ function getDefaultSettings() {
   };
 }
 
+/**
+ * Save an imported chord dictionary file so it is loaded again on start-up
+ * @param {string} text - Dictionary file contents
+ */
+export function saveDictionary(text) {
+  const dictionaries = loadDictionaries();
+  if (!dictionaries.includes(text)) {
+    dictionaries.push(text);
+    localStorage.setItem(STORAGE_KEYS.DICTIONARIES, JSON.stringify(dictionaries));
+  }
+}
+
+/**
+ * Load the saved chord dictionary files
+ * @returns {Array<string>} Dictionary file contents, in import order
+ */
+export function loadDictionaries() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.DICTIONARIES);
+    return data ? JSON.parse(data) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
 /**
  * Add pattern to recent list
  * @param {string} name - Pattern name
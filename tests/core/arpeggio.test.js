@@ -0,0 +1,64 @@
+/**
+ * Tests for arpeggio and broken-chord fingering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getArpeggioNotes, generateArpeggioFingering } from '../../src/core/arpeggio.js';
+import { CHORD_QUALITIES } from '../../src/core/chord-dictionary.js';
+import { Grid } from '../../src/core/grid.js';
+
+describe('Arpeggios', () => {
+  it('should build arpeggio and broken-chord figures from chord tones', () => {
+    const major = [0, 4, 7];
+    expect(getArpeggioNotes(48, major, { octaves: 2 })).toEqual([48, 52, 55, 60, 64, 67, 72]);
+    expect(getArpeggioNotes(48, major, { pattern: 'down' })).toEqual([60, 55, 52, 48]);
+    expect(getArpeggioNotes(48, major, { pattern: 'updown' })).toEqual([48, 52, 55, 60, 55, 52, 48]);
+    expect(getArpeggioNotes(48, major, { pattern: 'alberti' })).toEqual([48, 55, 52, 55]);
+    expect(getArpeggioNotes(48, major, { pattern: 'open', octaves: 2 })).toEqual([48, 55, 60, 64, 60, 67, 72, 76]);
+
+    // Extended chords are arpeggiated in close position
+    expect(getArpeggioNotes(48, [0, 4, 7, 10, 14])).toEqual([48, 50, 52, 55, 58, 60]);
+    expect(() => getArpeggioNotes(48, [0, 7], { pattern: 'alberti' })).toThrow();
+    expect(() => getArpeggioNotes(48, major, { pattern: 'zigzag' })).toThrow();
+  });
+
+  it('should build broken-chord figures on the root, 3rd and 5th of extended chords', () => {
+    expect(getArpeggioNotes(48, CHORD_QUALITIES.dom9, { pattern: 'alberti' })).toEqual([48, 55, 52, 55]);
+    expect(getArpeggioNotes(48, CHORD_QUALITIES.dom9, { pattern: 'open' })).toEqual([48, 55, 60, 64]);
+    expect(getArpeggioNotes(48, CHORD_QUALITIES.min11, { pattern: 'alberti' })).toEqual([48, 55, 51, 55]);
+    expect(getArpeggioNotes(48, CHORD_QUALITIES.min11, { pattern: 'open', octaves: 2 }))
+      .toEqual([48, 55, 60, 63, 60, 67, 72, 75]);
+
+    // The 5th is found past a #11, the major 3rd past a #9
+    expect(getArpeggioNotes(48, CHORD_QUALITIES['7#11'], { pattern: 'alberti' })).toEqual([48, 55, 52, 55]);
+    expect(getArpeggioNotes(48, CHORD_QUALITIES['7#9'], { pattern: 'open' })).toEqual([48, 55, 60, 64]);
+
+    // Suspended chords have no 3rd to break
+    expect(() => getArpeggioNotes(48, CHORD_QUALITIES.sus4, { pattern: 'alberti' })).toThrow(/3rd and a 5th/);
+    expect(() => generateArpeggioFingering('C', '9sus4', { pattern: 'open' })).toThrow(/3rd and a 5th/);
+  });
+
+  it('should finger each chord quality on the grid', () => {
+    const grid = new Grid('intervals');
+    for (const quality of Object.keys(CHORD_QUALITIES)) {
+      const { sequence } = generateArpeggioFingering('C', quality, { pattern: 'updown', grid });
+      const notes = sequence.steps.map(step => grid.getMidiNote(step.row, step.col, 48));
+      expect(notes).toEqual(getArpeggioNotes(48, CHORD_QUALITIES[quality], { pattern: 'updown' }));
+    }
+  });
+
+  it('should name the sequence and mark hand shifts', () => {
+    const result = generateArpeggioFingering('A', 'min7', { pattern: 'up', octaves: 2, hand: 'left' });
+    expect(result.sequence.name).toBe('Am7 arpeggio LH 2 oct up');
+    expect(result.sequence.metadata).toMatchObject({ key: 'A', setType: 'min7', layout: 'intervals' });
+    expect(result.sequence.steps.every(step => step.hand === 'left')).toBe(true);
+    expect(result.shifts).toBe(result.sequence.getHandPositions().length - 1);
+
+    // A figure within one octave stays in one hand position
+    expect(generateArpeggioFingering('C', 'major', { pattern: 'alberti' }).shifts).toBe(0);
+
+    expect(() => generateArpeggioFingering('C', 'nonsense')).toThrow();
+    expect(() => generateArpeggioFingering('C', 'major', { pattern: 'zigzag' })).toThrow();
+    expect(() => generateArpeggioFingering('B', 'maj7', { octaves: 3 })).toThrow(/does not fit/);
+  });
+});
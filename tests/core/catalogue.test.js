@@ -0,0 +1,95 @@
+/**
+ * Tests for the chord and scale catalogue
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CATALOGUE,
+  parseDegree,
+  getCatalogueEntry,
+  listCatalogue,
+  groupCatalogue,
+  getDegreeSteps,
+  getTonesByRole
+} from '../../src/core/catalogue.js';
+import { PITCH_CLASS_SETS, getPitchClasses } from '../../src/core/music.js';
+import { CHORD_QUALITIES, CHORD_SYMBOLS, getChordOmissions } from '../../src/core/chord-dictionary.js';
+import { parseChordSymbol } from '../../src/core/chord-symbol.js';
+import { synthesizeFingerings } from '../../src/analysis/fingering-synthesizer.js';
+
+describe('Chord and Scale Catalogue', () => {
+  it('should read degree labels', () => {
+    expect(parseDegree('b3')).toEqual({ semitones: 3, step: 2 });
+    expect(parseDegree('#11')).toEqual({ semitones: 18, step: 3 });
+    expect(parseDegree('bb7')).toEqual({ semitones: 9, step: 6 });
+    expect(parseDegree('13').step).toBe(5);
+    expect(() => parseDegree('14')).toThrow();
+    expect(parseDegree('b10')).toEqual({ semitones: 15, step: 2 });
+    expect(() => parseDegree('x3')).toThrow();
+  });
+
+  it('should derive intervals and roles from the tones', () => {
+    const dom7 = getCatalogueEntry('dom7');
+    expect(dom7.intervals).toEqual([0, 4, 7, 10]);
+    expect(dom7.tones.map(t => t.degree)).toEqual(['1', '3', '5', 'b7']);
+    expect(getTonesByRole(dom7, 'essential')).toEqual([4, 10]);
+    expect(getTonesByRole(dom7, 'omittable')).toEqual([0, 7]);
+    expect(getTonesByRole(getCatalogueEntry('dom13'), 'optional')).toEqual([14]);
+    expect(getDegreeSteps(getCatalogueEntry('dim7'))[9]).toBe(6);
+  });
+
+  it('should have unique ids and resolve aliases', () => {
+    const ids = CATALOGUE.map(entry => entry.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(getCatalogueEntry('majtriad').id).toBe('major');
+    expect(getCatalogueEntry('Ionian').id).toBe('maj');
+    expect(getCatalogueEntry('nope')).toBeNull();
+    expect([...getPitchClasses('D', 'mintriad')]).toEqual([2, 5, 9]);
+  });
+
+  it('should feed the chord dictionary and pitch class sets', () => {
+    const chords = listCatalogue({ type: 'chord' });
+    expect(Object.keys(CHORD_QUALITIES).sort()).toEqual(chords.map(c => c.id).sort());
+    expect(CHORD_SYMBOLS.hdim7).toBe('m7b5');
+    expect(PITCH_CLASS_SETS.natmin.intervals).toEqual([0, 2, 3, 5, 7, 8, 10]);
+    expect(listCatalogue({ tag: 'altered' }).every(e => e.tags.includes('altered'))).toBe(true);
+    expect(listCatalogue({ type: 'chord', tag: 'triad' }).map(e => e.id)).toContain('sus4');
+  });
+
+  it('should group pickers by leading tag', () => {
+    const groups = groupCatalogue('chord');
+    expect(groups[0].label).toBe('Dyads');
+    expect(groups.find(g => g.tag === 'seventh').entries.map(e => e.id)).toContain('dom7');
+    expect(groupCatalogue('scale')[0].entries[0].id).toBe('maj');
+  });
+
+  it('should hold the extended and altered vocabulary', () => {
+    ['Cm11', 'Cmaj13', 'Cm13', 'C13', 'C7#11', 'C7alt', 'C9sus4', 'C13b9', 'Cadd11', 'Cm6/9'].forEach(symbol => {
+      expect(parseChordSymbol(symbol).quality, symbol).not.toBeNull();
+    });
+    expect(parseChordSymbol('C7alt').quality).toBe('7alt');
+    // So What: stacked fourths with a major third on top
+    expect(getCatalogueEntry('sowhat').intervals).toEqual([0, 5, 10, 15, 19]);
+  });
+
+  it('should declare which tones a voicing may leave out', () => {
+    // C13: root and fifth may go, the 9th is optional
+    expect(getChordOmissions(0, 'dom13')).toEqual([0, 7, 2]);
+    expect(getChordOmissions(2, 'min7')).toEqual([2, 9]);
+    expect(getChordOmissions(0, 'major')).toEqual([]);
+    expect(() => getChordOmissions(0, 'maj')).toThrow();
+  });
+
+  it('should fit a six-note chord into one hand', () => {
+    const c13 = [0, 4, 7, 10, 2, 9];
+    const suggestions = synthesizeFingerings(c13, [], 48, 'right', 20, undefined, {
+      omittable: getChordOmissions(0, 'dom13')
+    });
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(s => {
+      expect(s.positions).toHaveLength(5);
+      expect(s.omittedPitchClasses).toHaveLength(1);
+      expect([0, 7, 2]).toContain(s.omittedPitchClasses[0]);
+    });
+  });
+});
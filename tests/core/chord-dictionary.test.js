@@ -0,0 +1,84 @@
+/**
+ * Tests for voicing analysis and voice leading
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeVoicing, findVoiceLeading } from '../../src/core/chord-dictionary.js';
+
+describe('Voicing Analysis', () => {
+  it('should classify close, drop and spread voicings', () => {
+    expect(analyzeVoicing([60, 64, 67, 71], 0, 'maj7')).toMatchObject({ voicing: 'close', inversion: 'root', isClose: true });
+    // G C E B: the G of C-E-G-B dropped an octave
+    expect(analyzeVoicing([55, 60, 64, 71], 0, 'maj7')).toMatchObject({ voicing: 'drop2', inversion: 'second' });
+    expect(analyzeVoicing([48, 59, 64, 67], 0, 'maj7').voicing).toBe('drop3');
+    expect(analyzeVoicing([48, 55, 64, 71], 0, 'maj7').voicing).toBe('drop24');
+    expect(analyzeVoicing([36, 55, 64, 76], 0, 'major')).toMatchObject({ voicing: 'spread', doubled: [4] });
+
+    // Close position by stacking order, not span: C E G B D stacks in thirds
+    expect(analyzeVoicing([60, 64, 67, 71, 74], 0, 'maj9')).toMatchObject({ voicing: 'close', isClose: true });
+    expect(analyzeVoicing([64, 67, 72], 0, 'major').isClose).toBe(true);
+    expect(analyzeVoicing([60, 67, 76], 0, 'major')).toMatchObject({ voicing: 'open', isClose: false });
+  });
+
+  it('should recognise shell, rootless, quartal and cluster voicings', () => {
+    const shell = analyzeVoicing([48, 52, 58], 0, 'dom7');
+    expect(shell).toMatchObject({ voicing: 'shell', omitted: [7] });
+    expect(shell.description).toBe('Shell, root position, no 5');
+
+    // C9 without its root: E G Bb D (A) and Bb D E G (B)
+    expect(analyzeVoicing([52, 55, 58, 62], 0, 'dom9')).toMatchObject({ voicing: 'rootlessA', omitted: [0] });
+    expect(analyzeVoicing([58, 62, 64, 67], 0, 'dom9').voicing).toBe('rootlessB');
+
+    expect(analyzeVoicing([52, 57, 62, 67], 4).voicings).toContain('quartal');
+    expect(analyzeVoicing([50, 55, 60, 65, 69], 2, 'sowhat').voicing).toBe('quartal');
+    expect(analyzeVoicing([60, 62, 64, 67], 0, 'add9').voicing).toBe('cluster');
+  });
+
+  it('should name inversions by the chord member in the bass', () => {
+    expect(analyzeVoicing([64, 67, 72], 0, 'major').inversion).toBe('first');
+    expect(analyzeVoicing([58, 64, 67, 72], 0, 'dom7').inversion).toBe('third');
+    // 9th in the bass of a 5-note chord
+    const fourth = analyzeVoicing([62, 64, 67, 70, 72], 0, 'dom9');
+    expect(fourth).toMatchObject({ inversion: 'fourth', type: 'fourth_inversion', isRootPosition: false });
+    expect(analyzeVoicing([60, 64], 0)).toEqual({
+      type: 'incomplete',
+      description: 'Incomplete voicing',
+      voicing: null,
+      voicings: [],
+      inversion: null,
+      isRootPosition: false,
+      isClose: false,
+      doubled: [],
+      omitted: [],
+      lowestNote: 0,
+      span: 4
+    });
+  });
+});
+
+describe('Voice Leading', () => {
+  it('should find the smallest total motion', () => {
+    const result = findVoiceLeading([60, 64, 67], [60, 65, 69]);
+    expect(result.distance).toBe(3);
+    expect(result.moves.map(m => [m.from, m.to])).toEqual([[60, 60], [64, 65], [67, 69]]);
+  });
+
+  it('should prefer common tones among equal totals', () => {
+    // C E G → A C E: moving every voice down also costs 10 semitones
+    const result = findVoiceLeading([60, 64, 67], [57, 60, 64]);
+    expect(result.distance).toBe(10);
+    expect(result.commonTones).toEqual([60, 64]);
+  });
+
+  it('should split and merge voices when the chords differ in size', () => {
+    const split = findVoiceLeading([60, 64, 67], [59, 62, 65, 67]);
+    expect(split.moves).toHaveLength(4);
+    expect(new Set(split.moves.map(m => m.toIndex)).size).toBe(4);
+    expect(split.distance).toBe(4);
+
+    const merge = findVoiceLeading([55, 59, 62, 65], [60, 64]);
+    expect(merge.moves).toHaveLength(4);
+    expect(new Set(merge.moves.map(m => m.toIndex))).toEqual(new Set([0, 1]));
+    expect(() => findVoiceLeading([], [60])).toThrow();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for chord symbol parser
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseChordSymbol } from '../../src/core/chord-symbol.js';
+
+describe('Chord Symbol Parser', () => {
+  it('should parse triads and sevenths into CHORD_QUALITIES', () => {
+    expect(parseChordSymbol('C')).toMatchObject({ root: 0, quality: 'major', pitchClasses: [0, 4, 7], bass: null });
+    expect(parseChordSymbol('Ebm').quality).toBe('minor');
+    expect(parseChordSymbol('Cmaj').quality).toBe('major');
+    expect(parseChordSymbol('G7').quality).toBe('dom7');
+    expect(parseChordSymbol('Cm(maj7)').quality).toBe('minmaj7');
+    expect(parseChordSymbol('C+7').quality).toBe('aug7');
+    expect(parseChordSymbol('Bdim7').noteNames).toEqual(['B', 'D', 'F', 'Ab']);
+  });
+
+  it('should parse the lead-sheet examples', () => {
+    const lydian = parseChordSymbol('Cmaj7#11');
+    expect(lydian.pitchClasses).toEqual([0, 4, 6, 7, 11]);
+    expect(lydian.noteNames).toEqual(['C', 'E', 'F#', 'G', 'B']);
+
+    const halfDim = parseChordSymbol('F#m7b5');
+    expect(halfDim).toMatchObject({ root: 6, quality: 'hdim7' });
+    expect(halfDim.noteNames).toEqual(['F#', 'A', 'C', 'E']);
+
+    const thirteen = parseChordSymbol('Bb13(no3)');
+    expect(thirteen.degrees).toEqual(['1', '9', '5', '13', 'b7']);
+    expect(thirteen.noteNames).toEqual(['Bb', 'C', 'F', 'G', 'Ab']);
+
+    const alt = parseChordSymbol('G7alt');
+    expect(alt.degrees).toEqual(['1', 'b9', '#9', '3', 'b5', '#5', 'b7']);
+    expect(alt.noteNames).toContain('A#');
+  });
+
+  it('should read slash basses', () => {
+    const inversion = parseChordSymbol('D/F#');
+    expect(inversion).toMatchObject({ root: 2, bass: 6, bassName: 'F#', quality: 'major' });
+    expect(inversion.pitchClasses).toEqual([2, 6, 9]);
+
+    // A bass outside the chord is added to the notes
+    const slash = parseChordSymbol('C/Bb');
+    expect(slash.pitchClasses).toEqual([10, 0, 4, 7]);
+    expect(slash.noteNames[0]).toBe('Bb');
+  });
+
+  it('should handle sus, add, 6/9 and alterations', () => {
+    expect(parseChordSymbol('C7sus4').degrees).toEqual(['1', '4', '5', 'b7']);
+    expect(parseChordSymbol('Cadd9').pitchClasses).toEqual([0, 2, 4, 7]);
+    expect(parseChordSymbol('C6/9').pitchClasses).toEqual([0, 2, 4, 7, 9]);
+    expect(parseChordSymbol('Eb7b9#9').noteNames).toEqual(['Eb', 'Fb', 'F#', 'G', 'Bb', 'Db']);
+    expect(parseChordSymbol('C5').pitchClasses).toEqual([0, 7]);
+  });
+
+  it('should reject symbols it cannot read', () => {
+    expect(() => parseChordSymbol('')).toThrow();
+    expect(() => parseChordSymbol('H7')).toThrow();
+    expect(() => parseChordSymbol('Cfoo')).toThrow(/foo/);
+    expect(() => parseChordSymbol('C#13')).not.toThrow();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for physical device geometry and cm-based ergonomics
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXQUIS_DEVICE,
+  getPadPositionMm,
+  getPadDistanceMm,
+  getPadDistanceCm,
+  getPadSpanCm,
+  hexStepsToCm
+} from '../../src/core/device.js';
+import { getNeighbors } from '../../src/core/grid.js';
+import { ErgoAnalyzer, FingeringPattern } from '../../src/core/fingering.js';
+import { measureHandprint, normalizeHandprint, extractPatterns } from '../../src/analysis/pattern-extractor.js';
+
+describe('Device Geometry', () => {
+  it('should place pad (0,0) at the origin and stagger odd rows', () => {
+    expect(getPadPositionMm(0, 0)).toEqual({ x: 0, y: 0 });
+    expect(getPadPositionMm(0, 1).x).toBe(EXQUIS_DEVICE.padPitchMm);
+    expect(getPadPositionMm(1, 0).x).toBe(EXQUIS_DEVICE.padPitchMm / 2);
+    expect(getPadPositionMm(1, 0).y).toBeCloseTo(19.05, 2);
+  });
+
+  it('should put every neighbour one pad pitch away', () => {
+    for (const n of getNeighbors(5, 2)) {
+      expect(getPadDistanceMm(5, 2, n.row, n.col)).toBeCloseTo(EXQUIS_DEVICE.padPitchMm, 6);
+    }
+  });
+
+  it('should measure in centimetres', () => {
+    expect(getPadDistanceCm(0, 0, 0, 3)).toBeCloseTo(6.6, 6);
+    expect(getPadDistanceCm(0, 0, 2, 0)).toBeCloseTo(2 * EXQUIS_DEVICE.rowSpacingMm / 10, 6);
+    expect(hexStepsToCm(3)).toBeCloseTo(6.6, 6);
+  });
+
+  it('should accept a different device', () => {
+    const device = { padPitchMm: 10, padDiameterMm: 9, rowSpacingMm: 10 };
+    expect(getPadDistanceMm(0, 0, 2, 0, device)).toBe(20);
+  });
+});
+
+describe('Ergonomics in cm', () => {
+  const spreadPattern = () => {
+    const pattern = new FingeringPattern('wide');
+    pattern.setFingering(0, 0, 'right', 1);
+    pattern.setFingering(10, 5, 'right', 5);
+    return pattern;
+  };
+
+  it('should flag a hand spread wider than the hand span', () => {
+    const ergo = new ErgoAnalyzer();
+    const { issues } = ergo.analyzePattern(spreadPattern());
+    const span = issues.find(i => i.type === 'excessive_span');
+    expect(span).toBeDefined();
+    expect(span.distance).toBeGreaterThan(ergo.handSizes.medium.handSpan);
+  });
+
+  it('should scale limits from a measured hand span', () => {
+    const ergo = new ErgoAnalyzer();
+    ergo.setHandSpan(25);
+    expect(ergo.currentHandSize).toBe('span');
+    expect(ergo.handSizes.span.maxStretch).toBeCloseTo(6.6 * 25 / 20, 6);
+    expect(() => ergo.setHandSpan(0)).toThrow();
+  });
+
+  it('should ignore profiles that have not been built', () => {
+    const ergo = new ErgoAnalyzer();
+    ergo.setHandSize('custom');
+    expect(ergo.currentHandSize).toBe('medium');
+  });
+});
+
+describe('Handprint measurements', () => {
+  const positions = [
+    { row: 0, col: 0, finger: 1 },
+    { row: 1, col: 0, finger: 2 },
+    { row: 2, col: 1, finger: 3 },
+    { row: 1, col: 2, finger: 4 },
+    { row: 0, col: 4, finger: 5 }
+  ];
+
+  it('should measure every finger pair in cm', () => {
+    const measurements = measureHandprint(positions);
+    expect(Object.keys(measurements)).toHaveLength(10);
+    expect(measurements['1-2']).toBeCloseTo(2.2, 6);
+    expect(measurements['1-5']).toBeCloseTo(8.8, 6);
+  });
+
+  it('should re-measure legacy grid-unit handprints', () => {
+    const legacy = { positions, measurements: { '1-2': 1, '1-5': 4 } };
+    const normalized = normalizeHandprint(legacy);
+    expect(normalized.measurementUnit).toBe('cm');
+    expect(normalized.measurements['1-5']).toBeCloseTo(8.8, 6);
+    expect(normalizeHandprint(normalized)).toBe(normalized);
+  });
+
+  it('should keep every handprint distance in cm', () => {
+    expect(getPadSpanCm(positions)).toBeCloseTo(8.8, 6);
+    expect(getPadSpanCm(positions.slice(0, 1))).toBe(0);
+
+    const patterns = extractPatterns([{ hand: 'right', positions, measurements: measureHandprint(positions) }]);
+    expect(patterns.spanDistances[0]).toBeCloseTo(8.8, 6);
+    expect(patterns.avgSpan).toBeCloseTo(patterns.fingerDistances['1-5'].avg, 6);
+  });
+});
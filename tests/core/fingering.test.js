@@ -0,0 +1,190 @@
+/**
+ * Tests for fingering sequences, melody fingering and two-hand chord fingering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FingeringSequence, ErgoAnalyzer, parseMelody } from '../../src/core/fingering.js';
+import { Grid } from '../../src/core/grid.js';
+import { synthesizeFingerings } from '../../src/analysis/fingering-synthesizer.js';
+
+describe('FingeringSequence', () => {
+  it('should keep steps in order, with repeated pads and hand positions', () => {
+    const sequence = new FingeringSequence('C major, RH');
+    sequence.addStep({ row: 0, col: 0, hand: 'right', finger: 1 });
+    sequence.addStep({ row: 0, col: 2, hand: 'right', finger: 2, duration: 0.5 });
+    sequence.addStep({ row: 1, col: 0, hand: 'right', finger: 3 });
+    sequence.addStep({ row: 1, col: 1, hand: 'right', finger: 1, position: 1 });
+    sequence.addStep({ row: 0, col: 0, hand: 'right', finger: 2 });
+
+    expect(sequence.length).toBe(5);
+    expect(sequence.steps[1]).toMatchObject({ duration: 0.5, position: 0 });
+    // Steps without a position stay in the hand position before them
+    expect(sequence.steps[4].position).toBe(1);
+    expect(sequence.getHandPositions()).toEqual([
+      { position: 0, hand: 'right', start: 0, end: 2 },
+      { position: 1, hand: 'right', start: 3, end: 4 }
+    ]);
+
+    // The same pad can be played by different fingers; the pattern shows the latest
+    expect(sequence.toPattern().getFingering(0, 0)).toEqual({ hand: 'right', finger: 2 });
+    expect(sequence.toPattern(0, 2).getFingering(0, 0)).toEqual({ hand: 'right', finger: 1 });
+    expect(sequence.toPattern(3).fingerings.size).toBe(2);
+  });
+
+  it('should insert, update and remove steps', () => {
+    const sequence = new FingeringSequence();
+    sequence.addStep({ row: 0, col: 0, hand: 'left', finger: 5 });
+    sequence.addStep({ row: 0, col: 2, hand: 'left', finger: 3 });
+    sequence.insertStep(1, { row: 0, col: 1, hand: 'left', finger: 4 });
+    expect(sequence.steps.map(step => step.finger)).toEqual([5, 4, 3]);
+
+    sequence.updateStep(2, { finger: 2, duration: 1 });
+    expect(sequence.steps[2]).toMatchObject({ finger: 2, duration: 1 });
+    expect(sequence.removeStep(0)).toMatchObject({ finger: 5 });
+    expect(sequence.removeStep(9)).toBeNull();
+
+    expect(() => sequence.insertStep(5, { row: 0, col: 0, hand: 'left', finger: 1 })).toThrow();
+    expect(() => sequence.addStep({ row: 0, col: 0, hand: 'left', finger: 6 })).toThrow();
+    expect(() => sequence.updateStep(7, { finger: 1 })).toThrow();
+  });
+
+  it('should round-trip through JSON', () => {
+    const sequence = new FingeringSequence('Arpeggio');
+    sequence.metadata.key = 'G';
+    sequence.addStep({ row: 2, col: 1, hand: 'right', finger: 1, duration: 0.25 });
+    sequence.addStep({ row: 3, col: 1, hand: 'right', finger: 2, position: 2 });
+
+    const json = JSON.parse(JSON.stringify(sequence.toJSON()));
+    expect(json.type).toBe('sequence');
+    const copy = FingeringSequence.fromJSON(json);
+    expect(copy.name).toBe('Arpeggio');
+    expect(copy.metadata.key).toBe('G');
+    expect(copy.steps).toEqual(sequence.steps);
+
+    // Hand-written files may leave out the optional fields
+    const bare = FingeringSequence.fromJSON({ name: 'Old', steps: [{ row: 0, col: 0, hand: 'right', finger: 1 }], metadata: {} });
+    expect(bare.steps[0]).toMatchObject({ duration: null, position: 0 });
+  });
+});
+
+describe('Melody fingering', () => {
+  const grid = new Grid('intervals');
+
+  it('should parse melodies of note names and MIDI numbers', () => {
+    expect(parseMelody('C4 Eb4, G4 60')).toEqual([60, 63, 67, 60]);
+    expect(parseMelody('B#3 Cb4 A-1')).toEqual([60, 59, 9]);
+    expect(parseMelody('  ')).toEqual([]);
+    expect(() => parseMelody('C4 H4')).toThrow();
+    expect(() => parseMelody('C')).toThrow();
+    expect(() => parseMelody('G9 C10')).toThrow();
+  });
+
+  it('should pick a pad that sounds each note and keep repeated notes on one finger', () => {
+    const ergo = new ErgoAnalyzer(grid);
+    const melody = parseMelody('E4 D4 C4 D4 E4 E4 E4 D4 D4 D4 E4 G4 G4');
+    const { steps, cost } = ergo.optimizeMelody(melody, { baseMidi: 48 });
+
+    expect(steps).toHaveLength(melody.length);
+    steps.forEach((step, i) => {
+      expect(grid.getMidiNote(step.row, step.col, 48)).toBe(melody[i]);
+      expect(step).toMatchObject({ midiNote: melody[i], hand: 'right' });
+    });
+    expect(steps[5]).toMatchObject({ row: steps[4].row, col: steps[4].col, finger: steps[4].finger });
+    expect(Number.isFinite(cost)).toBe(true);
+
+    // The steps fit straight into a sequence
+    const sequence = new FingeringSequence('Melody');
+    steps.forEach(step => sequence.addStep(step));
+    expect(sequence.getHandPositions().length).toBeGreaterThan(0);
+  });
+
+  it('should order fingers away from the thumb for each hand', () => {
+    const ergo = new ErgoAnalyzer(grid);
+    // C3-D#3 lie along the bottom row
+    const right = ergo.optimizeMelody([48, 49, 50, 51]).steps.map(step => step.finger);
+    const left = ergo.optimizeMelody([48, 49, 50, 51], { hand: 'left' }).steps.map(step => step.finger);
+    expect(right).toEqual([...right].sort((a, b) => a - b));
+    expect(left).toEqual([...left].sort((a, b) => b - a));
+    expect(new Set(right).size).toBe(4);
+  });
+
+  it('should shift the hand for leaps and reject notes off the grid', () => {
+    const ergo = new ErgoAnalyzer(grid);
+    const { steps } = ergo.optimizeMelody([48, 84]);
+    expect(steps.map(step => step.position)).toEqual([0, 1]);
+
+    expect(ergo.optimizeMelody([])).toEqual({ steps: [], cost: 0 });
+    expect(() => ergo.optimizeMelody([48, 12])).toThrow();
+  });
+});
+
+describe('Two-hand fingering', () => {
+  const grid = new Grid('intervals');
+  const padFor = midi => grid.getPadsForMidi(midi, 48)[0];
+
+  it('should split a chord of more than five notes into bass and upper hands', () => {
+    const ergo = new ErgoAnalyzer(grid);
+    const notes = [48, 55, 64, 70, 74, 77, 81];
+    const { fingerings, dropped } = ergo.suggestTwoHandFingerings(notes.map(padFor), 48);
+
+    expect(dropped).toEqual([]);
+    expect(new Set(fingerings.map(f => `${f.row},${f.col}`)).size).toBe(notes.length);
+    const midi = f => grid.getMidiNote(f.row, f.col, 48);
+    const left = fingerings.filter(f => f.hand === 'left');
+    const right = fingerings.filter(f => f.hand === 'right');
+    expect(left.length).toBeGreaterThan(0);
+    expect(left.length).toBeLessThanOrEqual(5);
+    expect(right.length).toBeLessThanOrEqual(5);
+    expect(Math.max(...left.map(midi))).toBeLessThan(Math.min(...right.map(midi)));
+    for (const hand of [left, right]) {
+      expect(new Set(hand.map(f => f.finger)).size).toBe(hand.length);
+    }
+  });
+
+  it('should use both hands for a wide register and drop inner notes beyond ten', () => {
+    const ergo = new ErgoAnalyzer(grid);
+    expect(ergo.needsTwoHands([padFor(48), padFor(60)])).toBe(false);
+    expect(ergo.needsTwoHands([padFor(48), padFor(76)])).toBe(true);
+    const wide = ergo.suggestTwoHandFingerings([padFor(48), padFor(76)], 48);
+    expect(wide.fingerings.map(f => f.hand)).toEqual(['left', 'right']);
+
+    const twelve = Array.from({ length: 12 }, (_, i) => padFor(48 + 3 * i));
+    const { fingerings, dropped } = ergo.suggestTwoHandFingerings(twelve, 48);
+    expect(fingerings).toHaveLength(10);
+    expect(dropped.map(pad => grid.getMidiNote(pad.row, pad.col, 48))).toEqual([63, 66]);
+    expect(ergo.suggestFingerings(twelve, 'right', 48, grid).dropped).toEqual(dropped);
+  });
+
+  it('should keep octave doublings and split wide voicings between the hands', () => {
+    const ergo = new ErgoAnalyzer(grid);
+    const pads = [48, 55, 72, 76].map(padFor);
+    const { fingerings, dropped } = ergo.suggestFingerings([...pads, pads[0]], 'right', 48, grid);
+    expect(fingerings).toHaveLength(4);
+    expect(dropped).toEqual([]);
+    expect(new Set(fingerings.map(f => f.hand))).toEqual(new Set(['left', 'right']));
+
+    const close = ergo.suggestFingerings([48, 52, 55, 60].map(padFor), 'left', 48, grid);
+    expect(close.fingerings).toHaveLength(4);
+    expect(close.fingerings.every(f => f.hand === 'left')).toBe(true);
+  });
+
+  it('should suggest both hands for more than five notes', () => {
+    const ergo = new ErgoAnalyzer(grid);
+    const pads = [48, 50, 52, 53, 55, 57, 59].map(padFor);
+    const { fingerings } = ergo.suggestFingerings(pads, 'right', 48, grid);
+    expect(fingerings).toHaveLength(7);
+    expect(new Set(fingerings.map(f => f.hand))).toEqual(new Set(['left', 'right']));
+  });
+
+  it('should synthesize six-note chords split between both hands when no tone may go', () => {
+    const c13 = [0, 4, 7, 10, 2, 9];
+    const suggestions = synthesizeFingerings(c13, [], 48, 'right', 5);
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(s => {
+      expect(s.hand).toBe('both');
+      expect(s.positions).toHaveLength(6);
+      expect(s.omittedPitchClasses).toEqual([]);
+      expect(s.positions.every(p => p.hand === 'left' || p.hand === 'right')).toBe(true);
+    });
+  });
+});
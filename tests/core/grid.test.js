@@ -10,10 +10,16 @@ import {
   getPadIndex,
   getRowCol,
   getMidiNote,
+  getPadsForMidi,
+  getPadsForPitchClass,
+  Grid,
   getCellCenter,
   getHexPoints,
-  getViewBox
+  getViewBox,
+  getGridSpan,
+  getVoiceLeadingPadMoves
 } from '../../src/core/grid.js';
+import { findVoiceLeading } from '../../src/core/chord-dictionary.js';
 
 describe('Grid Geometry', () => {
   describe('Row structure', () => {
@@ -82,6 +88,53 @@ describe('Grid Geometry', () => {
     });
   });
 
+  describe('Reverse lookup', () => {
+    it('should return every pad that sounds a MIDI note', () => {
+      // Pad index 7 (G3 with base 48) sits on row 1 col 3 and row 2 col 0
+      expect(getPadsForMidi(55)).toEqual([
+        { row: 1, col: 3 },
+        { row: 2, col: 0 }
+      ]);
+      expect(getPadsForMidi(52)).toEqual([
+        { row: 0, col: 4 },
+        { row: 1, col: 0 }
+      ]);
+      expect(getPadsForMidi(48)).toEqual([{ row: 0, col: 0 }]);
+      expect(getPadsForMidi(47)).toEqual([]);
+    });
+
+    it('should agree with getRowCol for the first match', () => {
+      for (let index = 0; index <= 40; index++) {
+        const pads = getPadsForMidi(48 + index);
+        expect(pads[0]).toEqual(getRowCol(index));
+        for (const { row, col } of pads) {
+          expect(getMidiNote(row, col)).toBe(48 + index);
+        }
+      }
+    });
+
+    it('should return every pad that sounds a pitch class', () => {
+      const cPads = getPadsForPitchClass(0);
+      expect(cPads.length).toBeGreaterThan(3);
+      for (const pad of cPads) {
+        expect(pad.midiNote % 12).toBe(0);
+        expect(getMidiNote(pad.row, pad.col)).toBe(pad.midiNote);
+      }
+
+      // Every pad sounds exactly one pitch class
+      let total = 0;
+      for (let pc = 0; pc < 12; pc++) total += getPadsForPitchClass(pc).length;
+      expect(total).toBe(61);
+    });
+
+    it('should have unique pads in the chromatic layout', () => {
+      const chromatic = new Grid('chromatic');
+      for (let id = 0; id <= 60; id++) {
+        expect(chromatic.getPadsForMidi(id, 0)).toHaveLength(1);
+      }
+    });
+  });
+
   describe('Geometry calculations', () => {
     it('should calculate cell centers', () => {
       const center1 = getCellCenter(0, 0);
@@ -108,5 +161,64 @@ describe('Grid Geometry', () => {
       expect(landscapeVB.width).toBe(portraitVB.height);
       expect(landscapeVB.height).toBe(portraitVB.width);
     });
+
+    it('should measure the span of a set of pads in hex steps', () => {
+      expect(getGridSpan([])).toBe(0);
+      expect(getGridSpan([{ row: 2, col: 2 }])).toBe(0);
+      expect(getGridSpan([{ row: 0, col: 0 }, { row: 0, col: 1 }])).toBe(1);
+      expect(getGridSpan([{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 4 }])).toBe(4);
+    });
+  });
+
+  describe('Voice leading', () => {
+    it('should turn voice moves into pad moves and hold common tones', () => {
+      // C E G → C F A; the C in the second voicing sits on a unison pad
+      const fromPads = [{ row: 0, col: 0 }, { row: 1, col: 0 }, { row: 2, col: 0 }];
+      const toPads = [{ row: 0, col: 0 }, { row: 1, col: 1 }, { row: 2, col: 2 }];
+      const { moves, distance, commonTones } = findVoiceLeading([48, 52, 55], [48, 53, 57]);
+      expect(distance).toBe(3);
+      expect(commonTones).toEqual([48]);
+
+      const padMoves = getVoiceLeadingPadMoves(fromPads, toPads, moves);
+      expect(padMoves[0]).toMatchObject({ held: true, steps: 0, to: { row: 0, col: 0 } });
+      expect(padMoves[1]).toMatchObject({ held: false, semitones: 1, to: { row: 1, col: 1 }, steps: 1 });
+      expect(padMoves[2]).toMatchObject({ semitones: 2, steps: 2 });
+
+      // A held note stays on its own pad even if the next voicing uses a unison
+      const unison = getVoiceLeadingPadMoves([{ row: 1, col: 0 }], [{ row: 0, col: 4 }], [{ fromIndex: 0, toIndex: 0, semitones: 0 }]);
+      expect(unison[0]).toMatchObject({ held: true, to: { row: 1, col: 0 }, steps: 0 });
+    });
+  });
+
+  describe('Tonnetz triangles', () => {
+    it('should build triads from the NE/NW neighbour and the pad two rows up', () => {
+      const triangles = new Grid('intervals').getTriadTriangles(48);
+      const cSharp = triangles.filter(t => t.pads[0].row === 0 && t.pads[0].col === 1);
+      expect(cSharp.map(t => t.quality)).toEqual(['major', 'minor']);
+      expect(cSharp[0].pads).toEqual([
+        { row: 0, col: 1, midiNote: 49 },
+        { row: 1, col: 1, midiNote: 53 },
+        { row: 2, col: 1, midiNote: 56 }
+      ]);
+      expect(cSharp[1].pads[1]).toEqual({ row: 1, col: 0, midiNote: 52 });
+      // Triads a P apart share their root-fifth edge
+      expect(cSharp[1].pads[2]).toEqual(cSharp[0].pads[2]);
+      // No NW neighbour on the left edge, so no minor triad
+      expect(triangles.filter(t => t.pads[0].row === 0 && t.pads[0].col === 0)).toHaveLength(1);
+      // Pads near the top have no fifth two rows up
+      expect(triangles.some(t => t.pads[0].row >= ROW_COUNT - 2)).toBe(false);
+    });
+
+    it('should use unit triangles on the harmonic table', () => {
+      const grid = new Grid('harmonic-table');
+      for (const { pads } of grid.getTriadTriangles(48)) {
+        for (const [a, b] of [[0, 1], [1, 2], [0, 2]]) {
+          expect(Math.hypot(
+            getCellCenter(pads[a].row, pads[a].col).x - getCellCenter(pads[b].row, pads[b].col).x,
+            getCellCenter(pads[a].row, pads[a].col).y - getCellCenter(pads[b].row, pads[b].col).y
+          )).toBeLessThan(40);
+        }
+      }
+    });
   });
 });
@@ -0,0 +1,34 @@
+/**
+ * Tests for diatonic harmony
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getDiatonicChords } from '../../src/core/harmony.js';
+
+describe('Diatonic Harmony', () => {
+  it('should build the triads and sevenths of the major scale', () => {
+    const triads = getDiatonicChords('C', 'maj');
+    expect(triads.map(c => c.numeral)).toEqual(['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°']);
+    expect(triads[4]).toMatchObject({ degree: 5, root: 7, quality: 'major', pitchClasses: [7, 11, 2] });
+
+    const sevenths = getDiatonicChords('C', 'maj', { size: 4 });
+    expect(sevenths.map(c => c.quality)).toEqual(['maj7', 'min7', 'min7', 'maj7', 'dom7', 'min7', 'hdim7']);
+    expect(sevenths[6].numeral).toBe('viiø7');
+  });
+
+  it('should mark degrees that differ from the major scale', () => {
+    expect(getDiatonicChords('A', 'natmin').map(c => c.numeral))
+      .toEqual(['i', 'ii°', 'bIII', 'iv', 'v', 'bVI', 'bVII']);
+    expect(getDiatonicChords('C', 'harmin', { size: 4 }).map(c => c.numeral))
+      .toEqual(['i(maj7)', 'iiø7', 'bIII+maj7', 'iv7', 'V7', 'bVImaj7', 'vii°7']);
+    // Eb major: the V chord is Bb
+    expect(getDiatonicChords('Eb', 'maj')[4].root).toBe(10);
+  });
+
+  it('should only harmonise 7-note scales', () => {
+    expect(getDiatonicChords('C', 'majpent')).toEqual([]);
+    expect(getDiatonicChords('C', 'dom7')).toEqual([]);
+    expect(() => getDiatonicChords('C', 'nope')).toThrow(/set type/);
+    expect(() => getDiatonicChords('H', 'maj')).toThrow(/key/);
+  });
+});
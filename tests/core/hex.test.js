@@ -0,0 +1,151 @@
+/**
+ * Tests for hex coordinate module and grid hex helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  offsetToAxial,
+  axialToOffset,
+  offsetToCube,
+  cubeToOffset,
+  cubeRound,
+  axialDistance,
+  offsetDistance,
+  axialRange,
+  axialRing,
+  axialLine
+} from '../../src/core/hex.js';
+import {
+  ROW_COUNT,
+  getRowLength,
+  getNeighbors,
+  getGridDistance,
+  isValidPad,
+  getPadsInRange,
+  getPadRing,
+  getPadLine,
+  findPadPath
+} from '../../src/core/grid.js';
+
+describe('Hex Coordinates', () => {
+  describe('Conversions', () => {
+    it('should round-trip every pad through axial and cube coordinates', () => {
+      for (let row = 0; row < ROW_COUNT; row++) {
+        for (let col = 0; col < getRowLength(row); col++) {
+          const { q, r } = offsetToAxial(row, col);
+          expect(axialToOffset(q, r)).toEqual({ row, col });
+
+          const cube = offsetToCube(row, col);
+          expect(cube.q + cube.r + cube.s).toBe(0);
+          expect(cubeToOffset(cube)).toEqual({ row, col });
+        }
+      }
+    });
+
+    it('should shift q back by one every two rows', () => {
+      expect(offsetToAxial(0, 0)).toEqual({ q: 0, r: 0 });
+      expect(offsetToAxial(1, 0)).toEqual({ q: 0, r: 1 });
+      expect(offsetToAxial(2, 0)).toEqual({ q: -1, r: 2 });
+      expect(offsetToAxial(3, 2)).toEqual({ q: 1, r: 3 });
+    });
+
+    it('should round fractional cubes to a valid hex', () => {
+      const hex = cubeRound({ q: 0.4, r: 0.4, s: -0.8 });
+      expect(hex.q + hex.r + hex.s).toBe(0);
+      expect(hex).toEqual({ q: 0, r: 1, s: -1 });
+    });
+  });
+
+  describe('Distance', () => {
+    it('should count single-pad steps', () => {
+      expect(offsetDistance(0, 0, 0, 0)).toBe(0);
+      expect(offsetDistance(0, 0, 0, 1)).toBe(1);
+      expect(offsetDistance(0, 0, 1, 0)).toBe(1); // NE neighbour
+      expect(offsetDistance(0, 0, 1, 1)).toBe(2);
+      expect(offsetDistance(0, 0, 2, 0)).toBe(2);
+      expect(offsetDistance(0, 0, 10, 5)).toBe(10);
+      expect(offsetDistance(0, 5, 10, 0)).toBe(10);
+    });
+
+    it('should be 1 for every neighbour', () => {
+      for (let row = 0; row < ROW_COUNT; row++) {
+        for (let col = 0; col < getRowLength(row); col++) {
+          for (const n of getNeighbors(row, col)) {
+            expect(getGridDistance(row, col, n.row, n.col)).toBe(1);
+          }
+        }
+      }
+    });
+
+    it('should be symmetric', () => {
+      const a = offsetToAxial(3, 1);
+      const b = offsetToAxial(8, 4);
+      expect(axialDistance(a, b)).toBe(axialDistance(b, a));
+    });
+  });
+
+  describe('Ranges and rings', () => {
+    it('should have 3n(n+1)+1 hexes in a range', () => {
+      for (const radius of [0, 1, 2, 3]) {
+        expect(axialRange({ q: 0, r: 0 }, radius)).toHaveLength(3 * radius * (radius + 1) + 1);
+      }
+    });
+
+    it('should have 6n hexes on a ring, all at distance n', () => {
+      const center = { q: 2, r: -1 };
+      for (const radius of [1, 2, 3]) {
+        const ring = axialRing(center, radius);
+        expect(ring).toHaveLength(6 * radius);
+        for (const hex of ring) {
+          expect(axialDistance(center, hex)).toBe(radius);
+        }
+      }
+    });
+
+    it('should clip ranges and rings to the 61 pads', () => {
+      expect(getPadsInRange(5, 2, 1)).toHaveLength(7);
+      expect(getPadsInRange(0, 0, 1)).toHaveLength(3); // Corner: self, E, NE
+      expect(getPadsInRange(5, 2, 20)).toHaveLength(61);
+      expect(getPadsInRange(5, 2, 2)[0]).toEqual({ row: 5, col: 2 });
+
+      for (const pad of getPadRing(0, 0, 2)) {
+        expect(isValidPad(pad.row, pad.col)).toBe(true);
+        expect(getGridDistance(0, 0, pad.row, pad.col)).toBe(2);
+      }
+    });
+  });
+
+  describe('Lines and paths', () => {
+    it('should draw a contiguous line', () => {
+      const line = axialLine({ q: 0, r: 0 }, { q: 3, r: 2 });
+      expect(line).toHaveLength(6);
+      for (let i = 1; i < line.length; i++) {
+        expect(axialDistance(line[i - 1], line[i])).toBe(1);
+      }
+    });
+
+    it('should return the straight line between pads', () => {
+      expect(getPadLine(0, 0, 0, 3)).toEqual([
+        { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }, { row: 0, col: 3 }
+      ]);
+    });
+
+    it('should find a shortest path and route around blocked pads', () => {
+      const direct = findPadPath(0, 0, 0, 3);
+      expect(direct).toHaveLength(4);
+
+      const blocked = new Set(['0,1', '0,2']);
+      const detour = findPadPath(0, 0, 0, 3, blocked);
+      expect(detour[0]).toEqual({ row: 0, col: 0 });
+      expect(detour[detour.length - 1]).toEqual({ row: 0, col: 3 });
+      expect(detour.some(p => blocked.has(`${p.row},${p.col}`))).toBe(false);
+      expect(detour).toHaveLength(5);
+    });
+
+    it('should return null for unreachable or invalid pads', () => {
+      expect(findPadPath(0, 0, 0, 6)).toBeNull();
+      // Corner pad walled off by its only two neighbours
+      expect(findPadPath(0, 0, 5, 2, new Set(['0,1', '1,0']))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for key detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { KeyDetector, rankKeys, matchScales } from '../../src/core/key-detection.js';
+
+/**
+ * Play notes one after another on a detector, each held for `length` ms
+ */
+function play(detector, notes, start = 0, length = 400) {
+  let time = start;
+  for (const note of notes) {
+    detector.noteOn(note, time);
+    time += length;
+    detector.noteOff(note, time);
+  }
+  return time;
+}
+
+describe('Key Detection', () => {
+  it('should find major and minor keys from scales and tunes', () => {
+    const detector = new KeyDetector();
+    const end = play(detector, [67, 69, 71, 72, 74, 76, 78, 79, 74, 71, 67]);
+    expect(detector.detect(end)).toMatchObject({ tonic: 7, mode: 'major', setType: 'maj', noteCount: 11 });
+
+    detector.clear();
+    const minor = play(detector, [57, 60, 64, 62, 60, 59, 57, 64, 65, 64, 57]);
+    expect(detector.detect(minor)).toMatchObject({ tonic: 9, mode: 'minor', setType: 'natmin' });
+    expect(detector.detect(minor).alternatives).toHaveLength(2);
+    expect(new KeyDetector().detect()).toBeNull();
+  });
+
+  it('should name the scale from the catalogue when the notes leave the key', () => {
+    const detector = new KeyDetector();
+    // A harmonic minor: G# instead of G
+    const end = play(detector, [57, 59, 60, 62, 64, 65, 68, 69, 64, 57, 68, 57]);
+    expect(detector.detect(end)).toMatchObject({ tonic: 9, mode: 'minor', setType: 'harmin' });
+    expect(matchScales(0, [0, 2, 4, 6, 7, 9, 11])[0]).toBe('lydian');
+    expect(rankKeys(new Array(12).fill(0))).toEqual([]);
+  });
+
+  it('should follow a modulation through the rolling window', () => {
+    const detector = new KeyDetector({ maxNotes: 16, windowMs: 60000 });
+    let time = play(detector, [60, 62, 64, 65, 67, 69, 71, 72, 67, 64, 60]);
+    expect(detector.detect(time)).toMatchObject({ tonic: 0, mode: 'major' });
+
+    time = play(detector, [62, 64, 66, 67, 69, 71, 73, 74, 69, 66, 62, 74, 73, 69], time);
+    expect(detector.detect(time)).toMatchObject({ tonic: 2, mode: 'major' });
+    expect(detector.notes).toHaveLength(16);
+
+    // Notes older than the window are dropped
+    expect(detector.getWeights(time + 120000).every(weight => weight === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for layout registry and layout-aware grid math
+ */
+
+import { describe, it, expect } from 'vitest';
+import { registerLayout, getLayout, hasLayout, listLayouts } from '../../src/core/layouts.js';
+import {
+  Grid,
+  ROW_START_INTERVALS,
+  ROW_START_CHROMATIC,
+  getRowStarts,
+  INTERVAL_VECTORS,
+  findIntervalVector
+} from '../../src/core/grid.js';
+
+describe('Layout registry', () => {
+  it('should register the built-in layouts', () => {
+    const ids = listLayouts().map(l => l.id);
+    expect(ids).toEqual(expect.arrayContaining(['intervals', 'chromatic', 'wicki-hayden', 'harmonic-table', 'janko']));
+  });
+
+  it('should derive the horizontal step from the NW/NE vectors', () => {
+    expect(getLayout('intervals').step).toBe(1);
+    expect(getLayout('wicki-hayden').step).toBe(2);
+    expect(getLayout('harmonic-table').step).toBe(4);
+    expect(getLayout('janko').step).toBe(2);
+  });
+
+  it('should derive the existing row start tables from the vectors', () => {
+    expect(getRowStarts(getLayout('intervals'))).toEqual(ROW_START_INTERVALS);
+    expect(getRowStarts(getLayout('chromatic'))).toEqual(ROW_START_CHROMATIC);
+  });
+
+  it('should reject invalid definitions', () => {
+    expect(() => registerLayout('bad', { nw: 2, ne: 2 })).toThrow();
+    expect(() => registerLayout('bad', { nw: 1.5, ne: 2 })).toThrow();
+    expect(hasLayout('bad')).toBe(false);
+    expect(() => getLayout('missing')).toThrow();
+  });
+
+  it('should accept an explicit row-start rule', () => {
+    const layout = registerLayout('test-rows', { nw: 3, ne: 4, rowStart: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100] });
+    expect(getRowStarts(layout)[3]).toBe(30);
+  });
+
+  it('should find interval vectors for a layout', () => {
+    expect(INTERVAL_VECTORS.majorThirdUp).toEqual({ row: 1, col: 0 });
+    expect(INTERVAL_VECTORS.minorThirdUp).toEqual({ row: 1, col: -1 });
+    expect(INTERVAL_VECTORS.perfectFifth).toEqual({ row: 2, col: 0 });
+
+    const wh = getLayout('wicki-hayden');
+    expect(findIntervalVector(7, wh)).toEqual({ row: 1, col: 0 });
+    expect(findIntervalVector(2, wh)).toEqual({ row: 0, col: 1 });
+  });
+});
+
+describe('Grid instances', () => {
+  it('should do pitch math for their own layout', () => {
+    const grid = new Grid('wicki-hayden');
+    expect(grid.mode).toBe('wicki-hayden');
+    expect(grid.rowStarts[1]).toBe(7);
+    expect(grid.getPadIndex(0, 1)).toBe(2);  // Whole tone to the right
+    expect(grid.getMidiNote(1, 0)).toBe(55); // NE = fifth
+    expect(grid.getRowCol(7)).toEqual({ row: 1, col: 0 });
+    expect(grid.getIntervalVectors().perfectFifth).toEqual({ row: 1, col: 0 });
+  });
+
+  it('should let chromatic and musical grids coexist', () => {
+    const padIds = new Grid('chromatic');
+    const music = new Grid('intervals');
+
+    // Pad ID 11 is row 2, col 0 on the device...
+    const { row, col } = padIds.getRowCol(11);
+    expect({ row, col }).toEqual({ row: 2, col: 0 });
+    // ...which sounds a fifth above pad (0,0) in the thirds layout
+    expect(music.getPadIndex(row, col)).toBe(7);
+    expect(padIds.getPadIndex(row, col)).toBe(11);
+  });
+
+  it('should be immutable', () => {
+    const grid = new Grid('intervals');
+    expect(() => { grid.layout = getLayout('janko'); }).toThrow();
+  });
+
+  it('should reject unknown layouts', () => {
+    expect(() => new Grid('nope')).toThrow();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for the MIDIsplainer dictionary importer
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseBinaryPcs,
+  parseMidisplainerDictionary,
+  importMidisplainerDictionary
+} from '../../src/core/midisplainer.js';
+import { getCatalogueEntry, groupCatalogue } from '../../src/core/catalogue.js';
+import { CHORD_QUALITIES, getChordName } from '../../src/core/chord-dictionary.js';
+import { PITCH_CLASS_SETS, formatBinaryPcs } from '../../src/core/music.js';
+import { recognizePcs } from '../../src/core/recognizer.js';
+
+describe('MIDIsplainer Importer', () => {
+  it('should read binary PCS values', () => {
+    expect(parseBinaryPcs(145)).toEqual([0, 4, 7]);
+    expect(parseBinaryPcs('000010010001')).toEqual([0, 4, 7]);
+    expect(parseBinaryPcs('0,3,7')).toEqual([0, 3, 7]);
+    expect(parseBinaryPcs([0, 1, 6])).toEqual([0, 1, 6]);
+    expect(parseBinaryPcs(formatBinaryPcs(1169).binary)).toEqual([0, 4, 7, 10]);
+    expect(() => parseBinaryPcs('100010010000')).toThrow(/root/);
+    expect(() => parseBinaryPcs(5000)).toThrow();
+    expect(() => parseBinaryPcs('maj')).toThrow();
+  });
+
+  it('should parse JSON and CSV exports', () => {
+    const json = parseMidisplainerDictionary(JSON.stringify({
+      chords: [
+        { name: 'Mu major', binary: '000010010101', aliases: 'add2|Mu' },
+        { name: 'Steely Dan', binary: '000010010101' },
+        { name: 'Broken' }
+      ]
+    }));
+    expect(json.entries).toHaveLength(1);
+    expect(json.entries[0]).toMatchObject({ name: 'Mu major', type: 'chord', intervals: [0, 2, 4, 7] });
+    expect(json.entries[0].aliases).toEqual(['add2', 'Mu', 'Steely Dan']);
+    expect(json.errors).toHaveLength(1);
+
+    const keyed = parseMidisplainerDictionary('{"1169": "Petrushka"}');
+    expect(keyed.entries[0].intervals).toEqual([0, 4, 7, 10]);
+
+    const csv = parseMidisplainerDictionary('Name,Binary,Aliases,Type\n"Viennese trichord",000001100001,,chord\nPelog,000110001011,,scale');
+    expect(csv.entries.map(e => e.type)).toEqual(['chord', 'scale']);
+    expect(csv.entries[0].intervals).toEqual([0, 5, 6]);
+
+    expect(() => parseMidisplainerDictionary('')).toThrow();
+    expect(() => parseMidisplainerDictionary('[oops')).toThrow(/JSON/);
+  });
+
+  it('should add entries to the catalogue and report conflicts', () => {
+    const file = JSON.stringify([
+      { name: 'Viennese trichord', binary: [0, 1, 6], symbol: 'viennese', aliases: ['m7'] },
+      { name: 'Major triad', binary: 145 },
+      { name: 'Dominant 7th', binary: [0, 4, 6, 11] }
+    ]);
+    const { imported, conflicts } = importMidisplainerDictionary(file);
+
+    expect(imported.map(e => e.name)).toEqual(['Viennese trichord', 'Dominant 7th (MIDIsplainer)']);
+    expect(conflicts.map(c => c.kind)).toEqual(['name', 'duplicate', 'name']);
+    expect(conflicts.find(c => c.kind === 'duplicate').builtIn).toBe('major');
+
+    const viennese = imported[0];
+    expect(getCatalogueEntry(viennese.id)).toBe(viennese);
+    expect(viennese.aliases).toEqual([]);
+    expect(CHORD_QUALITIES[viennese.id]).toEqual([0, 1, 6]);
+    expect(PITCH_CLASS_SETS[viennese.id].type).toBe('chord');
+    expect(getChordName(2, viennese.id)).toBe('D Viennese trichord');
+    expect(groupCatalogue('chord').at(-1).label).toBe('Imported');
+    expect(recognizePcs([2, 3, 8])[0].name).toBe('Dviennese');
+
+    // Importing the same file again adds nothing
+    expect(importMidisplainerDictionary(file).imported).toHaveLength(0);
+  });
+});
@@ -13,7 +13,17 @@ import {
   pcsToBinary,
   binaryToPcs,
   getInterval,
-  transposePcs
+  transposePcs,
+  normalForm,
+  primeForm,
+  intervalVector,
+  invertPcs,
+  complementPcs,
+  isSubsetPcs,
+  isSupersetPcs,
+  isAbstractSubsetPcs,
+  forteNumber,
+  FORTE_CATALOGUE
 } from '../../src/core/music.js';
 
 describe('Music Theory', () => {
@@ -115,4 +125,78 @@ describe('Music Theory', () => {
       expect(bflatMajor).toEqual(new Set([10, 2, 5]));
     });
   });
+
+  describe('Set theory', () => {
+    it('should find the normal form', () => {
+      expect(normalForm([0, 4, 7])).toEqual([0, 4, 7]);
+      expect(normalForm(new Set([2, 5, 11]))).toEqual([11, 2, 5]);
+      expect(normalForm([7, 0, 4, 10])).toEqual([4, 7, 10, 0]);
+      // Symmetrical sets start on the lowest PC
+      expect(normalForm([9, 3, 0, 6])).toEqual([0, 3, 6, 9]);
+    });
+
+    it('should find the prime form', () => {
+      expect(primeForm([0, 4, 7])).toEqual([0, 3, 7]);
+      expect(primeForm([0, 3, 7])).toEqual([0, 3, 7]);
+      expect(primeForm([0, 4, 7, 10])).toEqual([0, 2, 5, 8]);
+      // Rahn and Forte differ here; we follow Rahn
+      expect(primeForm([0, 1, 5, 6, 8])).toEqual([0, 1, 5, 6, 8]);
+      expect(primeForm([])).toEqual([]);
+    });
+
+    it('should compute interval-class vectors', () => {
+      expect(intervalVector([0, 4, 7])).toEqual([0, 0, 1, 1, 1, 0]);
+      expect(intervalVector([0, 2, 4, 5, 7, 9, 11])).toEqual([2, 5, 4, 3, 6, 1]);
+      expect(intervalVector([0, 1, 4, 6])).toEqual([1, 1, 1, 1, 1, 1]);
+    });
+
+    it('should name set classes with Forte numbers', () => {
+      expect(forteNumber([0, 4, 7])).toBe('3-11');
+      expect(forteNumber([0, 3, 6, 9])).toBe('4-28');
+      expect(forteNumber([0, 1, 4, 6])).toBe('4-Z15');
+      expect(forteNumber([0, 2, 4, 7, 9])).toBe('5-35');
+      expect(forteNumber([0, 2, 4, 6, 8, 10])).toBe('6-35');
+      expect(forteNumber([0, 2, 4, 5, 7, 9, 11])).toBe('7-35');
+      expect(forteNumber([0, 1, 3, 4, 6, 7, 9, 10])).toBe('8-28');
+      expect(forteNumber([0, 7])).toBe('2-5');
+    });
+
+    it('should cover every set class exactly once', () => {
+      const classes = new Set();
+      for (let binary = 0; binary < 4096; binary++) {
+        classes.add(primeForm(binaryToPcs(binary)).join(','));
+      }
+      expect(classes.size).toBe(224);
+      expect(Object.keys(FORTE_CATALOGUE).sort()).toEqual([...classes].sort());
+      expect(new Set(Object.values(FORTE_CATALOGUE)).size).toBe(224);
+    });
+
+    it('should give Z-related sets the same interval vector', () => {
+      const vectorOf = (name) => {
+        const pf = Object.keys(FORTE_CATALOGUE).find(k => FORTE_CATALOGUE[k] === name);
+        return intervalVector(pf.split(',').map(Number));
+      };
+      expect(vectorOf('4-Z15')).toEqual(vectorOf('4-Z29'));
+      expect(vectorOf('5-Z12')).toEqual(vectorOf('5-Z36'));
+      expect(vectorOf('6-Z3')).toEqual(vectorOf('6-Z36'));
+      expect(vectorOf('6-Z29')).toEqual(vectorOf('6-Z50'));
+    });
+
+    it('should invert and complement', () => {
+      expect(invertPcs([0, 4, 7])).toEqual(new Set([0, 8, 5]));
+      expect(invertPcs([0, 4, 7], 7)).toEqual(new Set([7, 3, 0]));
+      expect(complementPcs([0, 2, 4, 5, 7, 9, 11])).toEqual(new Set([1, 3, 6, 8, 10]));
+      expect(forteNumber(complementPcs([0, 2, 4, 7, 9]))).toBe('7-35');
+    });
+
+    it('should test subset and superset relations', () => {
+      const cMajor = [0, 2, 4, 5, 7, 9, 11];
+      expect(isSubsetPcs([0, 4, 7], cMajor)).toBe(true);
+      expect(isSubsetPcs([0, 3, 7], cMajor)).toBe(false);
+      expect(isSupersetPcs(cMajor, new Set([2, 5, 9]))).toBe(true);
+      // C minor is not in C major, but some minor triad is
+      expect(isAbstractSubsetPcs([0, 3, 7], cMajor)).toBe(true);
+      expect(isAbstractSubsetPcs([0, 4, 8], cMajor)).toBe(false);
+    });
+  });
 });
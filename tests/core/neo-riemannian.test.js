@@ -0,0 +1,89 @@
+/**
+ * Tests for neo-Riemannian transformations
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  applyTransform,
+  parseTransformChain,
+  getTransformCycle,
+  voiceTriadOnGrid,
+  buildTransformPath,
+  getTriadPitchClasses
+} from '../../src/core/neo-riemannian.js';
+import { Grid } from '../../src/core/grid.js';
+import { LAYOUTS } from '../../src/core/layouts.js';
+
+const C_MAJOR = { root: 0, quality: 'major' };
+
+describe('Neo-Riemannian Transformations', () => {
+  it('should move one voice for P, L and R', () => {
+    expect(applyTransform(C_MAJOR, 'P')).toMatchObject({ triad: { root: 0, quality: 'minor' }, from: 4, to: 3, semitones: -1 });
+    expect(applyTransform(C_MAJOR, 'L')).toMatchObject({ triad: { root: 4, quality: 'minor' }, from: 0, to: 11, semitones: -1 });
+    expect(applyTransform(C_MAJOR, 'R')).toMatchObject({ triad: { root: 9, quality: 'minor' }, from: 7, to: 9, semitones: 2 });
+    // Each transformation undoes itself
+    for (const op of 'PLR') {
+      expect(applyTransform(applyTransform(C_MAJOR, op).triad, op).triad).toEqual(C_MAJOR);
+    }
+    expect(() => applyTransform({ root: 0, quality: 'dim' }, 'P')).toThrow();
+  });
+
+  it('should expand compound transformations and reject unknown letters', () => {
+    expect(parseTransformChain('p l-r')).toEqual(['P', 'L', 'R']);
+    expect(parseTransformChain('NSH')).toEqual([...'RLPLPRLPL']);
+    expect(() => parseTransformChain('PX')).toThrow(/X/);
+    expect(() => parseTransformChain('')).toThrow();
+  });
+
+  it('should close PL, PR and PLR cycles', () => {
+    // PL is hexatonic (C Cm Ab Abm E Em), PR octatonic; LR visits all 24 triads
+    expect(getTransformCycle(C_MAJOR, ['P', 'L']).join('')).toBe('PLPLPL');
+    expect(getTransformCycle(C_MAJOR, ['P', 'R'])).toHaveLength(8);
+    expect(getTransformCycle(C_MAJOR, ['P', 'L', 'R'])).toHaveLength(6);
+    expect(getTransformCycle(C_MAJOR, ['L', 'R'])).toHaveLength(24);
+  });
+
+  it('should keep common tones on their pads along a path', () => {
+    const grid = new Grid('intervals');
+    const pads = voiceTriadOnGrid(C_MAJOR, { grid, baseMidi: 48 });
+    expect(pads.map(pad => pad.midiNote)).toEqual([60, 64, 67]);
+    pads.forEach(pad => expect(grid.getMidiNote(pad.row, pad.col, 48)).toBe(pad.midiNote));
+
+    const path = buildTransformPath(C_MAJOR, pads, ['P', 'L'], { grid, baseMidi: 48 });
+    expect(path.map(step => step.pads.map(pad => pad.midiNote))).toEqual([[60, 63, 67], [60, 63, 68]]);
+    expect(path[0].pads[0]).toBe(pads[0]);
+    expect(path[0].moves.map(move => move.semitones)).toEqual([0, -1, 0]);
+    path.forEach(step => step.pads.forEach(pad => {
+      expect(grid.getMidiNote(pad.row, pad.col, 48)).toBe(pad.midiNote);
+    }));
+  });
+
+  it('should voice and walk a PLR chain on every layout', () => {
+    const chain = ['P', 'L', 'R', 'P', 'L', 'R'];
+    for (const id of Object.keys(LAYOUTS)) {
+      const grid = new Grid(id);
+      // Some layouts lack a pitch class at this base note (Wicki-Hayden has no F, Janko no B)
+      const onGrid = new Set();
+      for (let row = 0; row < 11; row++) {
+        for (let col = 0; col < (row % 2 === 0 ? 6 : 5); col++) onGrid.add(grid.getMidiNote(row, col, 48) % 12);
+      }
+
+      for (const start of [C_MAJOR, { root: 9, quality: 'minor' }, { root: 11, quality: 'major' }]) {
+        const triads = [start];
+        chain.forEach(op => triads.push(applyTransform(triads[triads.length - 1], op).triad));
+        const pcs = triads.flatMap(triad => getTriadPitchClasses(triad));
+        const walk = () => buildTransformPath(start, voiceTriadOnGrid(start, { grid, baseMidi: 48 }), chain, { grid, baseMidi: 48 });
+
+        if (!pcs.every(pc => onGrid.has(pc))) {
+          expect(walk, `${id} from ${start.root}`).toThrow(/No pad sounds/);
+          continue;
+        }
+        const path = walk();
+        expect(path.map(step => step.triad)).toEqual(triads.slice(1));
+        path.flatMap(step => step.pads).forEach(pad => {
+          expect(grid.getMidiNote(pad.row, pad.col, 48)).toBe(pad.midiNote);
+        });
+      }
+    }
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for pitch class set recognizer
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  recognizePcs,
+  recognizeMidiNotes,
+  describeRecognition
+} from '../../src/core/recognizer.js';
+
+const names = (results) => results.map(r => r.name);
+
+describe('Recognizer', () => {
+  it('should name a chord with slash alternatives', () => {
+    const results = recognizePcs([0, 4, 7, 10]);
+    expect(results[0]).toMatchObject({ name: 'C7', root: 0, id: 'dom7', type: 'chord', slash: false });
+    expect(names(results)).toContain('Edim/C');
+    expect(results.find(r => r.name === 'Edim/C')).toMatchObject({ root: 4, bass: 0, slash: true });
+  });
+
+  it('should find every rotation of a set', () => {
+    expect(names(recognizePcs([9, 0, 4, 7])).slice(0, 2)).toEqual(['Am7', 'C6']);
+
+    const modes = names(recognizePcs([0, 2, 4, 5, 7, 9, 11], { limit: 10 }));
+    expect(modes[0]).toBe('C Major scale');
+    expect(modes).toContain('A Natural minor');
+    expect(modes).toContain('D Dorian');
+    expect(modes).toContain('B Locrian');
+  });
+
+  it('should give enharmonic spellings of black-key roots', () => {
+    const [dFlat] = recognizePcs([1, 5, 8]);
+    expect(dFlat.name).toBe('Db');
+    expect(dFlat.enharmonic).toBe('C#');
+    expect(recognizePcs([0, 4, 7])[0].enharmonic).toBeNull();
+  });
+
+  it('should use the extended catalogue', () => {
+    expect(recognizePcs([0, 5, 7, 10])[0].name).toBe('C7sus4');
+    expect(recognizePcs([0, 3, 5, 6, 7, 10])[0].name).toBe('C Blues');
+  });
+
+  it('should prefer readings over a known bass', () => {
+    expect(recognizePcs([0, 4, 7, 9], { bass: 0 })[0].name).toBe('C6');
+    expect(recognizePcs([0, 4, 7], { bass: 4 })[0].name).toBe('C/E');
+    expect(describeRecognition(recognizeMidiNotes([52, 55, 60]))).toBe('C/E');
+  });
+
+  it('should fall back to the Forte set class', () => {
+    const [result] = recognizePcs([0, 1, 2]);
+    expect(result).toMatchObject({ type: 'set-class', id: '3-1', root: null });
+    expect(recognizePcs([])).toEqual([]);
+  });
+
+  it('should format readings as one line', () => {
+    expect(describeRecognition(recognizePcs([0, 4, 7, 10]), 1)).toBe('C7');
+    expect(describeRecognition(recognizeMidiNotes([48, 52, 55, 58]))).toBe('C7, or Edim/C');
+    expect(describeRecognition([])).toBe('');
+  });
+});
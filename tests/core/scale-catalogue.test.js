@@ -0,0 +1,72 @@
+/**
+ * Tests for the scale catalogue
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SCALE_CATALOGUE,
+  getScale,
+  getScaleName,
+  getScaleNumber,
+  listScales,
+  stepScale,
+  getScaleNeighbours,
+  getScaleModes
+} from '../../src/core/scale-catalogue.js';
+
+describe('Scale Catalogue', () => {
+  it('should hold every set with a root', () => {
+    expect(SCALE_CATALOGUE).toHaveLength(2048);
+    expect(SCALE_CATALOGUE.every(entry => entry.pcs[0] === 0)).toBe(true);
+    expect(getScale(4095).cardinality).toBe(12);
+    expect(() => getScale(2740)).toThrow();
+    expect(() => getScale(4097)).toThrow();
+  });
+
+  it('should use Ian Ring numbers', () => {
+    expect(getScaleNumber([0, 2, 4, 5, 7, 9, 11])).toBe(2741);
+    expect(getScaleNumber([2, 4, 5, 7, 9, 11, 0], 2)).toBe(1709);
+    expect(getScaleName(2741)).toBe('Major (Ionian)');
+    expect(getScaleName(2477)).toBe('Harmonic minor');
+    expect(getScaleName(1755)).toBe('Octatonic (half-whole)');
+    expect(getScale(1755).names).toContain('Messiaen mode 2');
+    expect(getScaleName(2743)).toBe('Scale 2743');
+  });
+
+  it('should name modes of the minor scales', () => {
+    const modes = getScaleModes(2733).map(m => getScaleName(m.scale.number));
+    expect(modes).toEqual([
+      'Melodic minor', 'Dorian b2', 'Lydian augmented', 'Lydian dominant',
+      'Mixolydian b6', 'Locrian nat2', 'Altered'
+    ]);
+    expect(getScaleModes(2477)[4].scale.names).toContain('Phrygian dominant');
+  });
+
+  it('should filter by cardinality and name', () => {
+    // C(11, k-1) sets of size k contain the root
+    expect(listScales({ cardinality: 7 })).toHaveLength(462);
+    expect(listScales({ cardinality: 1 })).toHaveLength(1);
+    const named = listScales({ cardinality: 5, namedOnly: true });
+    expect(named.map(e => e.number)).toContain(661);
+    expect(named.every(e => e.names.length > 0 && e.cardinality === 5)).toBe(true);
+  });
+
+  it('should step through a filtered list and wrap around', () => {
+    const filters = { cardinality: 7, namedOnly: true };
+    const next = stepScale(2741, 1, filters);
+    expect(next.number).toBeGreaterThan(2741);
+    expect(stepScale(next.number, -1, filters).number).toBe(2741);
+    expect(stepScale(4095, 1).number).toBe(1);
+    expect(stepScale(1, -1).number).toBe(4095);
+  });
+
+  it('should find neighbours one note away', () => {
+    const neighbours = getScaleNeighbours(2741);
+    expect(neighbours).toHaveLength(11);
+    const bebop = neighbours.find(n => n.pc === 10);
+    expect(bebop.change).toBe('add');
+    expect(bebop.scale.names).toContain('Bebop dominant');
+    expect(neighbours.find(n => n.pc === 11).change).toBe('remove');
+    expect(neighbours.every(n => n.scale.pcs.includes(0))).toBe(true);
+  });
+});
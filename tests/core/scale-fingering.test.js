@@ -0,0 +1,69 @@
+/**
+ * Tests for scale fingering generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getScaleIds, getScaleNotes, generateScaleFingering } from '../../src/core/scale-fingering.js';
+import { Grid } from '../../src/core/grid.js';
+
+describe('Scale Fingering', () => {
+  it('should list scale runs over octaves and directions', () => {
+    const major = [0, 2, 4, 5, 7, 9, 11];
+    expect(getScaleNotes(60, major, { direction: 'up' })).toEqual([60, 62, 64, 65, 67, 69, 71, 72]);
+    expect(getScaleNotes(60, major, { direction: 'down' })[0]).toBe(72);
+    const both = getScaleNotes(60, major, { octaves: 2 });
+    expect(both).toHaveLength(29);
+    expect(both[14]).toBe(84);
+    expect(both[28]).toBe(60);
+  });
+
+  it('should finger every catalogue scale with both hands', () => {
+    const grid = new Grid('intervals');
+    const ids = getScaleIds();
+    expect(ids).toContain('dorian');
+    expect(ids).not.toContain('majtriad');
+
+    for (const id of ids) {
+      for (const hand of ['left', 'right']) {
+        const { sequence } = generateScaleFingering('D', id, { hand, grid });
+        const notes = sequence.steps.map(step => grid.getMidiNote(step.row, step.col, 48));
+        expect(notes[0] % 12).toBe(2);
+        expect(notes[notes.length - 1]).toBe(notes[0]);
+        expect(sequence.steps.every(step => step.hand === hand)).toBe(true);
+      }
+    }
+  });
+
+  it('should mark hand shifts over several octaves', () => {
+    const result = generateScaleFingering('C', 'maj', { octaves: 2 });
+    expect(result.sequence.name).toBe('C Major scale RH 2 oct up and down');
+    expect(result.sequence.metadata).toMatchObject({ key: 'C', setType: 'maj', layout: 'intervals' });
+    expect(result.sequence).toHaveLength(29);
+    expect(result.shifts).toBeGreaterThan(0);
+    expect(result.shifts).toBe(result.sequence.getHandPositions().length - 1);
+  });
+
+  it('should mark thumb-under going up and finger-over coming down', () => {
+    const grid = new Grid('chromatic');
+    const up = generateScaleFingering('C', 'chromatic', { octaves: 2, direction: 'up', grid });
+    expect(up.crossings.length).toBeGreaterThan(0);
+    for (const { index, type } of up.crossings) {
+      expect(type).toBe('thumb-under');
+      expect(up.sequence.steps[index]).toMatchObject({ finger: 1, crossing: 'thumb-under' });
+      expect(up.sequence.steps[index].position).toBe(up.sequence.steps[index - 1].position + 1);
+    }
+
+    const down = generateScaleFingering('C', 'chromatic', { octaves: 2, direction: 'down', grid });
+    expect(down.crossings.map(({ type }) => type)).toContain('finger-over');
+    down.crossings.forEach(({ index }) => expect(down.sequence.steps[index - 1].finger).toBe(1));
+  });
+
+  it('should reject non-scales and runs that do not fit', () => {
+    expect(() => generateScaleFingering('C', 'majtriad')).toThrow();
+    expect(() => generateScaleFingering('C', 'maj', { octaves: 4 })).toThrow();
+    expect(() => generateScaleFingering('H', 'maj')).toThrow();
+    // The intervals layout spans C3-E6 from base note C3
+    expect(() => generateScaleFingering('F', 'maj', { octaves: 3 })).toThrow(/does not fit/);
+    expect(generateScaleFingering('F', 'maj', { octaves: 2 }).sequence.metadata.baseMidi).toBe(48);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for shape transform module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  translateShape,
+  findTranslationVector,
+  transposeShape,
+  mirrorShape,
+  rotateShape180
+} from '../../src/core/shape-transform.js';
+import { FingeringPattern } from '../../src/core/fingering.js';
+import { Grid, getMidiNote } from '../../src/core/grid.js';
+
+// C major triad in the thirds layout: root, NE (major 3rd), then NW (minor 3rd)
+const MAJOR_TRIAD = [
+  { row: 4, col: 2, hand: 'right', finger: 1 },
+  { row: 5, col: 2, hand: 'right', finger: 2 },
+  { row: 6, col: 2, hand: 'right', finger: 3 }
+];
+
+const pitches = (positions) => positions.map(p => getMidiNote(p.row, p.col));
+const intervalsFromFirst = (notes) => notes.map(n => n - notes[0]);
+
+describe('Shape Transforms', () => {
+  describe('Translate', () => {
+    it('should move a shape by a grid vector across staggered rows', () => {
+      const { positions, offGrid } = translateShape(MAJOR_TRIAD, { row: 1, col: 0 });
+      expect(offGrid).toEqual([]);
+      expect(positions.map(({ row, col }) => ({ row, col }))).toEqual([
+        { row: 5, col: 2 }, { row: 6, col: 3 }, { row: 7, col: 2 }
+      ]);
+      // Every pad moved up a major third
+      expect(pitches(positions)).toEqual(pitches(MAJOR_TRIAD).map(n => n + 4));
+    });
+
+    it('should keep hand and finger on each pad', () => {
+      const { positions } = translateShape(MAJOR_TRIAD, { row: 0, col: 1 });
+      expect(positions.map(p => p.finger)).toEqual([1, 2, 3]);
+      expect(positions.every(p => p.hand === 'right')).toBe(true);
+    });
+
+    it('should report pads that fall off the surface', () => {
+      const { positions, offGrid } = translateShape(MAJOR_TRIAD, { row: 5, col: 0 });
+      expect(positions).toHaveLength(2);
+      expect(offGrid).toHaveLength(1);
+      expect(offGrid[0].finger).toBe(3);
+    });
+  });
+
+  describe('Transpose', () => {
+    it('should transpose a shape into all 12 keys', () => {
+      const original = pitches(MAJOR_TRIAD);
+      for (let semitones = -6; semitones <= 6; semitones++) {
+        const { positions, offGrid } = transposeShape(MAJOR_TRIAD, semitones);
+        expect(offGrid).toEqual([]);
+        expect(pitches(positions)).toEqual(original.map(n => n + semitones));
+      }
+    });
+
+    it('should prefer the shortest vector that keeps pads on the grid', () => {
+      expect(findTranslationVector(MAJOR_TRIAD, 1)).toEqual({ row: 0, col: 1 });
+      expect(findTranslationVector(MAJOR_TRIAD, 4)).toEqual({ row: 1, col: 0 });
+    });
+
+    it('should use the grid layout and refresh pitch fields', () => {
+      const grid = new Grid('wicki-hayden');
+      const shape = [{ row: 2, col: 1, midiNote: grid.getMidiNote(2, 1, 48), pc: 0 }];
+      const { positions, vector } = transposeShape(shape, 7, { grid });
+      expect(vector).toEqual({ row: 1, col: 0 }); // NE is a fifth
+      expect(positions[0].midiNote).toBe(shape[0].midiNote + 7);
+      expect(positions[0].pc).toBe(positions[0].midiNote % 12);
+    });
+  });
+
+  describe('Mirror and rotate', () => {
+    it('should mirror left-right and swap hands', () => {
+      const { positions, offGrid } = mirrorShape(MAJOR_TRIAD);
+      expect(offGrid).toEqual([]);
+      expect(positions.map(({ row, col }) => ({ row, col }))).toEqual([
+        { row: 4, col: 2 }, { row: 5, col: 1 }, { row: 6, col: 2 }
+      ]);
+      expect(positions.every(p => p.hand === 'left')).toBe(true);
+      // NE and NW swap, so the major-third step becomes a minor third
+      expect(intervalsFromFirst(pitches(positions))).toEqual([0, 3, 7]);
+    });
+
+    it('should return the original shape when mirrored twice', () => {
+      const once = mirrorShape(MAJOR_TRIAD).positions;
+      expect(mirrorShape(once).positions).toEqual(MAJOR_TRIAD);
+    });
+
+    it('should rotate 180° around the anchor pad', () => {
+      const { positions, offGrid } = rotateShape180(MAJOR_TRIAD);
+      expect(offGrid).toEqual([]);
+      expect(positions[0]).toEqual(MAJOR_TRIAD[0]);
+      // Intervals are negated: the rotated shape is a minor triad below the anchor
+      expect(intervalsFromFirst(pitches(positions))).toEqual([0, -4, -7]);
+      expect(rotateShape180(positions).positions).toEqual(MAJOR_TRIAD);
+    });
+  });
+
+  describe('FingeringPattern', () => {
+    it('should return transformed copies without changing the original', () => {
+      const pattern = new FingeringPattern('triad');
+      MAJOR_TRIAD.forEach(p => pattern.setFingering(p.row, p.col, p.hand, p.finger));
+
+      const { pattern: up, offGrid } = pattern.transpose(2);
+      expect(offGrid).toEqual([]);
+      expect(up.name).toBe('triad');
+      expect(pitches(up.toPositions())).toEqual(pitches(MAJOR_TRIAD).map(n => n + 2));
+      expect(pattern.toPositions()).toEqual(MAJOR_TRIAD);
+
+      const { pattern: mirrored } = pattern.mirror();
+      expect(mirrored.getPadsForHand('left')).toHaveLength(3);
+      expect(mirrored.getPadsForHand('right')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for key-aware enharmonic spelling
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseNoteName,
+  parseMidiNoteName,
+  formatNoteName,
+  spellPitchClass,
+  spellSet,
+  getKeySpelling
+} from '../../src/core/spelling.js';
+import { midiToNoteName } from '../../src/core/music.js';
+import { getChordName, getChordNoteNames } from '../../src/core/chord-dictionary.js';
+import { recognizePcs } from '../../src/core/recognizer.js';
+
+describe('Spelling', () => {
+  it('should parse and format note names', () => {
+    expect(parseNoteName('Bb')).toEqual({ letter: 'B', accidental: -1, pc: 10 });
+    expect(parseNoteName('F##').pc).toBe(7);
+    expect(parseNoteName('Fx').accidental).toBe(2);
+    expect(parseNoteName('Cb').pc).toBe(11);
+    expect(() => parseNoteName('H')).toThrow();
+    expect(formatNoteName('E', -2)).toBe('Ebb');
+    expect(spellPitchClass(0, 'B')).toBe('B#');
+  });
+
+  it('should parse note names with octaves', () => {
+    expect(parseMidiNoteName('C4')).toBe(60);
+    expect(parseMidiNoteName('B#3')).toBe(60);
+    expect(parseMidiNoteName('Cb4')).toBe(59);
+    expect(parseMidiNoteName('A-1')).toBe(9);
+    expect(() => parseMidiNoteName('H4')).toThrow();
+    expect(() => parseMidiNoteName('C')).toThrow();
+  });
+
+  it('should spell heptatonic scales with one letter per degree', () => {
+    expect(spellSet('Bb', [0, 2, 4, 5, 7, 9, 11])).toEqual(['Bb', 'C', 'D', 'Eb', 'F', 'G', 'A']);
+    expect(spellSet('G#', [0, 2, 3, 5, 7, 8, 11])).toEqual(['G#', 'A#', 'B', 'C#', 'D#', 'E', 'F##']);
+    expect(spellSet('Ab', [0, 2, 3, 5, 7, 8, 11])).toEqual(['Ab', 'Bb', 'Cb', 'Db', 'Eb', 'Fb', 'G']);
+  });
+
+  it('should spell other sets by chord degree', () => {
+    expect(spellSet('C', [0, 3, 5, 7, 10])).toEqual(['C', 'Eb', 'F', 'G', 'Bb']);
+    expect(getChordNoteNames(3, 'dom7')).toEqual(['Eb', 'G', 'Bb', 'Db']);
+    expect(getChordNoteNames(0, 'aug')).toEqual(['C', 'E', 'G#']);
+    expect(getChordNoteNames(11, 'dim7')).toEqual(['B', 'D', 'F', 'Ab']);
+  });
+
+  it('should spell all 12 pitch classes for a key', () => {
+    const bbMajor = getKeySpelling('Bb', 'maj');
+    expect(bbMajor[10]).toBe('Bb');
+    expect(bbMajor[3]).toBe('Eb');
+    // Non-scale notes follow the flat key signature
+    expect(bbMajor[1]).toBe('Db');
+
+    expect(getKeySpelling('E', 'maj')[8]).toBe('G#');
+    expect(getKeySpelling('D', 'natmin')[10]).toBe('Bb');
+    expect(getKeySpelling('G#', 'harmin')[7]).toBe('F##');
+    expect(getKeySpelling('F', 'chromatic')[10]).toBe('Bb');
+  });
+
+  it('should keep octaves with the letter for B# and Cb', () => {
+    expect(midiToNoteName(60, getKeySpelling('C#', 'maj'))).toBe('B#3');
+    expect(midiToNoteName(59, getKeySpelling('Ab', 'harmin'))).toBe('Cb4');
+    expect(midiToNoteName(70, getKeySpelling('Bb', 'maj'))).toBe('Bb4');
+    expect(midiToNoteName(70, true)).toBe('Bb4');
+  });
+
+  it('should name chords from the key spelling', () => {
+    expect(getChordName(1, 'major')).toBe('Db Major');
+    expect(getChordName(1, 'major', getKeySpelling('F#', 'maj'))).toBe('C# Major');
+
+    const [reading] = recognizePcs([1, 5, 8], { spelling: getKeySpelling('F#', 'maj') });
+    expect(reading.name).toBe('C#');
+    expect(reading.enharmonic).toBe('Db');
+  });
+});
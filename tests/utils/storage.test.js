@@ -0,0 +1,21 @@
+/**
+ * Tests for pattern storage
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { savePattern, loadPattern } from '../../src/utils/storage.js';
+
+describe('Pattern storage', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('should load patterns saved under an older set id with the current id', () => {
+    savePattern('Old C triad', { key: 'C', set: 'majtriad', baseMidi: 48, fingerings: [] });
+    savePattern('Old B dim', { key: 'B', set: 'dimtriad', baseMidi: 48, fingerings: [] });
+    savePattern('Custom', { key: 'C', set: 'custom', baseMidi: 48, fingerings: [] });
+
+    expect(loadPattern('Old C triad')).toMatchObject({ key: 'C', set: 'major' });
+    expect(loadPattern('Old B dim').set).toBe('dim');
+    expect(loadPattern('Custom').set).toBe('custom');
+    expect(loadPattern('Missing')).toBeNull();
+  });
+});